@@ -16,10 +16,56 @@ export default {
     minLuminanceBoost: 0.5,
     maxLuminanceBoost: 2.0,
 
+    // Cell sampling strategies for the density converter
+    // center = pixel at cell center, average = box average over the cell,
+    // median/max/min = pixel with the median/highest/lowest brightness in the cell
+    samplingModes: ['center', 'average', 'median', 'max', 'min'],
+    defaultSamplingMode: 'center',
+
+    // Brightness models for mapping pixels to characters
+    // An empty selection lets each converter use its own default
+    // (density: average, edge detection: rec601)
+    brightnessModels: ['average', 'rec601', 'rec709', 'lab', 'linear'],
+
+    // Dithering of brightness-to-character quantization
+    // Error diffusion (floyd-steinberg, atkinson) looks best on stills;
+    // ordered dithering (bayer) stays stable from frame to frame in video
+    ditheringModes: ['none', 'floyd-steinberg', 'atkinson', 'bayer'],
+    defaultDithering: 'none',
+
+    // Cells whose average alpha (0-255) is below the cutoff are left blank and tagged
+    // transparent; 0 treats every pixel as opaque
+    defaultAlphaCutoff: 0,
+
+    // Contrast preprocessing applied to cell brightness before character mapping
+    toneMapping: {
+      modes: ['none', 'autolevels', 'equalize', 'clahe'],
+      defaultMode: 'none',
+      defaultClipPercent: 1,       // autolevels: percent clipped at each end
+      defaultClaheClipLimit: 2.0,  // clahe: bin limit as a multiple of the mean bin
+      claheTiles: 8                // clahe: tiles per axis
+    },
+
+    // Shape matching converter settings
+    shape: {
+      defaultCharSet: ' .,:;\'"`^-_~=+*<>!?|/\\()[]{}ilI1vxXoO0#%@'
+    },
+
+    // Braille converter settings
+    braille: {
+      defaultThreshold: 128  // Brightness (0-255) at which a dot is raised
+    },
+
     // Edge detection converter settings
     edgeDetection: {
       defaultEdgeCharSet: 'ILJTFYVCXZAHKNMBDPQRUWG@#%&',
       defaultFillCharSet: ' .`\',;:_-~"<>+*^ilcstfvoabdeghknpqruymwxzj',
+      // Direction-aware edge glyphs, one ramp per quantized edge direction
+      defaultDirectionalEdges: false,
+      defaultHorizontalEdgeCharSet: '-',
+      defaultVerticalEdgeCharSet: '|',
+      defaultRisingEdgeCharSet: '/',
+      defaultFallingEdgeCharSet: '\\',
       defaultCannyLowThreshold: 50,
       defaultCannyHighThreshold: 150,
       minThreshold: 0,
@@ -33,7 +79,83 @@ export default {
     fontSize: 10,
     lineHeight: 1.2,
     backgroundColor: '#000000',
-    foregroundColor: '#ffffff'
+    foregroundColor: '#ffffff',
+    // Blit tinted glyph masks instead of calling fillText per cell. Faster for long videos,
+    // but glyph edges are not pixel-identical to fillText, so it is opt-in.
+    useGlyphAtlas: false
+  },
+
+  // File export settings
+  export: {
+    png: {
+      software: 'ASCII Artify',                   // tEXt "Software" entry
+      settingsKeyword: 'ASCII-Artify-Settings',   // iTXt entry holding the conversion settings as JSON
+      resolutionModes: ['scale', 'width', 'dpi'], // Device-pixel scale, target pixel width, or print DPI
+      defaultResolutionMode: 'scale',
+      defaultResolutions: { scale: 1, width: 3840, dpi: 300 },
+      maxTileSide: 4096,                          // Export tiles stay within browser canvas limits
+      maxTilePixels: 4096 * 4096,
+      maxOutputPixels: 1e9,
+      defaultTransparentBackground: false
+    },
+    ansi: {
+      colorDepths: ['truecolor', '256', '16'],
+      defaultColorDepth: 'truecolor',
+      defaultIncludeBackground: false
+    },
+    html: {
+      paletteModes: ['inline', 'class'],  // style attribute per span, or one CSS class per color
+      defaultPaletteMode: 'inline',
+      title: 'ASCII Art'
+    },
+    svg: {
+      embeddedFontFamily: 'AsciiArtifyEmbedded'  // @font-face name of an embedded font subset
+    },
+    pdf: {
+      pageSizes: {                   // Portrait width and height in points (1/72 inch)
+        a4: [595.28, 841.89],
+        a3: [841.89, 1190.55],
+        letter: [612, 792],
+        legal: [612, 1008],
+        tabloid: [792, 1224]
+      },
+      defaultPageSize: 'a4',
+      orientations: ['portrait', 'landscape'],
+      defaultOrientation: 'portrait',
+      layouts: ['fit', 'tile'],      // Scale onto one page, or keep the font size and span pages
+      defaultLayout: 'fit',
+      defaultMargin: 10,             // Millimeters
+      defaultFontSize: 6,            // Points, for the tile layout
+      embeddedFontName: 'AsciiArtifyEmbedded',
+      producer: 'ASCII Artify'
+    },
+    asciicast: {
+      colorDepth: 'truecolor',
+      includeBackground: false,
+      term: 'xterm-256color'
+    },
+    document: {
+      encodings: ['json', 'gzip'],  // Plain JSON, or the same JSON gzip-compressed
+      defaultEncoding: 'json',
+      fileExtensions: ['.json', '.json.gz']  // Recognized as documents when opened
+    },
+    batch: {
+      formats: {                     // Output format to file extension inside the ZIP
+        png: 'png',
+        text: 'txt',
+        ansi: 'ans',
+        html: 'html',
+        svg: 'svg',
+        pdf: 'pdf',
+        document: 'json'
+      },
+      defaultFormat: 'png',
+      fileName: 'ascii-art-batch.zip'
+    },
+    player: {
+      speeds: [0.25, 0.5, 1, 1.5, 2],  // Playback rates offered by the exported player
+      title: 'ASCII Video'
+    }
   },
 
   // Video processing settings (for future phases)
@@ -41,7 +163,54 @@ export default {
     maxFrameWidth: 200,
     targetFPS: 24,
     chunkSize: 30,        // Frames per chunk
-    workerCount: 4        // Parallel workers
+    workerCount: 4,       // Parallel conversion workers (capped at hardwareConcurrency)
+    toneSampleFrames: 12, // Frames sampled for a locked tone mapping histogram
+
+    // Encoded output formats; GIF and APNG loop forever, and only video and the HTML player carry audio.
+    // 'video' takes its container from the selected codec.
+    outputFormats: {
+      video: { label: 'Video', supportsAudio: true },
+      gif: { label: 'Animated GIF', extension: 'gif', mimeType: 'image/gif', supportsAudio: false },
+      apng: { label: 'Animated PNG', extension: 'png', mimeType: 'image/apng', supportsAudio: false },
+      cast: { label: 'Terminal Recording (asciinema)', extension: 'cast', mimeType: 'application/x-asciicast', supportsAudio: false },
+      player: { label: 'HTML Player', extension: 'html', mimeType: 'text/html;charset=utf-8', supportsAudio: true }
+    },
+    defaultOutputFormat: 'video',
+
+    // Video containers and the audio codec each one pairs with
+    containers: {
+      mp4: { extension: 'mp4', mimeType: 'video/mp4', audioCodec: 'aac' },
+      webm: { extension: 'webm', mimeType: 'video/webm', audioCodec: 'libopus' }
+    },
+
+    // Video codecs. 4:2:0 chroma subsampling smears thin colored glyph strokes;
+    // the 4:4:4 and lossless entries keep full color resolution.
+    codecs: {
+      h264: { label: 'H.264 4:2:0 (most compatible)', encoder: 'libx264', container: 'mp4', pixelFormat: 'yuv420p', defaultCrf: 23, maxCrf: 51 },
+      'h264-444': { label: 'H.264 4:4:4', encoder: 'libx264', container: 'mp4', pixelFormat: 'yuv444p', defaultCrf: 20, maxCrf: 51 },
+      'h264-lossless': { label: 'H.264 4:4:4 Lossless', encoder: 'libx264', container: 'mp4', pixelFormat: 'yuv444p', lossless: true },
+      vp9: { label: 'VP9 4:4:4 (WebM)', encoder: 'libvpx-vp9', container: 'webm', pixelFormat: 'yuv444p', defaultCrf: 31, maxCrf: 63 },
+      'vp9-lossless': { label: 'VP9 Lossless (WebM)', encoder: 'libvpx-vp9', container: 'webm', pixelFormat: 'yuv444p', lossless: true },
+      av1: { label: 'AV1 (WebM, slow)', encoder: 'libaom-av1', container: 'webm', pixelFormat: 'yuv420p', defaultCrf: 35, maxCrf: 63 }
+    },
+    defaultCodec: 'h264',
+
+    // Speed presets, named as in x264; VP9 and AV1 map them to -cpu-used
+    encoderPresets: ['ultrafast', 'veryfast', 'fast', 'medium', 'slow'],
+    defaultEncoderPreset: 'veryfast',
+    cpuUsedByPreset: { ultrafast: 5, veryfast: 4, fast: 3, medium: 2, slow: 1 },
+
+    gif: {
+      maxColors: 256,  // Palette size built by palettegen
+      dither: 'none'   // paletteuse dithering; 'none' keeps glyph edges crisp
+    },
+
+    // Animated GIF and WebP input keeps each frame's own delay. Browsers show delays
+    // of 10 ms or less as 100 ms, so those frames are timed the same way.
+    animatedImage: {
+      shortFrameDelay: 10,  // ms
+      defaultFrameDelay: 100 // ms
+    }
   },
 
   // FFMPEG.wasm configuration - using local files to avoid CORS issues
@@ -53,9 +222,13 @@ export default {
     workerURL: './lib/ffmpeg/worker.js'
   },
 
-  // Supported file types
+  // Supported file types. Files are identified by their header bytes (FormatSniffer),
+  // falling back to the browser's MIME type; videos are anything ffmpeg.wasm can demux.
   supportedImageFormats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-  supportedVideoFormats: ['video/mp4', 'video/webm', 'video/quicktime'],
+  supportedVideoFormats: [
+    'video/mp4', 'video/webm', 'video/quicktime', 'video/x-matroska', 'video/x-msvideo', 'video/x-flv',
+    'video/mp2t', 'video/mpeg', 'video/ogg', 'video/3gpp', 'video/x-ms-asf'
+  ],
 
   // UI settings
   ui: {
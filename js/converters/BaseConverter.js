@@ -2,6 +2,42 @@
  * BaseConverter - Abstract base class for ASCII converters
  * Defines the interface that all converters must implement
  */
+import ToneMapping from '../utils/ToneMapping.js';
+
+// sRGB-encoded channel value (0-255) to linear light (0-1)
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Error diffusion kernels: [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16]
+  ],
+  // Atkinson diffuses only 6/8 of the error, trading detail for contrast
+  'atkinson': [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8]
+  ]
+};
+
+// 4x4 Bayer threshold matrix (values 0-15)
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
 export default class BaseConverter {
   /**
    * Convert ImageData to ASCII art
@@ -10,12 +46,102 @@ export default class BaseConverter {
    * @param {string} options.charSet - Character set to use
    * @param {number} options.width - ASCII width in characters
    * @param {string} options.colorMode - 'monochrome' or 'color'
-   * @returns {Object} - { chars: string[][], colors: string[][] }
+   * @param {string} [options.brightnessModel] - Brightness model (see calculateBrightness);
+   *   defaults to getDefaultBrightnessModel()
+   * @param {string} [options.toneMapping='none'] - Contrast preprocessing (see applyToneMapping)
+   * @returns {Object} - { chars: string[][], colors: string[][], width, height }, plus
+   *   backgrounds: string[][] for converters that color cell backgrounds
    */
   convert(imageData, options) {
     throw new Error('BaseConverter.convert() must be implemented by subclass');
   }
 
+  /**
+   * Blank the cells of a conversion result whose average alpha is below the cutoff
+   * Blanked cells become a space with no background and are tagged in result.transparent,
+   * so a transparent render can leave them clear while filling opaque cells.
+   * @param {Object} result - Result of convert(); modified in place
+   * @param {ImageData} imageData - Image data that was converted
+   * @param {Object} options - Conversion options
+   * @param {number} [options.alphaCutoff=0] - Alpha (0-255) below which a cell is transparent;
+   *   0 disables the check
+   * @returns {Object} - The result, plus transparent: boolean[][] when the cutoff is set
+   */
+  applyAlphaCutoff(result, imageData, options) {
+    const cutoff = options.alphaCutoff || 0;
+    if (cutoff <= 0) {
+      return result;
+    }
+
+    const { chars, backgrounds, width, height } = result;
+
+    // Every converter divides the image into an even grid of cells
+    const cellWidth = imageData.width / width;
+    const cellHeight = imageData.height / height;
+
+    const transparent = [];
+    for (let row = 0; row < height; row++) {
+      const transparentRow = [];
+
+      for (let col = 0; col < width; col++) {
+        const { a } = this.sampleRegion(
+          imageData,
+          col * cellWidth,
+          row * cellHeight,
+          (col + 1) * cellWidth,
+          (row + 1) * cellHeight,
+          'average'
+        );
+
+        const isTransparent = a < cutoff;
+        if (isTransparent) {
+          chars[row][col] = ' ';
+          if (backgrounds) {
+            backgrounds[row][col] = null;
+          }
+        }
+        transparentRow.push(isTransparent);
+      }
+
+      transparent.push(transparentRow);
+    }
+
+    result.transparent = transparent;
+    return result;
+  }
+
+  /**
+   * Per-cell brightness values the converter maps to characters, before tone mapping.
+   * Used to build histograms shared across video frames.
+   * @param {ImageData} imageData - Image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values: ArrayLike<number>, width: number, height: number }
+   */
+  getBrightnessGrid(imageData, options) {
+    throw new Error('BaseConverter.getBrightnessGrid() must be implemented by subclass');
+  }
+
+  /**
+   * Apply the tone mapping selected in the conversion options to a brightness grid
+   * @param {ArrayLike<number>} values - Brightness values (0-255), row-major
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {Object} options - Conversion options
+   * @param {string} [options.toneMapping] - 'none', 'autolevels', 'equalize' or 'clahe'
+   * @param {number} [options.toneClipPercent] - Autolevels percentile clip
+   * @param {number} [options.claheClipLimit] - CLAHE clip limit
+   * @param {ArrayLike<number>} [options.toneHistogram] - Fixed histogram shared across frames
+   * @returns {ArrayLike<number>} - Mapped brightness values (0-255)
+   */
+  applyToneMapping(values, width, height, options) {
+    return ToneMapping.apply(values, width, height, {
+      mode: options.toneMapping || 'none',
+      clipPercent: options.toneClipPercent,
+      clipLimit: options.claheClipLimit,
+      histogram: options.toneHistogram || null
+    });
+  }
+
   /**
    * Get converter name
    * @returns {string}
@@ -32,16 +158,61 @@ export default class BaseConverter {
     return 'Base converter (override in subclass)';
   }
 
+  /**
+   * Brightness model used when options.brightnessModel is not set
+   * @returns {string}
+   */
+  getDefaultBrightnessModel() {
+    return 'average';
+  }
+
   /**
    * Helper method to calculate brightness from RGB values
    * @param {number} r - Red value (0-255)
    * @param {number} g - Green value (0-255)
    * @param {number} b - Blue value (0-255)
+   * @param {string} model - 'average' (plain channel mean), 'rec601' (Rec.601 luma),
+   *   'rec709' (Rec.709 luma), 'lab' (CIELAB L*), 'linear' (gamma-linearized luminance)
    * @returns {number} - Brightness value (0-255)
    */
-  calculateBrightness(r, g, b) {
-    // Simple average method
-    return (r + g + b) / 3;
+  calculateBrightness(r, g, b, model = 'average') {
+    switch (model) {
+      case 'average':
+        return (r + g + b) / 3;
+
+      case 'rec601':
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+
+      case 'rec709':
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+      case 'linear':
+        return this._relativeLuminance(r, g, b) * 255;
+
+      case 'lab': {
+        // L* ranges 0-100; scale to 0-255
+        const y = this._relativeLuminance(r, g, b);
+        const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+        return (116 * f - 16) * 2.55;
+      }
+
+      default:
+        throw new Error(`Unknown brightness model "${model}"`);
+    }
+  }
+
+  /**
+   * Relative luminance (CIE Y) of an sRGB color
+   * @private
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {number} - Luminance (0-1)
+   */
+  _relativeLuminance(r, g, b) {
+    return 0.2126 * SRGB_TO_LINEAR[Math.round(r)] +
+      0.7152 * SRGB_TO_LINEAR[Math.round(g)] +
+      0.0722 * SRGB_TO_LINEAR[Math.round(b)];
   }
 
   /**
@@ -56,6 +227,75 @@ export default class BaseConverter {
     return Math.min(index, charSet.length - 1);
   }
 
+  /**
+   * Map a brightness grid to character indices, optionally dithered
+   * @param {ArrayLike<number>} values - Brightness values (0-255), row-major
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {number} levels - Number of characters in the ramp
+   * @param {string} method - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+   * @param {ArrayLike<boolean>|null} mask - Cells to map; other cells neither
+   *   receive nor spread error and keep index 0
+   * @returns {Int32Array} - Character index per cell
+   */
+  ditherToCharIndices(values, width, height, levels, method = 'none', mask = null) {
+    const indices = new Int32Array(width * height);
+    const step = 255 / Math.max(1, levels - 1);
+    const maxIndex = Math.max(0, levels - 1);
+
+    // Plain quantization, same mapping as brightnessToCharIndex()
+    if (method === 'none' || levels < 2) {
+      for (let i = 0; i < indices.length; i++) {
+        if (mask && !mask[i]) continue;
+        indices[i] = Math.min(Math.floor(values[i] / 255 * maxIndex), maxIndex);
+      }
+      return indices;
+    }
+
+    // Dithered methods quantize to the levels k * step, so the mix of neighbouring levels
+    // averages out to the input brightness
+    if (method === 'bayer') {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          if (mask && !mask[i]) continue;
+          const threshold = (BAYER_4X4[y % 4][x % 4] + 0.5) / 16;
+          indices[i] = Math.min(maxIndex, Math.max(0, Math.floor(values[i] / step + threshold)));
+        }
+      }
+      return indices;
+    }
+
+    const kernel = DIFFUSION_KERNELS[method];
+    if (!kernel) {
+      throw new Error(`Unknown dithering method "${method}"`);
+    }
+
+    const buffer = Float64Array.from(values);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (mask && !mask[i]) continue;
+
+        const index = Math.min(maxIndex, Math.max(0, Math.round(buffer[i] / step)));
+        const error = buffer[i] - index * step;
+        indices[i] = index;
+
+        for (const [dx, dy, weight] of kernel) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) continue;
+          const ni = ny * width + nx;
+          if (mask && !mask[ni]) continue;
+          buffer[ni] += error * weight;
+        }
+      }
+    }
+
+    return indices;
+  }
+
   /**
    * Helper method to get character for brightness value
    * @param {number} brightness - Brightness value (0-255)
@@ -84,6 +324,117 @@ export default class BaseConverter {
     };
   }
 
+  /**
+   * Sample a rectangular cell of the image with the given strategy
+   * @param {ImageData} imageData - Image data
+   * @param {number} x0 - Cell left edge (may be fractional)
+   * @param {number} y0 - Cell top edge (may be fractional)
+   * @param {number} x1 - Cell right edge (exclusive, may be fractional)
+   * @param {number} y1 - Cell bottom edge (exclusive, may be fractional)
+   * @param {string} mode - 'center' (pixel at cell center), 'average' (box average),
+   *   'median' (pixel of median brightness), 'max' (brightest pixel), 'min' (darkest pixel)
+   * @param {string} brightnessModel - Brightness model used to rank pixels (see calculateBrightness)
+   * @returns {Object} - { r, g, b, a }
+   */
+  sampleRegion(imageData, x0, y0, x1, y1, mode = 'center', brightnessModel = 'average') {
+    if (mode === 'center') {
+      return this.getPixel(imageData, Math.floor((x0 + x1) / 2), Math.floor((y0 + y1) / 2));
+    }
+
+    const { width, height, data } = imageData;
+    const sx1 = Math.floor(x0);
+    const sy1 = Math.floor(y0);
+    const sx2 = Math.min(Math.max(Math.ceil(x1), sx1 + 1), width);
+    const sy2 = Math.min(Math.max(Math.ceil(y1), sy1 + 1), height);
+
+    if (mode === 'average') {
+      let r = 0, g = 0, b = 0, a = 0, count = 0;
+
+      for (let sy = sy1; sy < sy2; sy++) {
+        for (let sx = sx1; sx < sx2; sx++) {
+          const index = (sy * width + sx) * 4;
+          r += data[index];
+          g += data[index + 1];
+          b += data[index + 2];
+          a += data[index + 3];
+          count++;
+        }
+      }
+
+      return {
+        r: Math.round(r / count),
+        g: Math.round(g / count),
+        b: Math.round(b / count),
+        a: Math.round(a / count)
+      };
+    }
+
+    if (mode === 'max' || mode === 'min') {
+      let bestIndex = (sy1 * width + sx1) * 4;
+      let bestBrightness = mode === 'max' ? -1 : 256;
+
+      for (let sy = sy1; sy < sy2; sy++) {
+        for (let sx = sx1; sx < sx2; sx++) {
+          const index = (sy * width + sx) * 4;
+          const brightness = this.calculateBrightness(data[index], data[index + 1], data[index + 2], brightnessModel);
+          if (mode === 'max' ? brightness > bestBrightness : brightness < bestBrightness) {
+            bestBrightness = brightness;
+            bestIndex = index;
+          }
+        }
+      }
+
+      return this._pixelAt(data, bestIndex);
+    }
+
+    if (mode === 'median') {
+      // Bucket brightness so the median is found in linear time
+      const histogram = new Uint32Array(256);
+      let count = 0;
+
+      for (let sy = sy1; sy < sy2; sy++) {
+        for (let sx = sx1; sx < sx2; sx++) {
+          const index = (sy * width + sx) * 4;
+          histogram[Math.round(this.calculateBrightness(data[index], data[index + 1], data[index + 2], brightnessModel))]++;
+          count++;
+        }
+      }
+
+      let medianBucket = 0;
+      for (let seen = 0; medianBucket < 256; medianBucket++) {
+        seen += histogram[medianBucket];
+        if (seen * 2 >= count) break;
+      }
+
+      for (let sy = sy1; sy < sy2; sy++) {
+        for (let sx = sx1; sx < sx2; sx++) {
+          const index = (sy * width + sx) * 4;
+          if (Math.round(this.calculateBrightness(data[index], data[index + 1], data[index + 2], brightnessModel)) === medianBucket) {
+            return this._pixelAt(data, index);
+          }
+        }
+      }
+    }
+
+    throw new Error(`Unknown sampling mode "${mode}"`);
+  }
+
+  /**
+   * Read an RGBA pixel at a byte offset
+   * @private
+   * @param {Uint8ClampedArray} data - RGBA data
+   * @param {number} index - Byte offset of the red channel
+   * @returns {Object} - { r, g, b, a }
+   */
+  _pixelAt(data, index) {
+    return {
+      r: data[index],
+      g: data[index + 1],
+      b: data[index + 2],
+      a: data[index + 3]
+    };
+  }
+
   /**
    * Boost luminance of RGB color for better visibility on dark backgrounds
    * @param {number} r - Red value (0-255)
@@ -0,0 +1,244 @@
+/**
+ * BlockConverter - Sub-cell converter using Unicode block elements
+ * Each cell is split into 2x2 quadrants and drawn as one of ▀▄▌▐▖▗▘▝ with a
+ * foreground and a background color, so a cell can show two colors.
+ * Three-quadrant patterns are the same glyphs with foreground and background swapped.
+ */
+import BaseConverter from './BaseConverter.js';
+import BlockElements from '../utils/BlockElements.js';
+
+// Quadrant order used below: top-left, top-right, bottom-left, bottom-right
+const QUADRANT_BITS = [8, 4, 2, 1];
+
+// Two-color splits the allowed glyphs can draw, as the mask of the foreground quadrants.
+// Diagonal splits (▚ ▞) are left out on purpose.
+const SPLITS = [
+  0b1100, // ▀
+  0b0011, // ▄
+  0b1010, // ▌
+  0b0101, // ▐
+  0b0010, // ▖
+  0b0001, // ▗
+  0b1000, // ▘
+  0b0100 // ▝
+];
+
+export default class BlockConverter extends BaseConverter {
+  /**
+   * Get converter name
+   * @returns {string}
+   */
+  getName() {
+    return 'Block Elements';
+  }
+
+  /**
+   * Get converter description
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Half and quadrant blocks with foreground and background colors';
+  }
+
+  /**
+   * Convert image to block elements
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @param {number} options.width - Target width in characters
+   * @param {string} [options.dithering='none'] - Dithering of quadrants in monochrome mode
+   * @returns {{chars: string[][], colors: string[][], backgrounds: string[][], width: number, height: number}}
+   */
+  convert(imageData, options = {}) {
+    const {
+      dithering = 'none',
+      colorMode = 'monochrome',
+      saturationBoost = 1.0,
+      luminanceBoost = 1.0
+    } = options;
+
+    const grid = this._sampleQuadrants(imageData, options);
+    const { columns, rows } = grid;
+    const monochrome = colorMode !== 'color';
+
+    // Monochrome: quantize each quadrant to black or white (dithered if requested)
+    let levels = null;
+    if (monochrome) {
+      const values = this.applyToneMapping(grid.values, grid.width, grid.height, options);
+      levels = dithering === 'none'
+        ? values.map(value => (value >= 128 ? 255 : 0))
+        : this.ditherToCharIndices(values, grid.width, grid.height, 2, dithering).map(index => index * 255);
+    }
+
+    const chars = [];
+    const colors = [];
+    const backgrounds = [];
+
+    const quadrants = new Array(4);
+
+    for (let row = 0; row < rows; row++) {
+      const charRow = [];
+      const colorRow = [];
+      const backgroundRow = [];
+
+      for (let col = 0; col < columns; col++) {
+        for (let q = 0; q < 4; q++) {
+          const index = (row * 2 + (q >> 1)) * grid.width + col * 2 + (q & 1);
+          if (monochrome) {
+            const level = levels[index];
+            quadrants[q] = { r: level, g: level, b: level };
+          } else {
+            const pixel = grid.pixels[index];
+            const saturated = this.boostSaturation(pixel.r, pixel.g, pixel.b, saturationBoost);
+            quadrants[q] = this.boostLuminance(saturated.r, saturated.g, saturated.b, luminanceBoost);
+          }
+        }
+
+        const { mask, foreground, background } = this._bestSplit(quadrants);
+
+        charRow.push(mask === 0 ? ' ' : BlockElements.fromMask(mask));
+        colorRow.push(this._formatColor(foreground, monochrome));
+        backgroundRow.push(this._formatColor(background, monochrome));
+      }
+
+      chars.push(charRow);
+      colors.push(colorRow);
+      backgrounds.push(backgroundRow);
+    }
+
+    return { chars, colors, backgrounds, width: columns, height: rows };
+  }
+
+  /**
+   * Quadrant brightness values before tone mapping
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values: Float64Array, width: number, height: number }
+   */
+  getBrightnessGrid(imageData, options = {}) {
+    const { values, width, height } = this._sampleQuadrants(imageData, options);
+    return { values, width, height };
+  }
+
+  /**
+   * Pick the glyph split whose two mean colors best reproduce the quadrants
+   * @private
+   * @param {Object[]} quadrants - { r, g, b } for top-left, top-right, bottom-left, bottom-right
+   * @returns {Object} - { mask, foreground, background }; mask 0 means a uniform cell
+   */
+  _bestSplit(quadrants) {
+    const mean = this._mean(quadrants);
+    let best = { mask: 0, foreground: mean, background: mean, error: this._splitError([], quadrants, mean, mean) };
+
+    for (const split of SPLITS) {
+      const inside = [];
+      const outside = [];
+      for (let q = 0; q < 4; q++) {
+        (split & QUADRANT_BITS[q] ? inside : outside).push(quadrants[q]);
+      }
+
+      const foreground = this._mean(inside);
+      const background = this._mean(outside);
+      const error = this._splitError(inside, outside, foreground, background);
+
+      // Strictly better only, so a uniform cell stays a plain background
+      if (error < best.error) {
+        best = { mask: split, foreground, background, error };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Squared color error of a split
+   * @private
+   * @param {Object[]} inside - Foreground quadrant colors
+   * @param {Object[]} outside - Background quadrant colors
+   * @param {Object} foreground - Foreground color
+   * @param {Object} background - Background color
+   * @returns {number}
+   */
+  _splitError(inside, outside, foreground, background) {
+    const distance = (a, b) => (a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2;
+    let error = 0;
+    inside.forEach(color => { error += distance(color, foreground); });
+    outside.forEach(color => { error += distance(color, background); });
+    return error;
+  }
+
+  /**
+   * Mean of a list of colors
+   * @private
+   * @param {Object[]} list - { r, g, b } colors
+   * @returns {Object} - { r, g, b }
+   */
+  _mean(list) {
+    const sum = { r: 0, g: 0, b: 0 };
+    list.forEach(color => {
+      sum.r += color.r;
+      sum.g += color.g;
+      sum.b += color.b;
+    });
+    return {
+      r: Math.round(sum.r / list.length),
+      g: Math.round(sum.g / list.length),
+      b: Math.round(sum.b / list.length)
+    };
+  }
+
+  /**
+   * Format a cell color
+   * @private
+   * @param {Object} color - { r, g, b }
+   * @param {boolean} monochrome - Snap to white on black
+   * @returns {string}
+   */
+  _formatColor(color, monochrome) {
+    if (monochrome) {
+      return color.r >= 128 ? '#ffffff' : '#000000';
+    }
+    return `rgb(${color.r}, ${color.g}, ${color.b})`;
+  }
+
+  /**
+   * Average the color and brightness of every quadrant
+   * @private
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values, pixels, width, height, columns, rows }
+   */
+  _sampleQuadrants(imageData, options) {
+    const { width: columns = 100 } = options;
+    const brightnessModel = options.brightnessModel || this.getDefaultBrightnessModel();
+
+    // Calculate ASCII grid dimensions
+    const aspectRatio = imageData.height / imageData.width;
+    const rows = Math.floor(columns * aspectRatio * 0.5); // 0.5 to account for character aspect ratio
+
+    // Quadrant size in pixels
+    const quadrantWidth = imageData.width / columns / 2;
+    const quadrantHeight = imageData.height / rows / 2;
+
+    const width = columns * 2;
+    const height = rows * 2;
+    const values = new Float64Array(width * height);
+    const pixels = new Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = this.sampleRegion(
+          imageData,
+          x * quadrantWidth,
+          y * quadrantHeight,
+          (x + 1) * quadrantWidth,
+          (y + 1) * quadrantHeight,
+          'average'
+        );
+        pixels[y * width + x] = pixel;
+        values[y * width + x] = this.calculateBrightness(pixel.r, pixel.g, pixel.b, brightnessModel);
+      }
+    }
+
+    return { values, pixels, width, height, columns, rows };
+  }
+}
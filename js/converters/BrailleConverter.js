@@ -0,0 +1,166 @@
+/**
+ * BrailleConverter - Sub-cell converter using Unicode Braille patterns
+ * Each character cell holds 2x4 binary dots (U+2800-U+28FF), giving four times
+ * the vertical and twice the horizontal resolution of one-glyph-per-cell output.
+ */
+import BaseConverter from './BaseConverter.js';
+import config from '../config.js';
+
+const BRAILLE_BASE = 0x2800;
+
+// Dot bit for each sub-pixel, indexed [row][column]
+const DOT_BITS = [
+  [0x01, 0x08],
+  [0x02, 0x10],
+  [0x04, 0x20],
+  [0x40, 0x80]
+];
+
+export default class BrailleConverter extends BaseConverter {
+  /**
+   * Get converter name
+   * @returns {string}
+   */
+  getName() {
+    return 'Braille';
+  }
+
+  /**
+   * Get converter description
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Braille patterns with 2x4 dots per character';
+  }
+
+  /**
+   * Convert image to Braille patterns
+   * Bright sub-pixels become raised dots.
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @param {number} options.width - Target width in characters
+   * @param {number} [options.brailleThreshold] - Brightness (0-255) at which a dot is raised
+   *   when not dithering
+   * @param {string} [options.dithering='none'] - Dithering between dot and no dot
+   * @returns {{chars: string[][], colors: string[][], width: number, height: number}}
+   */
+  convert(imageData, options = {}) {
+    const {
+      brailleThreshold = config.ascii.braille.defaultThreshold,
+      dithering = 'none',
+      colorMode = 'monochrome',
+      saturationBoost = 1.0,
+      luminanceBoost = 1.0
+    } = options;
+
+    const grid = this._sampleDots(imageData, options);
+    const { columns, rows, cellWidth, cellHeight } = grid;
+    const values = this.applyToneMapping(grid.values, grid.width, grid.height, options);
+
+    // Threshold or dither every sub-pixel to dot / no dot
+    let dots;
+    if (dithering === 'none') {
+      dots = values.map(value => (value >= brailleThreshold ? 1 : 0));
+    } else {
+      dots = this.ditherToCharIndices(values, grid.width, grid.height, 2, dithering);
+    }
+
+    const chars = [];
+    const colors = [];
+
+    for (let row = 0; row < rows; row++) {
+      const charRow = [];
+      const colorRow = [];
+
+      for (let col = 0; col < columns; col++) {
+        let pattern = 0;
+        for (let dy = 0; dy < 4; dy++) {
+          for (let dx = 0; dx < 2; dx++) {
+            if (dots[(row * 4 + dy) * grid.width + col * 2 + dx]) {
+              pattern |= DOT_BITS[dy][dx];
+            }
+          }
+        }
+
+        charRow.push(String.fromCharCode(BRAILLE_BASE + pattern));
+
+        if (colorMode === 'color') {
+          // Sample color from the whole cell
+          const pixel = this.sampleRegion(
+            imageData,
+            col * cellWidth,
+            row * cellHeight,
+            (col + 1) * cellWidth,
+            (row + 1) * cellHeight,
+            'average'
+          );
+          // Apply saturation boost, then luminance boost
+          const saturated = this.boostSaturation(pixel.r, pixel.g, pixel.b, saturationBoost);
+          const boosted = this.boostLuminance(saturated.r, saturated.g, saturated.b, luminanceBoost);
+          colorRow.push(`rgb(${boosted.r}, ${boosted.g}, ${boosted.b})`);
+        } else {
+          // Monochrome mode uses white on black
+          colorRow.push('#ffffff');
+        }
+      }
+
+      chars.push(charRow);
+      colors.push(colorRow);
+    }
+
+    return { chars, colors, width: columns, height: rows };
+  }
+
+  /**
+   * Dot brightness values before tone mapping
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values: Float64Array, width: number, height: number }
+   */
+  getBrightnessGrid(imageData, options = {}) {
+    const { values, width, height } = this._sampleDots(imageData, options);
+    return { values, width, height };
+  }
+
+  /**
+   * Average the brightness of every dot's area
+   * @private
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values, width, height, columns, rows, cellWidth, cellHeight }
+   */
+  _sampleDots(imageData, options) {
+    const { width: columns = 100 } = options;
+    const brightnessModel = options.brightnessModel || this.getDefaultBrightnessModel();
+
+    // Calculate ASCII grid dimensions
+    const aspectRatio = imageData.height / imageData.width;
+    const rows = Math.floor(columns * aspectRatio * 0.5); // 0.5 to account for character aspect ratio
+
+    // Calculate cell size in pixels
+    const cellWidth = imageData.width / columns;
+    const cellHeight = imageData.height / rows;
+
+    const width = columns * 2;
+    const height = rows * 4;
+    const dotWidth = cellWidth / 2;
+    const dotHeight = cellHeight / 4;
+    const values = new Float64Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = this.sampleRegion(
+          imageData,
+          x * dotWidth,
+          y * dotHeight,
+          (x + 1) * dotWidth,
+          (y + 1) * dotHeight,
+          'average'
+        );
+        values[y * width + x] = this.calculateBrightness(pixel.r, pixel.g, pixel.b, brightnessModel);
+      }
+    }
+
+    return { values, width, height, columns, rows, cellWidth, cellHeight };
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * ConverterRegistry - Built-in converter classes keyed by engine name
+ * Shared by the main thread and conversion workers so both sides
+ * construct the same converters from a name alone
+ */
+import DensityConverter from './DensityConverter.js';
+import EdgeDetectionConverter from './EdgeDetectionConverter.js';
+import ShapeConverter from './ShapeConverter.js';
+import BrailleConverter from './BrailleConverter.js';
+import BlockConverter from './BlockConverter.js';
+
+export default {
+  density: DensityConverter,
+  edge: EdgeDetectionConverter,
+  shape: ShapeConverter,
+  braille: BrailleConverter,
+  block: BlockConverter
+};
@@ -9,18 +9,30 @@ export default class DensityConverter extends BaseConverter {
    * Convert ImageData to ASCII art using brightness density
    * @param {ImageData} imageData - Image data to convert
    * @param {Object} options - Conversion options
+   * @param {string} [options.samplingMode='center'] - 'center', 'average', 'median', 'max' or 'min'
+   * @param {string} [options.dithering='none'] - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
    * @returns {Object} - { chars: string[][], colors: string[][] }
    */
   convert(imageData, options) {
-    const { charSet, width, colorMode, saturationBoost = 1.0, luminanceBoost = 1.0 } = options;
+    const {
+      charSet,
+      colorMode,
+      saturationBoost = 1.0,
+      luminanceBoost = 1.0
+    } = options;
 
-    // Calculate ASCII grid dimensions
-    const aspectRatio = imageData.height / imageData.width;
-    const height = Math.floor(width * aspectRatio * 0.5); // 0.5 to account for character aspect ratio
+    // Sample every cell, then tone map the whole brightness grid at once
+    const { pixels, values, width, height } = this._sampleCells(imageData, options);
+    const brightnessGrid = this.applyToneMapping(values, width, height, options);
 
-    // Calculate cell size in pixels
-    const cellWidth = imageData.width / width;
-    const cellHeight = imageData.height / height;
+    // Map brightness to character indices (dithering spreads quantization error between cells)
+    const charIndices = this.ditherToCharIndices(
+      brightnessGrid,
+      width,
+      height,
+      charSet.length,
+      options.dithering || 'none'
+    );
 
     // Initialize output arrays
     const chars = [];
@@ -32,19 +44,10 @@ export default class DensityConverter extends BaseConverter {
       const colorRow = [];
 
       for (let col = 0; col < width; col++) {
-        // Sample pixel at cell center
-        const x = Math.floor(col * cellWidth + cellWidth / 2);
-        const y = Math.floor(row * cellHeight + cellHeight / 2);
-
-        // Get pixel data
-        const pixel = this.getPixel(imageData, x, y);
-
-        // Calculate brightness
-        const brightness = this.calculateBrightness(pixel.r, pixel.g, pixel.b);
+        const index = row * width + col;
+        const pixel = pixels[index];
 
-        // Map brightness to character
-        const charIndex = this.brightnessToCharIndex(brightness, charSet);
-        const char = charSet[charIndex];
+        const char = charSet[charIndices[index]];
 
         charRow.push(char);
 
@@ -72,6 +75,61 @@ export default class DensityConverter extends BaseConverter {
     };
   }
 
+  /**
+   * Per-cell brightness values before tone mapping
+   * @param {ImageData} imageData - Image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values: Float64Array, width: number, height: number }
+   */
+  getBrightnessGrid(imageData, options) {
+    const { values, width, height } = this._sampleCells(imageData, options);
+    return { values, width, height };
+  }
+
+  /**
+   * Sample the pixel and brightness of every cell in the ASCII grid
+   * @private
+   * @param {ImageData} imageData - Image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { pixels: Object[], values: Float64Array, width: number, height: number }
+   */
+  _sampleCells(imageData, options) {
+    const { width, samplingMode = 'center' } = options;
+    const brightnessModel = options.brightnessModel || this.getDefaultBrightnessModel();
+
+    // Calculate ASCII grid dimensions
+    const aspectRatio = imageData.height / imageData.width;
+    const height = Math.floor(width * aspectRatio * 0.5); // 0.5 to account for character aspect ratio
+
+    // Calculate cell size in pixels
+    const cellWidth = imageData.width / width;
+    const cellHeight = imageData.height / height;
+
+    const pixels = new Array(width * height);
+    const values = new Float64Array(width * height);
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        // Sample the cell with the selected strategy
+        const pixel = this.sampleRegion(
+          imageData,
+          col * cellWidth,
+          row * cellHeight,
+          (col + 1) * cellWidth,
+          (row + 1) * cellHeight,
+          samplingMode,
+          brightnessModel
+        );
+
+        const index = row * width + col;
+        pixels[index] = pixel;
+        values[index] = this.calculateBrightness(pixel.r, pixel.g, pixel.b, brightnessModel);
+      }
+    }
+
+    return { pixels, values, width, height };
+  }
+
   /**
    * Get converter name
    * @returns {string}
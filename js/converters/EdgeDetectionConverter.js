@@ -31,6 +31,14 @@ export default class EdgeDetectionConverter extends BaseConverter {
     return 'Canny edge detection with size-based character selection';
   }
 
+  /**
+   * Edge detection has always run on Rec.601 luma
+   * @returns {string}
+   */
+  getDefaultBrightnessModel() {
+    return 'rec601';
+  }
+
   /**
    * Convert image to ASCII using edge detection
    * @param {ImageData} imageData - Source image data
@@ -40,6 +48,14 @@ export default class EdgeDetectionConverter extends BaseConverter {
    * @param {string} options.fillCharSet - Characters for fill (small to large)
    * @param {number} options.cannyLowThreshold - Canny low threshold (0-255)
    * @param {number} options.cannyHighThreshold - Canny high threshold (0-255)
+   * @param {string} [options.brightnessModel='rec601'] - Brightness model for the grayscale pass
+   * @param {string} [options.toneMapping='none'] - Contrast preprocessing for character selection
+   * @param {string} [options.dithering='none'] - Dithering for fill characters
+   * @param {boolean} [options.directionalEdges=false] - Pick edge glyphs by edge direction
+   * @param {string} [options.horizontalEdgeCharSet='-'] - Glyphs for horizontal edges (light to heavy)
+   * @param {string} [options.verticalEdgeCharSet='|'] - Glyphs for vertical edges
+   * @param {string} [options.risingEdgeCharSet='/'] - Glyphs for edges rising to the right
+   * @param {string} [options.fallingEdgeCharSet='\\'] - Glyphs for edges falling to the right
    * @returns {{chars: string[][], colors: string[][]}}
    */
   convert(imageData, options = {}) {
@@ -51,36 +67,25 @@ export default class EdgeDetectionConverter extends BaseConverter {
       cannyHighThreshold = 150,
       colorMode = 'monochrome',
       saturationBoost = 1.0,
-      luminanceBoost = 1.0
+      luminanceBoost = 1.0,
+      directionalEdges = false,
+      horizontalEdgeCharSet = '-',
+      verticalEdgeCharSet = '|',
+      risingEdgeCharSet = '/',
+      fallingEdgeCharSet = '\\'
     } = options;
 
-    const { width: imgWidth, height: imgHeight, data } = imageData;
-
-    // Calculate dimensions
-    const charWidth = imgWidth / targetWidth;
-    const charHeight = charWidth * 2; // ASCII chars are roughly 2x taller than wide
-    const targetHeight = Math.floor(imgHeight / charHeight);
-
-    // Downsample image for edge detection
-    const downsampledWidth = targetWidth;
-    const downsampledHeight = targetHeight;
-    const downsampledRGBA = this.downsampleImage(
-      data,
-      imgWidth,
-      imgHeight,
-      downsampledWidth,
-      downsampledHeight
-    );
-
-    // Convert downsampled image to grayscale for Canny
-    const grayscale = CannyEdgeDetection.rgbaToGrayscale(
+    // Downsample to one pixel per character cell
+    const {
       downsampledRGBA,
-      downsampledWidth,
-      downsampledHeight
-    );
+      grayscale,
+      width: downsampledWidth,
+      height: downsampledHeight
+    } = this._downsampleToGrayscale(imageData, options);
+    const targetHeight = downsampledHeight;
 
     // Run Canny edge detection
-    const edgeMap = CannyEdgeDetection.detectEdges(
+    const { edges: edgeMap, direction } = CannyEdgeDetection.detectEdgesWithDirection(
       grayscale,
       downsampledWidth,
       downsampledHeight,
@@ -88,6 +93,26 @@ export default class EdgeDetectionConverter extends BaseConverter {
       cannyHighThreshold
     );
 
+    // Edge ramps per quantized gradient direction (0°, 45°, 90°, 135°).
+    // The glyph runs along the edge, perpendicular to the gradient.
+    const directionCharSets = directionalEdges
+      ? [verticalEdgeCharSet, risingEdgeCharSet, horizontalEdgeCharSet, fallingEdgeCharSet]
+      : null;
+
+    // Tone mapping only affects character selection; Canny sees the raw grayscale
+    const brightnessGrid = this.applyToneMapping(grayscale, downsampledWidth, downsampledHeight, options);
+
+    // Dither the fill cells only; edge cells keep their own ramp and don't take part in error diffusion
+    const fillMask = edgeMap.map(value => (value === 255 ? 0 : 1));
+    const fillIndices = this.ditherToCharIndices(
+      brightnessGrid,
+      downsampledWidth,
+      downsampledHeight,
+      fillCharSet.length,
+      options.dithering || 'none',
+      fillMask
+    );
+
     // Generate ASCII art
     const chars = [];
     const colors = [];
@@ -102,19 +127,22 @@ export default class EdgeDetectionConverter extends BaseConverter {
         // Check if this is an edge pixel
         const isEdge = edgeMap[index] === 255;
 
-        // Get brightness from grayscale
-        const brightness = grayscale[index];
+        // Get brightness from the tone-mapped grayscale
+        const brightness = brightnessGrid[index];
 
         // Select character based on edge status and brightness
         let char;
         if (isEdge) {
-          // Edge: use uppercase characters
+          // Edge: use direction-aware glyphs, or uppercase characters
           // Darker → lighter chars (I, L), Brighter → heavier chars (&, #)
-          char = this.getCharForBrightness(brightness, edgeCharSet);
+          const charSet = directionCharSets
+            ? directionCharSets[CannyEdgeDetection.quantizeDirection(direction[index])]
+            : edgeCharSet;
+          char = this.getCharForBrightness(brightness, charSet);
         } else {
           // Fill: use lowercase/punctuation characters
           // Darker → smaller chars (space, period), Brighter → larger chars (m, w, j)
-          char = this.getCharForBrightness(brightness, fillCharSet);
+          char = fillCharSet[fillIndices[index]];
         }
 
         // Determine color based on colorMode
@@ -144,6 +172,55 @@ export default class EdgeDetectionConverter extends BaseConverter {
     return { chars, colors, width: targetWidth, height: targetHeight };
   }
 
+  /**
+   * Per-cell grayscale values before tone mapping
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values: Uint8ClampedArray, width: number, height: number }
+   */
+  getBrightnessGrid(imageData, options = {}) {
+    const { grayscale, width, height } = this._downsampleToGrayscale(imageData, options);
+    return { values: grayscale, width, height };
+  }
+
+  /**
+   * Downsample the image to one pixel per character cell and convert it to grayscale
+   * @private
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { downsampledRGBA, grayscale, width, height }
+   */
+  _downsampleToGrayscale(imageData, options) {
+    const { width: targetWidth = 100 } = options;
+    const brightnessModel = options.brightnessModel || this.getDefaultBrightnessModel();
+
+    const { width: imgWidth, height: imgHeight, data } = imageData;
+
+    // Calculate dimensions
+    const charWidth = imgWidth / targetWidth;
+    const charHeight = charWidth * 2; // ASCII chars are roughly 2x taller than wide
+    const targetHeight = Math.floor(imgHeight / charHeight);
+
+    // Downsample image for edge detection
+    const downsampledRGBA = this.downsampleImage(
+      data,
+      imgWidth,
+      imgHeight,
+      targetWidth,
+      targetHeight
+    );
+
+    // Convert downsampled image to grayscale for Canny
+    const grayscale = CannyEdgeDetection.rgbaToGrayscale(
+      downsampledRGBA,
+      targetWidth,
+      targetHeight,
+      (r, g, b) => this.calculateBrightness(r, g, b, brightnessModel)
+    );
+
+    return { downsampledRGBA, grayscale, width: targetWidth, height: targetHeight };
+  }
+
   /**
    * Downsample RGBA image to target dimensions
    * Uses area averaging for better quality
@@ -160,34 +237,26 @@ export default class EdgeDetectionConverter extends BaseConverter {
     const xRatio = srcWidth / dstWidth;
     const yRatio = srcHeight / dstHeight;
 
+    const source = { data, width: srcWidth, height: srcHeight };
+
     for (let dy = 0; dy < dstHeight; dy++) {
       for (let dx = 0; dx < dstWidth; dx++) {
-        // Calculate source rectangle
-        const sx1 = Math.floor(dx * xRatio);
-        const sy1 = Math.floor(dy * yRatio);
-        const sx2 = Math.ceil((dx + 1) * xRatio);
-        const sy2 = Math.ceil((dy + 1) * yRatio);
-
-        // Average all pixels in source rectangle
-        let r = 0, g = 0, b = 0, a = 0, count = 0;
-
-        for (let sy = sy1; sy < sy2 && sy < srcHeight; sy++) {
-          for (let sx = sx1; sx < sx2 && sx < srcWidth; sx++) {
-            const srcIndex = (sy * srcWidth + sx) * 4;
-            r += data[srcIndex];
-            g += data[srcIndex + 1];
-            b += data[srcIndex + 2];
-            a += data[srcIndex + 3];
-            count++;
-          }
-        }
+        // Average all pixels in the source rectangle
+        const pixel = this.sampleRegion(
+          source,
+          dx * xRatio,
+          dy * yRatio,
+          (dx + 1) * xRatio,
+          (dy + 1) * yRatio,
+          'average'
+        );
 
         // Store averaged pixel
         const dstIndex = (dy * dstWidth + dx) * 4;
-        downsampled[dstIndex] = Math.round(r / count);
-        downsampled[dstIndex + 1] = Math.round(g / count);
-        downsampled[dstIndex + 2] = Math.round(b / count);
-        downsampled[dstIndex + 3] = Math.round(a / count);
+        downsampled[dstIndex] = pixel.r;
+        downsampled[dstIndex + 1] = pixel.g;
+        downsampled[dstIndex + 2] = pixel.b;
+        downsampled[dstIndex + 3] = pixel.a;
       }
     }
 
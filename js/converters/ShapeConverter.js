@@ -0,0 +1,295 @@
+/**
+ * ShapeConverter - Picks the glyph whose shape best matches each cell
+ * Every candidate character is rasterized at the comparison size of a cell and
+ * scored against the cell's brightness block with SSIM (structural similarity),
+ * so lines in the source become '/', '\', '|', '_' and similar glyphs.
+ */
+import BaseConverter from './BaseConverter.js';
+import CanvasFactory from '../utils/CanvasFactory.js';
+import config from '../config.js';
+
+// Comparison block width range in pixels; height is twice the width (cell aspect ratio)
+const MIN_SAMPLE_WIDTH = 4;
+const MAX_SAMPLE_WIDTH = 12;
+
+// Font/size combinations kept in the glyph cache
+const MAX_CACHED_FONTS = 8;
+
+// SSIM stabilizing constants for values in the 0-1 range
+const SSIM_C1 = 0.01 * 0.01;
+const SSIM_C2 = 0.03 * 0.03;
+
+export default class ShapeConverter extends BaseConverter {
+  constructor() {
+    super();
+    // font key -> Map(char -> glyph)
+    this.glyphCache = new Map();
+  }
+
+  /**
+   * Get converter name
+   * @returns {string}
+   */
+  getName() {
+    return 'Shape Matching';
+  }
+
+  /**
+   * Get converter description
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Matches glyph shapes to image structure using SSIM';
+  }
+
+  /**
+   * Convert image to ASCII by matching glyph shapes
+   * Dithering does not apply: cells are matched, not quantized.
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @param {number} options.width - Target ASCII width
+   * @param {string} [options.shapeCharSet] - Candidate characters (any order)
+   * @param {Object} [options.renderOptions] - Rendering options; fontFamily selects the glyph font
+   * @returns {{chars: string[][], colors: string[][], width: number, height: number}}
+   */
+  convert(imageData, options = {}) {
+    const {
+      shapeCharSet = config.ascii.shape.defaultCharSet,
+      colorMode = 'monochrome',
+      saturationBoost = 1.0,
+      luminanceBoost = 1.0
+    } = options;
+
+    const grid = this._sampleGrid(imageData, options);
+    const { columns, rows, sampleWidth, sampleHeight } = grid;
+    const values = this.applyToneMapping(grid.values, grid.width, grid.height, options);
+
+    const fontFamily = options.renderOptions?.fontFamily || config.canvas.fontFamily;
+    const glyphs = this._getGlyphs(shapeCharSet || ' ', fontFamily, sampleWidth, sampleHeight);
+
+    const blockSize = sampleWidth * sampleHeight;
+    const block = new Float64Array(blockSize);
+
+    const chars = [];
+    const colors = [];
+
+    for (let row = 0; row < rows; row++) {
+      const charRow = [];
+      const colorRow = [];
+
+      for (let col = 0; col < columns; col++) {
+        // Gather the cell's block, normalized to 0-1
+        let sum = 0;
+        for (let sy = 0; sy < sampleHeight; sy++) {
+          const offset = (row * sampleHeight + sy) * grid.width + col * sampleWidth;
+          for (let sx = 0; sx < sampleWidth; sx++) {
+            const value = values[offset + sx] / 255;
+            block[sy * sampleWidth + sx] = value;
+            sum += value;
+          }
+        }
+
+        const mean = sum / blockSize;
+        let variance = 0;
+        for (let i = 0; i < blockSize; i++) {
+          variance += (block[i] - mean) * (block[i] - mean);
+        }
+        variance /= blockSize;
+
+        // Pick the glyph with the highest SSIM
+        let bestChar = glyphs[0].char;
+        let bestScore = -Infinity;
+
+        for (const glyph of glyphs) {
+          let cross = 0;
+          for (let i = 0; i < blockSize; i++) {
+            cross += block[i] * glyph.bitmap[i];
+          }
+          const covariance = cross / blockSize - mean * glyph.mean;
+
+          const score =
+            ((2 * mean * glyph.mean + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+            ((mean * mean + glyph.mean * glyph.mean + SSIM_C1) * (variance + glyph.variance + SSIM_C2));
+
+          if (score > bestScore) {
+            bestScore = score;
+            bestChar = glyph.char;
+          }
+        }
+
+        charRow.push(bestChar);
+
+        if (colorMode === 'color') {
+          const pixel = grid.colors[row * columns + col];
+          // Apply saturation boost, then luminance boost
+          const saturated = this.boostSaturation(pixel.r, pixel.g, pixel.b, saturationBoost);
+          const boosted = this.boostLuminance(saturated.r, saturated.g, saturated.b, luminanceBoost);
+          colorRow.push(`rgb(${boosted.r}, ${boosted.g}, ${boosted.b})`);
+        } else {
+          // Monochrome mode uses white on black
+          colorRow.push('#ffffff');
+        }
+      }
+
+      chars.push(charRow);
+      colors.push(colorRow);
+    }
+
+    return { chars, colors, width: columns, height: rows };
+  }
+
+  /**
+   * Sub-cell brightness values before tone mapping
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values: Float64Array, width: number, height: number }
+   */
+  getBrightnessGrid(imageData, options = {}) {
+    const { values, width, height } = this._sampleGrid(imageData, options);
+    return { values, width, height };
+  }
+
+  /**
+   * Sample the image into a grid of sampleWidth x sampleHeight brightness blocks per cell,
+   * plus the average color of every cell
+   * @private
+   * @param {ImageData} imageData - Source image data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - { values, width, height, colors, columns, rows, sampleWidth, sampleHeight }
+   */
+  _sampleGrid(imageData, options) {
+    const { width: columns = 100, colorMode = 'monochrome' } = options;
+    const brightnessModel = options.brightnessModel || this.getDefaultBrightnessModel();
+
+    // Calculate ASCII grid dimensions
+    const aspectRatio = imageData.height / imageData.width;
+    const rows = Math.floor(columns * aspectRatio * 0.5); // 0.5 to account for character aspect ratio
+
+    // Calculate cell size in pixels
+    const cellWidth = imageData.width / columns;
+    const cellHeight = imageData.height / rows;
+
+    // Compare glyphs at the cell's own pixel size, within sensible bounds
+    const sampleWidth = Math.min(MAX_SAMPLE_WIDTH, Math.max(MIN_SAMPLE_WIDTH, Math.round(cellWidth)));
+    const sampleHeight = sampleWidth * 2;
+    const subWidth = cellWidth / sampleWidth;
+    const subHeight = cellHeight / sampleHeight;
+
+    const width = columns * sampleWidth;
+    const height = rows * sampleHeight;
+    const values = new Float64Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = this.sampleRegion(
+          imageData,
+          x * subWidth,
+          y * subHeight,
+          (x + 1) * subWidth,
+          (y + 1) * subHeight,
+          'average'
+        );
+        values[y * width + x] = this.calculateBrightness(pixel.r, pixel.g, pixel.b, brightnessModel);
+      }
+    }
+
+    const colors = [];
+    if (colorMode === 'color') {
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+          colors.push(this.sampleRegion(
+            imageData,
+            col * cellWidth,
+            row * cellHeight,
+            (col + 1) * cellWidth,
+            (row + 1) * cellHeight,
+            'average'
+          ));
+        }
+      }
+    }
+
+    return { values, width, height, colors, columns, rows, sampleWidth, sampleHeight };
+  }
+
+  /**
+   * Get rasterized glyphs for a character set, from the cache where possible
+   * @private
+   * @param {string} charSet - Candidate characters
+   * @param {string} fontFamily - Font family
+   * @param {number} sampleWidth - Glyph bitmap width
+   * @param {number} sampleHeight - Glyph bitmap height
+   * @returns {Object[]} - [{ char, bitmap: Float32Array, mean, variance }]
+   */
+  _getGlyphs(charSet, fontFamily, sampleWidth, sampleHeight) {
+    const fontKey = `${fontFamily}\u0000${sampleWidth}x${sampleHeight}`;
+    let fontGlyphs = this.glyphCache.get(fontKey);
+
+    if (!fontGlyphs) {
+      if (this.glyphCache.size >= MAX_CACHED_FONTS) {
+        this.glyphCache.delete(this.glyphCache.keys().next().value);
+      }
+      fontGlyphs = new Map();
+      this.glyphCache.set(fontKey, fontGlyphs);
+    }
+
+    const glyphs = [];
+    let ctx = null;
+
+    for (const char of new Set(charSet)) {
+      let glyph = fontGlyphs.get(char);
+
+      if (!glyph) {
+        if (!ctx) {
+          ctx = CanvasFactory.createCanvas(sampleWidth, sampleHeight).getContext('2d', { willReadFrequently: true });
+        }
+        glyph = this._rasterizeGlyph(ctx, char, fontFamily, sampleWidth, sampleHeight);
+        fontGlyphs.set(char, glyph);
+      }
+
+      glyphs.push(glyph);
+    }
+
+    return glyphs;
+  }
+
+  /**
+   * Rasterize one glyph white on black, sized like a rendered cell
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Scratch context of sampleWidth x sampleHeight
+   * @param {string} char - Character
+   * @param {string} fontFamily - Font family
+   * @param {number} sampleWidth - Bitmap width
+   * @param {number} sampleHeight - Bitmap height
+   * @returns {Object} - { char, bitmap: Float32Array, mean, variance }
+   */
+  _rasterizeGlyph(ctx, char, fontFamily, sampleWidth, sampleHeight) {
+    // Same cell layout as CanvasRenderer: width = fontSize * 0.6, glyph drawn from the cell top
+    const fontSize = sampleWidth / 0.6;
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, sampleWidth, sampleHeight);
+    ctx.font = `${fontSize}px ${fontFamily}`;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(char, 0, 0);
+
+    const { data } = ctx.getImageData(0, 0, sampleWidth, sampleHeight);
+    const size = sampleWidth * sampleHeight;
+    const bitmap = new Float32Array(size);
+
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      bitmap[i] = data[i * 4] / 255;
+      sum += bitmap[i];
+    }
+
+    const mean = sum / size;
+    let variance = 0;
+    for (let i = 0; i < size; i++) {
+      variance += (bitmap[i] - mean) * (bitmap[i] - mean);
+    }
+
+    return { char, bitmap, mean, variance: variance / size };
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * AnimationDecoder - Frame source for animated GIF and WebP files
+ * Decodes one frame at a time with the browser's ImageDecoder, which applies
+ * the disposal and blending of earlier frames, so every frame comes out whole.
+ * Frame timing comes from AnimatedImage.getFrameDelays().
+ */
+import CanvasFactory from '../utils/CanvasFactory.js';
+import FormatSniffer from '../utils/FormatSniffer.js';
+
+export default class AnimationDecoder {
+  /**
+   * @param {File} file - Animated GIF or WebP file
+   * @param {number[]} delays - Delay of each frame in milliseconds
+   */
+  constructor(file, delays) {
+    this.file = file;
+    this.delays = delays;
+    this.decoder = null;
+    this.frameCount = 0;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * Open the file and read its dimensions
+   * @returns {Promise<void>}
+   * @throws {Error} If the browser has no ImageDecoder or cannot decode the file
+   */
+  async open() {
+    if (typeof ImageDecoder === 'undefined') {
+      throw new Error('This browser cannot decode animation frames');
+    }
+
+    // The decoder needs the real type, which the file's extension may not match
+    const data = new Uint8Array(await this.file.arrayBuffer());
+    this.decoder = new ImageDecoder({
+      data,
+      type: FormatSniffer.detect(data)?.mimeType || this.file.type
+    });
+    await this.decoder.completed;
+
+    // The file structure and the decoder can disagree on damaged files; use the frames both see
+    const track = this.decoder.tracks.selectedTrack;
+    this.frameCount = Math.min(track.frameCount, this.delays.length);
+    this.delays = this.delays.slice(0, this.frameCount);
+
+    const { image } = await this.decoder.decode({ frameIndex: 0 });
+    this.width = image.displayWidth;
+    this.height = image.displayHeight;
+    image.close();
+  }
+
+  /**
+   * Get animation metadata in the shape of FFmpegManager.getVideoInfo()
+   * @returns {Object} - { duration, fps, width, height, hasAudio, frameCount }
+   */
+  getInfo() {
+    const duration = this.getDuration();
+    return {
+      duration,
+      fps: duration > 0 ? this.frameCount / duration : 0, // Average rate
+      width: this.width,
+      height: this.height,
+      hasAudio: false,
+      frameCount: this.frameCount
+    };
+  }
+
+  /**
+   * Get the total play time
+   * @returns {number} - Seconds
+   */
+  getDuration() {
+    return this.delays.reduce((sum, delay) => sum + delay, 0) / 1000;
+  }
+
+  /**
+   * Get how long each frame is shown
+   * @returns {number[]} - Seconds per frame
+   */
+  getFrameDurations() {
+    return this.delays.map(delay => delay / 1000);
+  }
+
+  /**
+   * Find the frame shown at a time
+   * @param {number} time - Seconds from the start
+   * @returns {number} - Frame index (0-based)
+   */
+  getFrameIndexAt(time) {
+    // Whole milliseconds, so frame boundaries fall exactly on the delays
+    const position = time * 1000;
+    let end = 0;
+    for (let i = 0; i < this.frameCount; i++) {
+      end += this.delays[i];
+      if (position < end) return i;
+    }
+    return this.frameCount - 1;
+  }
+
+  /**
+   * Decode a frame
+   * @param {number} index - Frame index (0-based)
+   * @param {number} [width] - Scale to this width, keeping the aspect ratio; native size if omitted
+   * @returns {Promise<ImageData>}
+   */
+  async getFrame(index, width = null) {
+    if (!this.decoder) {
+      throw new Error('Animation is not open');
+    }
+
+    const { image } = await this.decoder.decode({ frameIndex: index });
+
+    try {
+      const frameWidth = width || image.displayWidth;
+      const frameHeight = width
+        ? Math.max(1, Math.round(image.displayHeight * width / image.displayWidth))
+        : image.displayHeight;
+
+      const canvas = CanvasFactory.createCanvas(frameWidth, frameHeight);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, frameWidth, frameHeight);
+      return ctx.getImageData(0, 0, frameWidth, frameHeight);
+    } finally {
+      image.close();
+    }
+  }
+
+  /**
+   * Release the decoder
+   */
+  close() {
+    if (this.decoder) {
+      this.decoder.close();
+      this.decoder = null;
+    }
+  }
+}
@@ -3,11 +3,29 @@
  * Manages converter registration and delegates conversion to active converter
  */
 import EventBus from '../utils/EventBus.js';
+import ToneMapping from '../utils/ToneMapping.js';
 
 export default class AsciiEngine {
   constructor() {
     this.converters = new Map();
     this.activeConverter = null;
+    this.workerPool = null;
+  }
+
+  /**
+   * Attach a worker pool used by convertAsync()
+   * @param {WorkerPool|null} workerPool - Pool instance, or null to convert inline
+   */
+  setWorkerPool(workerPool) {
+    this.workerPool = workerPool;
+  }
+
+  /**
+   * Number of conversions worth running concurrently
+   * @returns {number}
+   */
+  getConcurrency() {
+    return this.workerPool && this.workerPool.isAvailable() ? this.workerPool.size : 1;
   }
 
   /**
@@ -64,7 +82,7 @@ export default class AsciiEngine {
     });
 
     try {
-      const result = converter.convert(imageData, options);
+      const result = converter.applyAlphaCutoff(converter.convert(imageData, options), imageData, options);
 
       EventBus.emit('conversion:complete', {
         converter: this.activeConverter,
@@ -81,6 +99,67 @@ export default class AsciiEngine {
     }
   }
 
+  /**
+   * Convert ImageData to ASCII art off the main thread when a worker pool is available.
+   * Falls back to inline conversion when workers are unavailable or the active
+   * converter cannot be constructed inside a worker.
+   * @param {ImageData} imageData - Image data to convert
+   * @param {Object} options - Conversion options
+   * @param {Object} [runOptions]
+   * @param {boolean} [runOptions.transfer=false] - Transfer the pixel buffer to the worker
+   *   instead of copying it (imageData is unusable afterwards)
+   * @returns {Promise<Object>} - { chars: string[][], colors: string[][], width: number, height: number }
+   */
+  async convertAsync(imageData, options, { transfer = false } = {}) {
+    if (!this.activeConverter) {
+      throw new Error('No converter is active. Call setConverter() first.');
+    }
+
+    const name = this.activeConverter;
+    const pool = this.workerPool;
+    if (pool) {
+      await pool.init();
+    }
+    const useWorkers = pool && pool.isAvailable() && pool.supports(name);
+
+    if (!useWorkers) {
+      return this.convert(imageData, options);
+    }
+
+    EventBus.emit('conversion:start', {
+      converter: name,
+      options
+    });
+
+    try {
+      const result = await pool.run(name, imageData, options, transfer);
+
+      EventBus.emit('conversion:complete', {
+        converter: name,
+        result
+      });
+
+      return result;
+    } catch (error) {
+      EventBus.emit('conversion:error', {
+        converter: name,
+        error
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Histogram of the active converter's per-cell brightness, before tone mapping
+   * @param {ImageData} imageData - Image data
+   * @param {Object} options - Conversion options
+   * @returns {Uint32Array} - 256-bin histogram
+   */
+  getBrightnessHistogram(imageData, options) {
+    const { values } = this.getActiveConverter().getBrightnessGrid(imageData, options);
+    return ToneMapping.histogram(values);
+  }
+
   /**
    * Get list of available converters
    * @returns {Array} - Array of { name, description }
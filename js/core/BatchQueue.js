@@ -0,0 +1,169 @@
+/**
+ * BatchQueue - Converts a list of image files with one set of settings
+ * Files are converted one at a time so only one decoded image is held in memory.
+ * Results stay on the queue until it is cleared, ready to be exported together.
+ */
+import EventBus from '../utils/EventBus.js';
+import CanvasFactory from '../utils/CanvasFactory.js';
+
+export default class BatchQueue {
+  constructor(asciiEngine) {
+    this.asciiEngine = asciiEngine;
+    this.items = [];
+    this.nextId = 1;
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * Add files to the queue
+   * @param {Object[]} entries - { file, path } where path is the name relative to
+   *   the dropped folder, or the file name
+   */
+  add(entries) {
+    entries.forEach(({ file, path }) => {
+      this.items.push({
+        id: this.nextId++,
+        file,
+        path: path || file.name,
+        status: 'pending', // 'pending', 'converting', 'done' or 'error'
+        error: null,
+        asciiData: null,
+        settings: null
+      });
+    });
+
+    EventBus.emit('batch:updated', { items: this.items });
+  }
+
+  /**
+   * Remove one item
+   * @param {number} id - Item id
+   */
+  remove(id) {
+    if (this.running) return;
+
+    this.items = this.items.filter(item => item.id !== id);
+    EventBus.emit('batch:updated', { items: this.items });
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    if (this.running) return;
+
+    this.items = [];
+    EventBus.emit('batch:updated', { items: this.items });
+  }
+
+  /**
+   * Convert every item with the given settings, replacing earlier results
+   * @param {Object} settings - Conversion options, as for ImageProcessor.process()
+   * @returns {Promise<Object>} - { done, failed } counts
+   */
+  async run(settings) {
+    if (this.running) {
+      throw new Error('Batch conversion is already running');
+    }
+
+    this.running = true;
+    this.cancelled = false;
+    this.items.forEach(item => Object.assign(item, { status: 'pending', error: null, asciiData: null, settings: null }));
+    EventBus.emit('batch:start', { items: this.items });
+
+    for (const [index, item] of this.items.entries()) {
+      if (this.cancelled) break;
+
+      this._setStatus(item, 'converting');
+      EventBus.emit('batch:progress', { index, total: this.items.length, item });
+
+      try {
+        const imageData = await this._loadImageData(item.file);
+        item.asciiData = await this.asciiEngine.convertAsync(imageData, settings);
+        item.settings = settings;
+        this._setStatus(item, 'done');
+      } catch (error) {
+        console.error(`Batch conversion of ${item.path} failed:`, error);
+        item.error = error.message;
+        this._setStatus(item, 'error');
+      }
+    }
+
+    this.running = false;
+
+    const counts = {
+      done: this.items.filter(item => item.status === 'done').length,
+      failed: this.items.filter(item => item.status === 'error').length
+    };
+
+    if (this.cancelled) {
+      EventBus.emit('batch:cancelled', counts);
+    } else {
+      EventBus.emit('batch:complete', counts);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Stop after the item being converted
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Converted items
+   * @returns {Object[]} - Items whose status is 'done'
+   */
+  getResults() {
+    return this.items.filter(item => item.status === 'done');
+  }
+
+  /**
+   * Get all items
+   * @returns {Object[]}
+   */
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Check whether a conversion is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Update an item's status and announce it
+   * @private
+   * @param {Object} item - Queue item
+   * @param {string} status - New status
+   */
+  _setStatus(item, status) {
+    item.status = status;
+    EventBus.emit('batch:item-updated', { item });
+  }
+
+  /**
+   * Decode an image file to ImageData
+   * @private
+   * @param {File} file - Image file
+   * @returns {Promise<ImageData>}
+   */
+  async _loadImageData(file) {
+    const bitmap = await createImageBitmap(file);
+
+    try {
+      const canvas = CanvasFactory.createCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    } finally {
+      bitmap.close();
+    }
+  }
+}
@@ -1,13 +1,24 @@
 /**
  * CanvasRenderer - Renders ASCII data to a canvas element
- * Converts ASCII characters and colors to visual output
+ * Converts ASCII characters and colors to visual output.
+ * Renders to an OffscreenCanvas when no document is available (workers, headless use).
  */
 import config from '../config.js';
+import GlyphAtlas from './GlyphAtlas.js';
+import CanvasFactory from '../utils/CanvasFactory.js';
+import BlockElements from '../utils/BlockElements.js';
 
 export default class CanvasRenderer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.backend='auto'] - 'auto', 'dom' or 'offscreen'.
+   *   'auto' picks 'dom' when a document exists and 'offscreen' otherwise.
+   */
+  constructor({ backend = 'auto' } = {}) {
+    this.backend = CanvasFactory.resolveBackend(backend);
     this.canvas = null;
     this.ctx = null;
+    this.glyphAtlas = null;
   }
 
   /**
@@ -15,68 +26,278 @@ export default class CanvasRenderer {
    * @param {Object} asciiData - ASCII data from converter
    * @param {string[][]} asciiData.chars - 2D array of characters
    * @param {string[][]} asciiData.colors - 2D array of colors
+   * @param {string[][]} [asciiData.backgrounds] - 2D array of cell background colors (null = none)
+   * @param {boolean[][]} [asciiData.transparent] - Cells left clear by a transparent render
    * @param {number} asciiData.width - Width in characters
    * @param {number} asciiData.height - Height in characters
    * @param {Object} renderOptions - Rendering options
-   * @returns {HTMLCanvasElement} - Rendered canvas element
+   * @returns {HTMLCanvasElement|OffscreenCanvas} - Rendered canvas
    */
   render(asciiData, renderOptions = {}) {
-    const { chars, colors, width, height } = asciiData;
+    const layout = this.measure(asciiData, renderOptions);
+    const { options, canvasWidth, canvasHeight } = layout;
+
+    // Create or resize canvas
+    if (!this.canvas) {
+      this.canvas = CanvasFactory.createCanvas(canvasWidth, canvasHeight, this.backend);
+    }
+
+    this.canvas.width = canvasWidth;
+    this.canvas.height = canvasHeight;
+
+    this.ctx = this.canvas.getContext('2d');
+
+    // Blit pre-rasterized glyphs when enabled
+    const atlas = options.useGlyphAtlas ? this.getGlyphAtlas(options.fontSize, options.fontFamily) : null;
+
+    this._drawCells(this.ctx, asciiData, layout, { left: 0, top: 0, right: canvasWidth, bottom: canvasHeight }, atlas);
+
+    return this.canvas;
+  }
 
+  /**
+   * Resolve render options and the cell and canvas size they produce
+   * @param {Object} asciiData - ASCII data ({ width, height } in characters)
+   * @param {Object} renderOptions - Rendering options (same as render())
+   * @returns {Object} - { options, charWidth, charHeight, canvasWidth, canvasHeight }
+   */
+  measure({ width, height }, renderOptions = {}) {
     // Merge with default config
     const options = {
       fontSize: renderOptions.fontSize || config.canvas.fontSize,
       fontFamily: renderOptions.fontFamily || config.canvas.fontFamily,
       lineHeight: renderOptions.lineHeight || config.canvas.lineHeight,
       backgroundColor: renderOptions.backgroundColor || config.canvas.backgroundColor,
-      foregroundColor: renderOptions.foregroundColor || config.canvas.foregroundColor
+      foregroundColor: renderOptions.foregroundColor || config.canvas.foregroundColor,
+      useGlyphAtlas: renderOptions.useGlyphAtlas ?? config.canvas.useGlyphAtlas,
+      transparentBackground: renderOptions.transparentBackground ?? false
     };
 
     // Calculate canvas dimensions
     const charWidth = options.fontSize * 0.6; // Monospace character width approximation
     const charHeight = options.fontSize * options.lineHeight;
 
-    const canvasWidth = Math.ceil(width * charWidth);
-    const canvasHeight = Math.ceil(height * charHeight);
+    return {
+      options,
+      charWidth,
+      charHeight,
+      canvasWidth: Math.ceil(width * charWidth),
+      canvasHeight: Math.ceil(height * charHeight)
+    };
+  }
+
+  /**
+   * Render into bands on a separate canvas, leaving the preview canvas untouched
+   * The full image never exists as one canvas, so outputs far beyond browser canvas
+   * limits can be produced. Wide images are drawn in several tiles per band.
+   * The glyph atlas is not used.
+   * @param {Object} asciiData - ASCII data from converter
+   * @param {Object} renderOptions - Rendering options (same as render())
+   * @param {Function} onBand - async (pixels: Uint8ClampedArray, top, rows) => void;
+   *   RGBA pixels of full-width rows starting at pixel row top
+   * @param {Object} [limits]
+   * @param {number} [limits.maxTileSide] - Largest tile width or height in pixels
+   * @param {number} [limits.maxTilePixels] - Largest tile area in pixels
+   * @returns {Promise<Object>} - { width, height } of the whole image in pixels
+   */
+  async renderTiles(asciiData, renderOptions, onBand, {
+    maxTileSide = config.export.png.maxTileSide,
+    maxTilePixels = config.export.png.maxTilePixels
+  } = {}) {
+    const layout = this.measure(asciiData, { ...renderOptions, useGlyphAtlas: false });
+    const { canvasWidth, canvasHeight } = layout;
 
-    // Create or resize canvas
-    if (!this.canvas) {
-      this.canvas = document.createElement('canvas');
+    const tileWidth = Math.min(canvasWidth, maxTileSide);
+    const bandHeight = Math.max(1, Math.min(canvasHeight, maxTileSide, Math.floor(maxTilePixels / tileWidth)));
+
+    const canvas = CanvasFactory.createCanvas(tileWidth, bandHeight, this.backend);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    for (let top = 0; top < canvasHeight; top += bandHeight) {
+      const rows = Math.min(bandHeight, canvasHeight - top);
+
+      // A single tile already spans the full width; otherwise tiles are stitched into the band
+      const band = tileWidth === canvasWidth ? null : new Uint8ClampedArray(canvasWidth * rows * 4);
+
+      for (let left = 0; left < canvasWidth; left += tileWidth) {
+        const columns = Math.min(tileWidth, canvasWidth - left);
+
+        ctx.setTransform(1, 0, 0, 1, -left, -top);
+        this._drawCells(ctx, asciiData, layout, { left, top, right: left + columns, bottom: top + rows }, null);
+
+        const pixels = ctx.getImageData(0, 0, columns, rows).data;
+        if (!band) {
+          await onBand(pixels, top, rows);
+          continue;
+        }
+
+        for (let y = 0; y < rows; y++) {
+          band.set(pixels.subarray(y * columns * 4, (y + 1) * columns * 4), (y * canvasWidth + left) * 4);
+        }
+      }
+
+      if (band) {
+        await onBand(band, top, rows);
+      }
     }
 
-    this.canvas.width = canvasWidth;
-    this.canvas.height = canvasHeight;
+    return { width: canvasWidth, height: canvasHeight };
+  }
 
-    this.ctx = this.canvas.getContext('2d');
+  /**
+   * Draw the cells overlapping a pixel region
+   * Neighbouring rows and columns are included so glyphs overhanging their cell are
+   * drawn the same as in a full render.
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Target, transformed so the region is visible
+   * @param {Object} asciiData - ASCII data from converter
+   * @param {Object} layout - From measure()
+   * @param {Object} region - { left, top, right, bottom } in image pixels
+   * @param {GlyphAtlas|null} atlas - Glyph atlas, or null to use fillText; only for
+   *   full renders, whose region starts at the origin
+   */
+  _drawCells(ctx, { chars, colors, backgrounds, transparent, width, height }, layout, region, atlas) {
+    const { options, charWidth, charHeight } = layout;
+
+    const firstRow = Math.max(0, Math.floor(region.top / charHeight) - 1);
+    const lastRow = Math.min(height, Math.ceil(region.bottom / charHeight) + 1);
+    const firstCol = Math.max(0, Math.floor(region.left / charWidth) - 1);
+    const lastCol = Math.min(width, Math.ceil(region.right / charWidth) + 1);
+
+    // Fill background; a transparent render only fills cells not tagged transparent
+    if (!options.transparentBackground) {
+      ctx.fillStyle = options.backgroundColor;
+      ctx.fillRect(region.left, region.top, region.right - region.left, region.bottom - region.top);
+    } else {
+      ctx.clearRect(region.left, region.top, region.right - region.left, region.bottom - region.top);
+
+      if (transparent) {
+        ctx.fillStyle = options.backgroundColor;
+        for (let row = firstRow; row < lastRow; row++) {
+          const top = Math.round(row * charHeight);
+          const bottom = Math.round((row + 1) * charHeight);
+
+          for (let col = firstCol; col < lastCol; col++) {
+            if (transparent[row][col]) continue;
+
+            // Fill runs of opaque cells at once
+            let end = col + 1;
+            while (end < lastCol && !transparent[row][end]) end++;
+
+            const left = Math.round(col * charWidth);
+            const right = Math.round(end * charWidth);
+            ctx.fillRect(left, top, right - left, bottom - top);
+            col = end;
+          }
+        }
+      }
+    }
+
+    // Fill per-cell backgrounds (sub-cell converters use two colors per cell)
+    if (backgrounds) {
+      for (let row = firstRow; row < lastRow; row++) {
+        const top = Math.round(row * charHeight);
+        const bottom = Math.round((row + 1) * charHeight);
 
-    // Fill background
-    this.ctx.fillStyle = options.backgroundColor;
-    this.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        for (let col = firstCol; col < lastCol; col++) {
+          const background = backgrounds[row][col];
+          if (!background) continue;
+
+          const left = Math.round(col * charWidth);
+          const right = Math.round((col + 1) * charWidth);
+          ctx.fillStyle = background;
+          ctx.fillRect(left, top, right - left, bottom - top);
+        }
+      }
+    }
 
     // Set font properties
-    this.ctx.font = `${options.fontSize}px ${options.fontFamily}`;
-    this.ctx.textBaseline = 'top';
+    ctx.font = `${options.fontSize}px ${options.fontFamily}`;
+    ctx.textBaseline = 'top';
+
+    // The atlas collects glyph masks and tints them all once the cells are placed
+    if (atlas) {
+      atlas.beginFrame(region.right - region.left, region.bottom - region.top);
+    }
 
     // Render each character
-    for (let row = 0; row < height; row++) {
-      for (let col = 0; col < width; col++) {
+    for (let row = firstRow; row < lastRow; row++) {
+      for (let col = firstCol; col < lastCol; col++) {
         const char = chars[row][col];
         const color = colors[row][col];
 
         const x = col * charWidth;
         const y = row * charHeight;
 
-        this.ctx.fillStyle = color;
-        this.ctx.fillText(char, x, y);
+        // Block elements are drawn as rectangles so neighbouring cells join without gaps
+        if (BlockElements.isBlockElement(char)) {
+          ctx.fillStyle = color;
+          BlockElements.draw(ctx, char, x, y, charWidth, charHeight);
+          continue;
+        }
+
+        if (atlas) {
+          if (char !== ' ') {
+            atlas.addGlyph(char, x, y);
+          }
+          continue;
+        }
+
+        ctx.fillStyle = color;
+        ctx.fillText(char, x, y);
       }
     }
 
-    return this.canvas;
+    if (atlas) {
+      atlas.endFrame(ctx, colors, width, height, charWidth, charHeight);
+    }
+  }
+
+  /**
+   * Get the glyph atlas for a font, rebuilding it when the font changes.
+   * The atlas survives clear() so consecutive video frames share it.
+   * @param {number} fontSize - Font size in pixels
+   * @param {string} fontFamily - Font family
+   * @returns {GlyphAtlas}
+   */
+  getGlyphAtlas(fontSize, fontFamily) {
+    if (!this.glyphAtlas || !this.glyphAtlas.matches(fontSize, fontFamily)) {
+      if (this.glyphAtlas) {
+        this.glyphAtlas.dispose();
+      }
+      this.glyphAtlas = new GlyphAtlas({ fontSize, fontFamily, backend: this.backend });
+    }
+    return this.glyphAtlas;
   }
 
   /**
-   * Get the current canvas element
-   * @returns {HTMLCanvasElement|null}
+   * Pre-rasterize the glyphs a grid will need before rendering many frames
+   * The masks are tinted per cell, so they serve every color.
+   * @param {string} charSet - Characters that may appear in the output
+   * @param {number} columns - Grid width in characters
+   * @param {number} rows - Grid height in characters
+   * @param {Object} renderOptions - Rendering options (same as render())
+   */
+  prepareGlyphAtlas(charSet, columns, rows, renderOptions = {}) {
+    const useGlyphAtlas = renderOptions.useGlyphAtlas ?? config.canvas.useGlyphAtlas;
+    if (!useGlyphAtlas) return;
+
+    const fontSize = renderOptions.fontSize || config.canvas.fontSize;
+    const fontFamily = renderOptions.fontFamily || config.canvas.fontFamily;
+    const lineHeight = renderOptions.lineHeight || config.canvas.lineHeight;
+
+    this.getGlyphAtlas(fontSize, fontFamily).prepare(
+      charSet,
+      fontSize * 0.6,
+      fontSize * lineHeight,
+      columns,
+      rows
+    );
+  }
+
+  /**
+   * Get the current canvas
+   * @returns {HTMLCanvasElement|OffscreenCanvas|null}
    */
   getCanvas() {
     return this.canvas;
@@ -92,6 +313,9 @@ export default class CanvasRenderer {
     if (!this.canvas) {
       throw new Error('No canvas to export. Call render() first.');
     }
+    if (CanvasFactory.isOffscreen(this.canvas)) {
+      throw new Error('toDataURL() is not available for OffscreenCanvas. Use toBlob() instead.');
+    }
     return this.canvas.toDataURL(format, quality);
   }
 
@@ -106,19 +330,7 @@ export default class CanvasRenderer {
       throw new Error('No canvas to export. Call render() first.');
     }
 
-    return new Promise((resolve, reject) => {
-      this.canvas.toBlob(
-        (blob) => {
-          if (blob) {
-            resolve(blob);
-          } else {
-            reject(new Error('Failed to create blob from canvas'));
-          }
-        },
-        format,
-        quality
-      );
-    });
+    return CanvasFactory.toBlob(this.canvas, format, quality);
   }
 
   /**
@@ -137,5 +349,10 @@ export default class CanvasRenderer {
     this.clear();
     this.canvas = null;
     this.ctx = null;
+
+    if (this.glyphAtlas) {
+      this.glyphAtlas.dispose();
+      this.glyphAtlas = null;
+    }
   }
 }
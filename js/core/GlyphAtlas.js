@@ -0,0 +1,336 @@
+/**
+ * GlyphAtlas - Pre-rasterized glyph masks for fast ASCII rendering
+ * Glyphs are rasterized once per font and sub-pixel phase as coverage masks on a
+ * single sheet. A frame blits the masks of its cells onto a mask layer, then tints
+ * the whole layer with the cell colors at once, instead of calling fillText for
+ * every character of every frame.
+ *
+ * Glyphs are rasterized at the same sub-pixel phase they are drawn at and blitted
+ * to integer positions, so shapes match fillText. The output is not pixel-identical
+ * though: text rasterizers adjust edge coverage for the text color, strokes that
+ * overhang into a neighbouring cell take that cell's color, and overlapping edges
+ * merge before tinting. The atlas is therefore opt-in (config.canvas.useGlyphAtlas).
+ */
+import CanvasFactory from '../utils/CanvasFactory.js';
+
+// Sub-pixel phases per pixel used to key glyph variants
+const SUBPIXEL_STEPS = 256;
+
+// Glyph slots per sheet row
+const SHEET_COLUMNS = 32;
+
+// Masks are drawn opaque, so their alpha is the glyph coverage
+const MASK_COLOR = '#ffffff';
+
+// Parsed cell colors kept between frames
+const MAX_CACHED_COLORS = 65536;
+
+export default class GlyphAtlas {
+  /**
+   * @param {Object} fontOptions
+   * @param {number} fontOptions.fontSize - Font size in pixels
+   * @param {string} fontOptions.fontFamily - Font family
+   * @param {string} [fontOptions.backend='auto'] - Canvas backend for the sheet
+   */
+  constructor({ fontSize, fontFamily, backend = 'auto' }) {
+    this.backend = backend;
+    this.fontSize = fontSize;
+    this.fontFamily = fontFamily;
+    this.font = `${fontSize}px ${fontFamily}`;
+
+    // Room around each glyph for overhanging strokes (italics, descenders, wide symbols)
+    this.padding = Math.ceil(fontSize);
+    this.slotWidth = Math.ceil(fontSize) + this.padding * 2 + 1;
+    this.slotHeight = Math.ceil(fontSize * 1.5) + this.padding * 2 + 1;
+
+    this.slots = new Map();
+    this.sheetRows = 4;
+    this.sheet = this._createSheet(this.sheetRows);
+
+    // Per-frame layers, created on first use
+    this.maskLayer = null;
+    this.colorLayer = null;
+    this.cellLayer = null;
+    this.probeLayer = null;
+    this.colorCache = new Map();
+  }
+
+  /**
+   * Check whether this atlas was built for the given font
+   * @param {number} fontSize - Font size in pixels
+   * @param {string} fontFamily - Font family
+   * @returns {boolean}
+   */
+  matches(fontSize, fontFamily) {
+    return this.fontSize === fontSize && this.fontFamily === fontFamily;
+  }
+
+  /**
+   * Pre-rasterize every glyph of a character set at the phases a grid will use
+   * @param {string} charSet - Characters to rasterize
+   * @param {number} charWidth - Cell width in pixels
+   * @param {number} charHeight - Cell height in pixels
+   * @param {number} columns - Grid width in cells
+   * @param {number} rows - Grid height in cells
+   */
+  prepare(charSet, charWidth, charHeight, columns, rows) {
+    const phasesX = this._collectPhases(charWidth, columns);
+    const phasesY = this._collectPhases(charHeight, rows);
+
+    for (const char of new Set(charSet)) {
+      if (char === ' ') continue;
+      phasesX.forEach(phaseX => {
+        phasesY.forEach(phaseY => this._getSlot(char, phaseX, phaseY));
+      });
+    }
+  }
+
+  /**
+   * Start a frame: clear the mask layer glyphs are collected on
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   */
+  beginFrame(width, height) {
+    if (!this.maskLayer) {
+      this.maskLayer = this._createLayer(width, height);
+      this.colorLayer = this._createLayer(width, height);
+    }
+    this._resizeLayer(this.maskLayer, width, height);
+    this.maskLayer.ctx.clearRect(0, 0, width, height);
+  }
+
+  /**
+   * Add a glyph's mask to the frame, as ctx.fillText(char, x, y) would place it
+   * @param {string} char - Character to draw
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   */
+  addGlyph(char, x, y) {
+    let ix = Math.floor(x);
+    let phaseX = Math.round((x - ix) * SUBPIXEL_STEPS);
+    if (phaseX === SUBPIXEL_STEPS) {
+      ix++;
+      phaseX = 0;
+    }
+
+    let iy = Math.floor(y);
+    let phaseY = Math.round((y - iy) * SUBPIXEL_STEPS);
+    if (phaseY === SUBPIXEL_STEPS) {
+      iy++;
+      phaseY = 0;
+    }
+
+    const slot = this._getSlot(char, phaseX, phaseY);
+    this.maskLayer.ctx.drawImage(
+      this.sheet.canvas,
+      slot.sx, slot.sy, this.slotWidth, this.slotHeight,
+      ix - this.padding, iy - this.padding, this.slotWidth, this.slotHeight
+    );
+  }
+
+  /**
+   * Tint the collected masks with their cells' colors and draw them onto a context
+   * Each cell's color is stretched over the cell, then cut to the glyph coverage, so
+   * the whole frame is tinted in a few draw calls whatever the number of colors.
+   * @param {CanvasRenderingContext2D} ctx - Destination context
+   * @param {string[][]} colors - Cell colors
+   * @param {number} columns - Grid width in cells
+   * @param {number} rows - Grid height in cells
+   * @param {number} charWidth - Cell width in pixels
+   * @param {number} charHeight - Cell height in pixels
+   */
+  endFrame(ctx, colors, columns, rows, charWidth, charHeight) {
+    const { width, height } = this.maskLayer.canvas;
+
+    // One pixel per cell
+    if (!this.cellLayer) {
+      this.cellLayer = this._createLayer(columns, rows);
+    }
+    this._resizeLayer(this.cellLayer, columns, rows);
+    const cellPixels = this.cellLayer.ctx.createImageData(columns, rows);
+    const data = cellPixels.data;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const { r, g, b, a } = this._parseColor(colors[row][col]);
+        const i = (row * columns + col) * 4;
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = a;
+      }
+    }
+    this.cellLayer.ctx.putImageData(cellPixels, 0, 0);
+
+    // Stretch the cell colors over the frame without blending neighbouring cells
+    const color = this.colorLayer;
+    this._resizeLayer(color, width, height);
+    color.ctx.clearRect(0, 0, width, height);
+    color.ctx.imageSmoothingEnabled = false;
+    color.ctx.drawImage(this.cellLayer.canvas, 0, 0, columns * charWidth, rows * charHeight);
+
+    // Keep the color only where glyphs have coverage
+    color.ctx.globalCompositeOperation = 'destination-in';
+    color.ctx.drawImage(this.maskLayer.canvas, 0, 0);
+    color.ctx.globalCompositeOperation = 'source-over';
+
+    ctx.drawImage(color.canvas, 0, 0);
+  }
+
+  /**
+   * Release all canvases
+   */
+  dispose() {
+    this.slots.clear();
+    this.colorCache.clear();
+    this.sheet = null;
+    this.maskLayer = null;
+    this.colorLayer = null;
+    this.cellLayer = null;
+    this.probeLayer = null;
+  }
+
+  /**
+   * Distinct sub-pixel phases of positions i * step for i in [0, count)
+   * @private
+   * @param {number} step - Cell size in pixels
+   * @param {number} count - Number of cells
+   * @returns {number[]}
+   */
+  _collectPhases(step, count) {
+    const phases = new Set();
+    const limit = Math.min(count, SUBPIXEL_STEPS);
+    for (let i = 0; i < limit; i++) {
+      const position = i * step;
+      const phase = Math.round((position - Math.floor(position)) * SUBPIXEL_STEPS) % SUBPIXEL_STEPS;
+      phases.add(phase);
+    }
+    return [...phases];
+  }
+
+  /**
+   * Get the slot for a glyph at a sub-pixel phase, rasterizing its mask the first time
+   * @private
+   * @param {string} char - Character
+   * @param {number} phaseX - Horizontal phase (0 to SUBPIXEL_STEPS - 1)
+   * @param {number} phaseY - Vertical phase (0 to SUBPIXEL_STEPS - 1)
+   * @returns {Object} - { index, sx, sy }
+   */
+  _getSlot(char, phaseX, phaseY) {
+    const key = `${char}\u0000${phaseX}\u0000${phaseY}`;
+    let slot = this.slots.get(key);
+    if (slot) {
+      return slot;
+    }
+
+    const index = this.slots.size;
+    const row = Math.floor(index / SHEET_COLUMNS);
+    if (row >= this.sheetRows) {
+      this._growSheet(this.sheetRows * 2);
+    }
+
+    slot = {
+      index,
+      sx: (index % SHEET_COLUMNS) * this.slotWidth,
+      sy: row * this.slotHeight
+    };
+
+    // Clip so overhanging strokes never bleed into neighbouring slots
+    const ctx = this.sheet.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(slot.sx, slot.sy, this.slotWidth, this.slotHeight);
+    ctx.clip();
+    ctx.font = this.font;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = MASK_COLOR;
+    ctx.fillText(
+      char,
+      slot.sx + this.padding + phaseX / SUBPIXEL_STEPS,
+      slot.sy + this.padding + phaseY / SUBPIXEL_STEPS
+    );
+    ctx.restore();
+
+    this.slots.set(key, slot);
+    return slot;
+  }
+
+  /**
+   * Parse a cell color, caching the result
+   * @private
+   * @param {string} color - CSS color
+   * @returns {Object} - { r, g, b, a }, each 0-255
+   */
+  _parseColor(color) {
+    let parsed = this.colorCache.get(color);
+    if (parsed) {
+      return parsed;
+    }
+
+    // Paint the color on a single pixel and read it back, so any CSS color works
+    if (!this.probeLayer) {
+      this.probeLayer = this._createLayer(1, 1);
+    }
+    const ctx = this.probeLayer.ctx;
+    ctx.clearRect(0, 0, 1, 1);
+    ctx.fillStyle = '#000000';
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    parsed = { r, g, b, a };
+
+    // Truecolor video can produce colors without end; start over rather than grow forever
+    if (this.colorCache.size >= MAX_CACHED_COLORS) {
+      this.colorCache.clear();
+    }
+    this.colorCache.set(color, parsed);
+    return parsed;
+  }
+
+  /**
+   * Create a canvas with its context
+   * @private
+   * @param {number} width
+   * @param {number} height
+   * @returns {Object} - { canvas, ctx }
+   */
+  _createLayer(width, height) {
+    const canvas = CanvasFactory.createCanvas(width, height, this.backend);
+    return { canvas, ctx: canvas.getContext('2d') };
+  }
+
+  /**
+   * Resize a layer if its size changed; resizing clears it
+   * @private
+   * @param {Object} layer - { canvas, ctx }
+   * @param {number} width
+   * @param {number} height
+   */
+  _resizeLayer(layer, width, height) {
+    if (layer.canvas.width !== width || layer.canvas.height !== height) {
+      layer.canvas.width = width;
+      layer.canvas.height = height;
+    }
+  }
+
+  /**
+   * Create a sheet canvas
+   * @private
+   * @param {number} rows - Slot rows
+   * @returns {Object} - { canvas, ctx }
+   */
+  _createSheet(rows) {
+    return this._createLayer(SHEET_COLUMNS * this.slotWidth, rows * this.slotHeight);
+  }
+
+  /**
+   * Resize the sheet to hold the given number of slot rows, keeping existing masks
+   * @private
+   * @param {number} rows - New row count
+   */
+  _growSheet(rows) {
+    const sheet = this._createSheet(rows);
+    sheet.ctx.drawImage(this.sheet.canvas, 0, 0);
+    this.sheet = sheet;
+    this.sheetRows = rows;
+  }
+}
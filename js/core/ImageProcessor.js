@@ -3,6 +3,9 @@
  * File → Image → ImageData → ASCII → Canvas → PNG
  */
 import EventBus from '../utils/EventBus.js';
+import CanvasFactory from '../utils/CanvasFactory.js';
+import BlockElements from '../utils/BlockElements.js';
+import DocumentExporter from '../exporters/DocumentExporter.js';
 
 export default class ImageProcessor {
   constructor(asciiEngine, canvasRenderer) {
@@ -11,6 +14,7 @@ export default class ImageProcessor {
     this.currentImage = null;
     this.currentImageData = null;
     this.currentAsciiData = null;
+    this.currentSettings = null;
   }
 
   /**
@@ -52,9 +56,7 @@ export default class ImageProcessor {
    * @returns {ImageData}
    */
   extractImageData(image) {
-    const canvas = document.createElement('canvas');
-    canvas.width = image.width;
-    canvas.height = image.height;
+    const canvas = CanvasFactory.createCanvas(image.width, image.height);
 
     const ctx = canvas.getContext('2d');
     ctx.drawImage(image, 0, 0);
@@ -68,17 +70,19 @@ export default class ImageProcessor {
   }
 
   /**
-   * Convert image to ASCII
+   * Convert image to ASCII (runs on the worker pool when available)
    * @param {Object} options - Conversion options
-   * @returns {Object} - ASCII data
+   * @returns {Promise<Object>} - ASCII data
    */
-  convertToAscii(options) {
+  async convertToAscii(options) {
     if (!this.currentImageData) {
       throw new Error('No image data available. Load an image first.');
     }
 
-    const asciiData = this.asciiEngine.convert(this.currentImageData, options);
+    // The cached ImageData is reused by reprocess(), so the buffer is copied rather than transferred
+    const asciiData = await this.asciiEngine.convertAsync(this.currentImageData, options);
     this.currentAsciiData = asciiData;
+    this.currentSettings = options;
 
     EventBus.emit('ascii:generated', { asciiData });
 
@@ -119,7 +123,7 @@ export default class ImageProcessor {
       const imageData = this.extractImageData(image);
 
       // Convert to ASCII
-      const asciiData = this.convertToAscii(options);
+      const asciiData = await this.convertToAscii(options);
 
       // Render to canvas
       const canvas = this.renderToCanvas(options.renderOptions);
@@ -136,9 +140,9 @@ export default class ImageProcessor {
   /**
    * Reprocess with new options (uses cached image data)
    * @param {Object} options - Conversion and rendering options
-   * @returns {HTMLCanvasElement}
+   * @returns {Promise<HTMLCanvasElement>}
    */
-  reprocess(options) {
+  async reprocess(options) {
     if (!this.currentImageData) {
       throw new Error('No image data available. Load an image first.');
     }
@@ -147,7 +151,7 @@ export default class ImageProcessor {
       EventBus.emit('reprocessing:start', { options });
 
       // Convert to ASCII with new options
-      const asciiData = this.convertToAscii(options);
+      const asciiData = await this.convertToAscii(options);
 
       // Render to canvas
       const canvas = this.renderToCanvas(options.renderOptions);
@@ -161,6 +165,58 @@ export default class ImageProcessor {
     }
   }
 
+  /**
+   * Load a saved document and render it; there is no source image afterwards
+   * @param {File} file - Document written by DocumentExporter
+   * @param {Object} [renderOptions] - Rendering options; defaults to the ones saved in the document
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async importDocument(file, renderOptions) {
+    try {
+      EventBus.emit('processing:start', { file });
+
+      const { asciiData, options } = await DocumentExporter.parse(file);
+
+      this.currentImage = null;
+      this.currentImageData = null;
+      this.currentAsciiData = asciiData;
+      this.currentSettings = { ...options, renderOptions: renderOptions || options.renderOptions };
+
+      EventBus.emit('document:imported', { asciiData, settings: this.currentSettings });
+
+      const canvas = this.renderToCanvas(this.currentSettings.renderOptions);
+
+      EventBus.emit('processing:complete', { canvas });
+
+      return canvas;
+    } catch (error) {
+      EventBus.emit('processing:error', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Render the current ASCII data again, e.g. with another font or background
+   * The options replace those in the current settings, so exports use them too.
+   * @param {Object} renderOptions - Rendering options
+   * @returns {HTMLCanvasElement}
+   */
+  rerender(renderOptions) {
+    try {
+      EventBus.emit('reprocessing:start', { options: renderOptions });
+
+      this.currentSettings = { ...this.currentSettings, renderOptions };
+      const canvas = this.renderToCanvas(renderOptions);
+
+      EventBus.emit('reprocessing:complete', { canvas });
+
+      return canvas;
+    } catch (error) {
+      EventBus.emit('reprocessing:error', { error });
+      throw error;
+    }
+  }
+
   /**
    * Get current image
    * @returns {HTMLImageElement|null}
@@ -185,16 +241,36 @@ export default class ImageProcessor {
     return this.currentAsciiData;
   }
 
+  /**
+   * Get the conversion options the current ASCII data was produced with
+   * @returns {Object|null}
+   */
+  getCurrentSettings() {
+    return this.currentSettings;
+  }
+
   /**
    * Get ASCII as text string
+   * @param {Object} [asciiData] - ASCII data to serialize instead of the current result
    * @returns {string}
    */
-  getAsciiText() {
-    if (!this.currentAsciiData) {
+  getAsciiText(asciiData = this.currentAsciiData) {
+    if (!asciiData) {
       throw new Error('No ASCII data available');
     }
 
-    return this.currentAsciiData.chars
+    const { chars, colors, backgrounds } = asciiData;
+
+    // Plain text has no colors: cells drawn inverted (bright background) become their complement
+    if (backgrounds) {
+      return chars
+        .map((row, y) => row
+          .map((char, x) => BlockElements.resolveForText(char, colors[y][x], backgrounds[y][x]))
+          .join(''))
+        .join('\n');
+    }
+
+    return chars
       .map(row => row.join(''))
       .join('\n');
   }
@@ -206,6 +282,7 @@ export default class ImageProcessor {
     this.currentImage = null;
     this.currentImageData = null;
     this.currentAsciiData = null;
+    this.currentSettings = null;
     this.canvasRenderer.clear();
   }
 }
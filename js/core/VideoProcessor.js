@@ -1,9 +1,15 @@
 /**
  * VideoProcessor - Complete video processing pipeline
- * Video → Frames → ASCII Frames → MP4
+ * Video → Frames → ASCII Frames → MP4 / WebM / GIF / APNG, or an asciinema recording
+ * Animated GIF and WebP images take the same path, with frames decoded by
+ * AnimationDecoder instead of extracted by ffmpeg, and keep their frame delays.
  */
 import EventBus from '../utils/EventBus.js';
 import config from '../config.js';
+import ToneMapping from '../utils/ToneMapping.js';
+import AsciicastExporter from '../exporters/AsciicastExporter.js';
+import PlayerExporter from '../exporters/PlayerExporter.js';
+import AnimationDecoder from './AnimationDecoder.js';
 
 export default class VideoProcessor {
   constructor(ffmpegManager, asciiEngine, canvasRenderer) {
@@ -13,6 +19,7 @@ export default class VideoProcessor {
     this.currentVideoFile = null;
     this.videoInfo = null;
     this.previewFrameData = null;
+    this.animation = null;
     this.isCancelled = false;
   }
 
@@ -23,6 +30,7 @@ export default class VideoProcessor {
    */
   async loadVideo(file) {
     try {
+      this._closeAnimation();
       this.currentVideoFile = file;
       this.isCancelled = false;
 
@@ -44,6 +52,37 @@ export default class VideoProcessor {
     }
   }
 
+  /**
+   * Load an animated GIF or WebP as a frame sequence
+   * @param {File} file - Animated image
+   * @param {number[]} delays - Delay of each frame in milliseconds, from AnimatedImage.getFrameDelays()
+   * @returns {Promise<Object>} - Animation metadata, shaped like video metadata plus frameCount
+   */
+  async loadAnimation(file, delays) {
+    try {
+      this._closeAnimation();
+      this.currentVideoFile = file;
+      this.isCancelled = false;
+
+      this.animation = new AnimationDecoder(file, delays);
+      await this.animation.open();
+
+      this.videoInfo = this.animation.getInfo();
+      this.previewFrameData = await this.animation.getFrame(0);
+
+      EventBus.emit('video:loaded', {
+        videoInfo: this.videoInfo,
+        previewFrame: this.previewFrameData
+      });
+
+      return this.videoInfo;
+    } catch (error) {
+      this._closeAnimation();
+      EventBus.emit('video:load-error', { error });
+      throw error;
+    }
+  }
+
   /**
    * Get frame at specific time for preview
    * @param {number} time - Time in seconds
@@ -55,7 +94,9 @@ export default class VideoProcessor {
     }
 
     try {
-      const frameData = await this.ffmpegManager.extractFrame(this.currentVideoFile, time);
+      const frameData = this.animation
+        ? await this.animation.getFrame(this.animation.getFrameIndexAt(time))
+        : await this.ffmpegManager.extractFrame(this.currentVideoFile, time);
       this.previewFrameData = frameData;
 
       EventBus.emit('video:preview-frame-loaded', { frameData, time });
@@ -96,7 +137,7 @@ export default class VideoProcessor {
   /**
    * Process complete video: Extract → Convert → Encode
    * @param {Object} options - Processing options
-   * @returns {Promise<Blob>} - MP4 video blob
+   * @returns {Promise<Blob>} - Encoded video, animation or terminal recording blob
    */
   async processVideo(options) {
     if (!this.currentVideoFile) {
@@ -114,35 +155,43 @@ export default class VideoProcessor {
       let targetFps = originalFps;
 
       // Allow downsampling to targetFPS if it's lower (for performance)
-      // but never upsample as that doesn't help
-      if (options.fps && options.fps < originalFps) {
-        targetFps = options.fps;
-      } else if (config.video.targetFPS && config.video.targetFPS < originalFps) {
-        targetFps = config.video.targetFPS;
+      // but never upsample as that doesn't help.
+      // Animations keep every frame with its own delay
+      if (!this.animation) {
+        if (options.fps && options.fps < originalFps) {
+          targetFps = options.fps;
+        } else if (config.video.targetFPS && config.video.targetFPS < originalFps) {
+          targetFps = config.video.targetFPS;
+        }
       }
 
       const maxWidth = options.width || config.video.maxFrameWidth;
 
-      // Phase 1: Extract frames
-      EventBus.emit('video:progress', {
-        phase: 'extracting',
-        progress: 0,
-        message: 'Extracting video frames...'
-      });
+      // Phase 1: Extract frames (animation frames are decoded as they are converted)
+      let frameCount;
+      if (this.animation) {
+        frameCount = this.animation.frameCount;
+      } else {
+        EventBus.emit('video:progress', {
+          phase: 'extracting',
+          progress: 0,
+          message: 'Extracting video frames...'
+        });
 
-      const frameCount = await this.ffmpegManager.extractAllFrames(
-        this.currentVideoFile,
-        targetFps,
-        maxWidth,
-        (progress) => {
-          if (this.isCancelled) return;
-          EventBus.emit('video:progress', {
-            phase: 'extracting',
-            progress: progress,
-            message: `Extracting frames: ${Math.round(progress * 100)}%`
-          });
-        }
-      );
+        frameCount = await this.ffmpegManager.extractAllFrames(
+          this.currentVideoFile,
+          targetFps,
+          maxWidth,
+          (progress) => {
+            if (this.isCancelled) return;
+            EventBus.emit('video:progress', {
+              phase: 'extracting',
+              progress: progress,
+              message: `Extracting frames: ${Math.round(progress * 100)}%`
+            });
+          }
+        );
+      }
 
       if (this.isCancelled) {
         await this._handleCancellation();
@@ -156,39 +205,94 @@ export default class VideoProcessor {
         message: 'Converting frames to ASCII...'
       });
 
-      for (let i = 1; i <= frameCount; i++) {
+      // Share one tone mapping histogram across frames so brightness doesn't flicker
+      let conversionOptions = options;
+      if (options.lockToneMapping && options.toneMapping && options.toneMapping !== 'none') {
+        conversionOptions = {
+          ...options,
+          toneHistogram: await this._sampleToneHistogram(frameCount, maxWidth, options)
+        };
+      }
+
+      // Terminal recordings and HTML players are written straight from the character grids;
+      // nothing is rendered
+      const outputFormat = options.outputFormat || config.video.defaultOutputFormat;
+      const frameDurations = this.animation ? this.animation.getFrameDurations() : null;
+      let recording = null;
+      if (outputFormat === 'cast') {
+        recording = new AsciicastExporter({
+          fps: targetFps,
+          backgroundColor: config.canvas.backgroundColor,
+          ...config.export.asciicast
+        });
+      } else if (outputFormat === 'player') {
+        recording = new PlayerExporter({
+          fps: targetFps,
+          renderOptions: options.renderOptions
+        });
+      }
+
+      // Convert frames in batches so each worker in the pool has a frame to work on
+      const batchSize = this.asciiEngine.getConcurrency();
+
+      for (let start = 1; start <= frameCount; start += batchSize) {
         if (this.isCancelled) {
           await this._handleCancellation();
           return null;
         }
 
-        // Get frame
-        const frameData = await this.ffmpegManager.getFrame(i);
+        const end = Math.min(start + batchSize - 1, frameCount);
+        const indices = [];
+        for (let i = start; i <= end; i++) {
+          indices.push(i);
+        }
 
-        // Convert to ASCII
-        const asciiData = this.asciiEngine.convert(frameData, options);
+        // Get frames
+        const frames = await Promise.all(indices.map(i => this._getFrame(i, maxWidth)));
+
+        // Convert to ASCII (frame buffers are not reused, so they are transferred to the workers)
+        const asciiFrames = await Promise.all(
+          frames.map(frameData => this.asciiEngine.convertAsync(frameData, conversionOptions, { transfer: true }))
+        );
+
+        // Rasterize the glyph masks once; every later frame and color reuses them
+        if (start === 1 && asciiFrames.length > 0 && !recording) {
+          this.canvasRenderer.prepareGlyphAtlas(
+            this._getOutputCharSet(options),
+            asciiFrames[0].width,
+            asciiFrames[0].height,
+            options.renderOptions
+          );
+        }
 
-        // Render to canvas
-        const canvas = this.canvasRenderer.render(asciiData, options.renderOptions);
+        for (let j = 0; j < indices.length; j++) {
+          const i = indices[j];
 
-        // Convert canvas to blob
-        const blob = await new Promise((resolve) => {
-          canvas.toBlob(resolve, 'image/png');
-        });
+          if (recording) {
+            // Recordings keep animation delays
+            await recording.addFrame(asciiFrames[j], frameDurations?.[i - 1]);
+          } else {
+            // Render to canvas
+            this.canvasRenderer.render(asciiFrames[j], options.renderOptions);
 
-        // Write converted frame
-        await this.ffmpegManager.writeConvertedFrame(i, blob);
+            // Convert canvas to blob
+            const blob = await this.canvasRenderer.toBlob('image/png');
 
-        // Clear canvas to manage memory
-        this.canvasRenderer.clear();
+            // Write converted frame
+            await this.ffmpegManager.writeConvertedFrame(i, blob);
 
-        // Emit progress
-        const progress = i / frameCount;
-        EventBus.emit('video:progress', {
-          phase: 'converting',
-          progress: progress,
-          message: `Converting frame ${i}/${frameCount}`
-        });
+            // Clear canvas to manage memory
+            this.canvasRenderer.clear();
+          }
+
+          // Emit progress
+          const progress = i / frameCount;
+          EventBus.emit('video:progress', {
+            phase: 'converting',
+            progress: progress,
+            message: `Converting frame ${i}/${frameCount}`
+          });
+        }
       }
 
       if (this.isCancelled) {
@@ -196,10 +300,10 @@ export default class VideoProcessor {
         return null;
       }
 
-      // Phase 3: Extract audio (if present and user wants to include it)
+      // Phase 3: Extract audio (if present, wanted, and the output format can carry it)
       let hasAudio = false;
       const includeAudio = options.includeAudio !== false; // Default to true
-      if (this.videoInfo.hasAudio && includeAudio) {
+      if (this.videoInfo.hasAudio && includeAudio && config.video.outputFormats[outputFormat].supportsAudio) {
         try {
           hasAudio = await this.ffmpegManager.extractAudio(this.currentVideoFile);
         } catch (e) {
@@ -207,14 +311,30 @@ export default class VideoProcessor {
         }
       }
 
-      // Phase 4: Encode to MP4
+      // Recordings and players are complete once every frame is added; the player embeds the audio
+      if (recording) {
+        if (hasAudio && outputFormat === 'player') {
+          try {
+            recording.setAudio(await this.ffmpegManager.readAudioTrack());
+          } catch (e) {
+            console.warn('Failed to read audio track, continuing without it');
+          }
+        }
+
+        const videoBlob = await recording.toBlob();
+        await this.ffmpegManager.cleanup();
+        EventBus.emit('video:process-complete', { videoBlob, outputFormat });
+        return videoBlob;
+      }
+
+      // Phase 4: Encode to the selected output format
       EventBus.emit('video:progress', {
         phase: 'encoding',
         progress: 0,
         message: 'Encoding final video...'
       });
 
-      const videoBlob = await this.ffmpegManager.encodeToMP4(
+      const videoBlob = await this.ffmpegManager.encodeVideo(
         targetFps,
         hasAudio,
         (progress) => {
@@ -224,6 +344,13 @@ export default class VideoProcessor {
             progress: progress,
             message: `Encoding video: ${Math.round(progress * 100)}%`
           });
+        },
+        {
+          format: outputFormat,
+          codec: options.videoCodec,
+          crf: options.crf,
+          preset: options.encoderPreset,
+          frameDurations
         }
       );
 
@@ -235,7 +362,7 @@ export default class VideoProcessor {
       // Cleanup
       await this.ffmpegManager.cleanup();
 
-      EventBus.emit('video:process-complete', { videoBlob });
+      EventBus.emit('video:process-complete', { videoBlob, outputFormat, videoCodec: options.videoCodec });
 
       return videoBlob;
     } catch (error) {
@@ -251,6 +378,74 @@ export default class VideoProcessor {
     }
   }
 
+  /**
+   * Merge the brightness histograms of evenly spaced extracted frames
+   * @private
+   * @param {number} frameCount - Number of extracted frames
+   * @param {number} maxWidth - Frame width
+   * @param {Object} options - Conversion options
+   * @returns {Promise<Uint32Array>} - 256-bin histogram
+   */
+  async _sampleToneHistogram(frameCount, maxWidth, options) {
+    const sampleCount = Math.max(1, Math.min(config.video.toneSampleFrames, frameCount));
+    const histograms = [];
+
+    for (let k = 0; k < sampleCount; k++) {
+      const index = sampleCount === 1
+        ? 1
+        : 1 + Math.round(k * (frameCount - 1) / (sampleCount - 1));
+      const frameData = await this._getFrame(index, maxWidth);
+      histograms.push(this.asciiEngine.getBrightnessHistogram(frameData, options));
+    }
+
+    return ToneMapping.mergeHistograms(histograms);
+  }
+
+  /**
+   * Get a source frame, from the animation or from the frames ffmpeg extracted
+   * @private
+   * @param {number} index - Frame index (1-based)
+   * @param {number} maxWidth - Frame width; extracted frames are already scaled to it
+   * @returns {Promise<ImageData>}
+   */
+  _getFrame(index, maxWidth) {
+    return this.animation
+      ? this.animation.getFrame(index - 1, maxWidth)
+      : this.ffmpegManager.getFrame(index);
+  }
+
+  /**
+   * Release the animation decoder, if one is open
+   * @private
+   */
+  _closeAnimation() {
+    if (this.animation) {
+      this.animation.close();
+      this.animation = null;
+    }
+  }
+
+  /**
+   * Get every character the converters may emit for the given options
+   * @private
+   * @param {Object} options - Conversion options
+   * @returns {string}
+   */
+  _getOutputCharSet(options) {
+    return [
+      options.charSet || config.ascii.defaultCharSet,
+      options.edgeCharSet || '',
+      options.fillCharSet || '',
+      options.shapeCharSet || '',
+      options.directionalEdges ? [
+        options.horizontalEdgeCharSet,
+        options.verticalEdgeCharSet,
+        options.risingEdgeCharSet,
+        options.fallingEdgeCharSet
+      ].join('') : ''
+    ].join('');
+  }
+
   /**
    * Cancel video processing
    */
@@ -283,6 +478,7 @@ export default class VideoProcessor {
    * Clear all cached data
    */
   clear() {
+    this._closeAnimation();
     this.currentVideoFile = null;
     this.videoInfo = null;
     this.previewFrameData = null;
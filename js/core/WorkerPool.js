@@ -0,0 +1,238 @@
+/**
+ * WorkerPool - Pool of conversion workers
+ * Dispatches converter jobs to idle workers and queues the rest
+ */
+import config from '../config.js';
+import ConverterRegistry from '../converters/ConverterRegistry.js';
+
+const WORKER_URL = new URL('../workers/ConversionWorker.js', import.meta.url);
+
+export default class WorkerPool {
+  /**
+   * @param {number} size - Number of workers (default: config.video.workerCount)
+   */
+  constructor(size = config.video.workerCount) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || size;
+    this.size = Math.max(1, Math.min(size, cores));
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.pending = new Map();
+    this.nextJobId = 1;
+    this.available = false;
+    this.readyPromise = null;
+  }
+
+  /**
+   * Spawn workers and wait until each has loaded its modules
+   * @returns {Promise<boolean>} - True if the pool is usable
+   */
+  init() {
+    if (this.readyPromise) {
+      return this.readyPromise;
+    }
+
+    if (typeof Worker === 'undefined') {
+      this.readyPromise = Promise.resolve(false);
+      return this.readyPromise;
+    }
+
+    const startups = [];
+    for (let i = 0; i < this.size; i++) {
+      startups.push(this._spawnWorker());
+    }
+
+    this.readyPromise = Promise.all(startups)
+      .then(() => {
+        this.available = true;
+        return true;
+      })
+      .catch((error) => {
+        console.warn('Conversion workers unavailable, converting on the main thread:', error.message);
+        this.terminate();
+        return false;
+      });
+
+    return this.readyPromise;
+  }
+
+  /**
+   * Check whether jobs can be dispatched to workers
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Check whether a converter can be constructed inside a worker
+   * @param {string} name - Converter identifier
+   * @returns {boolean}
+   */
+  supports(name) {
+    return Object.prototype.hasOwnProperty.call(ConverterRegistry, name);
+  }
+
+  /**
+   * Run a converter on a worker
+   * @param {string} converter - Converter identifier
+   * @param {ImageData} imageData - Image data to convert
+   * @param {Object} options - Conversion options (must be structured-cloneable)
+   * @param {boolean} transfer - Transfer the pixel buffer instead of copying it.
+   *   The caller's ImageData is unusable afterwards.
+   * @returns {Promise<Object>} - { chars, colors, width, height }
+   */
+  run(converter, imageData, options, transfer = false) {
+    if (!this.available) {
+      return Promise.reject(new Error('Worker pool is not available'));
+    }
+
+    const buffer = transfer ? imageData.data.buffer : imageData.data.slice().buffer;
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        message: {
+          converter,
+          width: imageData.width,
+          height: imageData.height,
+          buffer,
+          options
+        },
+        resolve,
+        reject
+      };
+
+      this.queue.push(job);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Terminate all workers and reject outstanding jobs
+   */
+  terminate() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    this.idleWorkers = [];
+    this.available = false;
+
+    const error = new Error('Worker pool terminated');
+    this.pending.forEach(({ job }) => job.reject(error));
+    this.queue.forEach(job => job.reject(error));
+    this.pending.clear();
+    this.queue = [];
+  }
+
+  /**
+   * Create a worker and resolve once it reports ready
+   * @private
+   * @returns {Promise<Worker>}
+   */
+  _spawnWorker() {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(WORKER_URL, { type: 'module' });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      let ready = false;
+
+      worker.onmessage = (event) => {
+        if (!ready) {
+          if (event.data && event.data.type === 'ready') {
+            ready = true;
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+            resolve(worker);
+          }
+          return;
+        }
+        this._handleResult(worker, event.data);
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || 'Conversion worker failed');
+        if (!ready) {
+          worker.terminate();
+          reject(error);
+        } else {
+          this._handleCrash(worker, error);
+        }
+      };
+    });
+  }
+
+  /**
+   * Send queued jobs to idle workers
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0 && this.idleWorkers.length > 0) {
+      const job = this.queue.shift();
+      const worker = this.idleWorkers.pop();
+
+      this.pending.set(worker, { job });
+      try {
+        worker.postMessage({ id: job.id, ...job.message }, [job.message.buffer]);
+      } catch (error) {
+        // Nothing was sent (e.g. a DataCloneError), so the worker is still free
+        this.pending.delete(worker);
+        this.idleWorkers.push(worker);
+        job.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Resolve a finished job and free its worker
+   * @private
+   * @param {Worker} worker - Worker that replied
+   * @param {Object} data - { id, result } or { id, error }
+   */
+  _handleResult(worker, data) {
+    const entry = this.pending.get(worker);
+    if (!entry || entry.job.id !== data.id) return;
+
+    this.pending.delete(worker);
+    this.idleWorkers.push(worker);
+
+    if (data.error) {
+      entry.job.reject(new Error(data.error));
+    } else {
+      entry.job.resolve(data.result);
+    }
+
+    this._dispatch();
+  }
+
+  /**
+   * Replace a worker that threw outside of a job
+   * @private
+   * @param {Worker} worker - Crashed worker
+   * @param {Error} error - Failure reason
+   */
+  _handleCrash(worker, error) {
+    const entry = this.pending.get(worker);
+    this.pending.delete(worker);
+    worker.terminate();
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
+
+    if (entry) {
+      entry.job.reject(error);
+    }
+
+    this._spawnWorker()
+      .then(() => this._dispatch())
+      .catch(() => {
+        if (this.workers.length === 0) {
+          this.terminate();
+        }
+      });
+  }
+}
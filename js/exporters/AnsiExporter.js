@@ -0,0 +1,136 @@
+/**
+ * AnsiExporter - Serializes ASCII data as text with ANSI SGR color escapes
+ * The output can be printed with `cat` in a terminal. Color changes are only
+ * emitted where the color differs from the previous cell, and every line ends
+ * with a reset so backgrounds never bleed past the art.
+ */
+import ColorUtils from '../utils/ColorUtils.js';
+import BlockElements from '../utils/BlockElements.js';
+
+const ESC = '\u001b[';
+const RESET = `${ESC}0m`;
+
+export default class AnsiExporter {
+  /**
+   * Serialize ASCII data to an ANSI string
+   * @param {Object} asciiData - { chars, colors, backgrounds?, width, height }
+   * @param {Object} options
+   * @param {string} options.colorDepth - 'truecolor' (24-bit), '256' (xterm palette) or '16'
+   * @param {boolean} options.includeBackground - Emit background colors: the cell backgrounds
+   *   where the converter produced them, otherwise backgroundColor
+   * @param {string} options.backgroundColor - Background for cells without one
+   * @returns {string}
+   */
+  static export(asciiData, options = {}) {
+    return this.encodeCells(asciiData, options)
+      .map(row => this.serializeCells(row) + RESET)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Resolve every cell to its character and SGR color parameters
+   * @param {Object} asciiData - { chars, colors, backgrounds? }
+   * @param {Object} options - Same as export()
+   * @returns {Object[][]} - { char, foreground, background } per cell; foreground is null
+   *   for spaces and background is null when none is emitted
+   */
+  static encodeCells({ chars, colors, backgrounds }, { colorDepth = 'truecolor', includeBackground = false, backgroundColor = '#000000' } = {}) {
+    // Converters repeat a handful of color strings, so convert each one once
+    const codes = new Map();
+    const colorCode = (color, background) => {
+      const key = `${background ? 'b' : 'f'}${color}`;
+      if (!codes.has(key)) {
+        codes.set(key, this._colorCode(color, colorDepth, background));
+      }
+      return codes.get(key);
+    };
+
+    return chars.map((charRow, row) => charRow.map((cellChar, col) => {
+      let char = cellChar;
+      let foreground = colors[row][col];
+      const cellBackground = backgrounds ? backgrounds[row][col] : null;
+      let background = null;
+
+      if (includeBackground) {
+        background = cellBackground || backgroundColor;
+      } else if (cellBackground) {
+        // Without backgrounds, inverted block cells are drawn as their complement,
+        // which covers the background quadrants and so takes the background color
+        const resolved = BlockElements.resolveForText(char, foreground, cellBackground);
+        if (resolved !== char) {
+          foreground = cellBackground;
+          char = resolved;
+        }
+      }
+
+      return {
+        char,
+        // A space shows no foreground, so it never forces a color change
+        foreground: char === ' ' ? null : colorCode(foreground, false),
+        background: background ? colorCode(background, true) : null
+      };
+    }));
+  }
+
+  /**
+   * Serialize a run of encoded cells, emitting SGR codes only where colors change
+   * Assumes default attributes at the start and leaves the last colors active.
+   * @param {Object[]} cells - Cells from encodeCells()
+   * @returns {string}
+   */
+  static serializeCells(cells) {
+    let output = '';
+    let currentForeground = null;
+    let currentBackground = null;
+
+    for (const { char, foreground, background } of cells) {
+      const codes = [];
+
+      if (foreground && foreground !== currentForeground) {
+        codes.push(foreground);
+        currentForeground = foreground;
+      }
+
+      if (background && background !== currentBackground) {
+        codes.push(background);
+        currentBackground = background;
+      }
+
+      if (codes.length > 0) {
+        output += `${ESC}${codes.join(';')}m`;
+      }
+      output += char;
+    }
+
+    return output;
+  }
+
+  /**
+   * SGR parameters selecting a foreground or background color
+   * @private
+   * @param {string} color - CSS color
+   * @param {string} colorDepth - 'truecolor', '256' or '16'
+   * @param {boolean} background - Background instead of foreground
+   * @returns {string}
+   */
+  static _colorCode(color, colorDepth, background) {
+    const rgb = ColorUtils.parseColor(color);
+
+    switch (colorDepth) {
+      case '256':
+        return `${background ? 48 : 38};5;${ColorUtils.toXterm256(rgb)}`;
+
+      case '16': {
+        const index = ColorUtils.toAnsi16(rgb);
+        const base = background ? 40 : 30;
+        return String(index < 8 ? base + index : base + 60 + index - 8);
+      }
+
+      case 'truecolor':
+        return `${background ? 48 : 38};2;${rgb.r};${rgb.g};${rgb.b}`;
+
+      default:
+        throw new Error(`Unknown ANSI color depth "${colorDepth}"`);
+    }
+  }
+}
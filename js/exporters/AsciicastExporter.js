@@ -0,0 +1,160 @@
+/**
+ * AsciicastExporter - Writes converted video frames as an asciinema v2 recording
+ * Frames are added one at a time as they are converted. The first frame is a
+ * full redraw; later frames only rewrite the cells that changed, positioned with
+ * cursor moves, unless a full redraw from cursor home is shorter.
+ */
+import AnsiExporter from './AnsiExporter.js';
+
+const ESC = '\u001b[';
+const RESET = `${ESC}0m`;
+
+// Unchanged cells between two changed runs that are rewritten rather than skipped,
+// since a cursor move costs about as much as a few cells
+const MAX_RUN_GAP = 4;
+
+export default class AsciicastExporter {
+  /**
+   * @param {Object} options
+   * @param {number} options.fps - Frame rate; frames added without a duration are shown for 1 / fps seconds
+   * @param {string} [options.colorDepth='truecolor'] - 'truecolor', '256' or '16'
+   * @param {boolean} [options.includeBackground=false] - Emit background colors
+   * @param {string} [options.backgroundColor='#000000'] - Background for cells without one
+   * @param {string} [options.title] - Recording title
+   * @param {string} [options.term='xterm-256color'] - TERM recorded in the header
+   */
+  constructor({ fps, colorDepth = 'truecolor', includeBackground = false, backgroundColor = '#000000', title = null, term = 'xterm-256color' }) {
+    this.fps = fps;
+    this.ansiOptions = { colorDepth, includeBackground, backgroundColor };
+    this.title = title;
+    this.term = term;
+    this.lines = [];
+    this.frameCount = 0;
+    this.time = 0;
+    this.previousCells = null;
+  }
+
+  /**
+   * Append the next frame
+   * @param {Object} asciiData - { chars, colors, backgrounds?, width, height }
+   * @param {number} [duration] - Seconds the frame is shown; 1 / fps if omitted
+   */
+  addFrame(asciiData, duration = 1 / this.fps) {
+    if (this.frameCount === 0) {
+      this._writeHeader(asciiData.width, asciiData.height);
+    }
+
+    const cells = AnsiExporter.encodeCells(asciiData, this.ansiOptions);
+    let output;
+
+    if (!this.previousCells) {
+      // Hide the cursor and clear the screen once
+      output = `${ESC}?25l${ESC}2J${ESC}H` + this._redraw(cells);
+    } else {
+      const redraw = `${ESC}H` + this._redraw(cells);
+      const diff = this._diff(this.previousCells, cells);
+      output = diff.length < redraw.length ? diff : redraw;
+    }
+
+    // Frames identical to the previous one need no event
+    if (output) {
+      const time = Math.round(this.time * 1e6) / 1e6;
+      this.lines.push(JSON.stringify([time, 'o', output]));
+    }
+
+    this.previousCells = cells;
+    this.frameCount++;
+    this.time += duration;
+  }
+
+  /**
+   * Get the recording as a .cast file
+   * @returns {Blob}
+   */
+  toBlob() {
+    if (this.frameCount === 0) {
+      throw new Error('No frames added to recording');
+    }
+
+    // Show the cursor again when playback ends
+    const end = Math.round(this.time * 1e6) / 1e6;
+    const lines = [...this.lines, JSON.stringify([end, 'o', `${RESET}${ESC}?25h`])];
+
+    return new Blob([lines.join('\n') + '\n'], { type: 'application/x-asciicast' });
+  }
+
+  /**
+   * Write the asciicast v2 header line
+   * @private
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   */
+  _writeHeader(width, height) {
+    const header = {
+      version: 2,
+      width,
+      height,
+      timestamp: Math.floor(Date.now() / 1000),
+      env: { TERM: this.term }
+    };
+    if (this.title) {
+      header.title = this.title;
+    }
+    this.lines.push(JSON.stringify(header));
+  }
+
+  /**
+   * Every row of a frame, from the cursor position down
+   * @private
+   * @param {Object[][]} cells - Encoded cells
+   * @returns {string}
+   */
+  _redraw(cells) {
+    return cells.map(row => AnsiExporter.serializeCells(row) + RESET).join('\r\n');
+  }
+
+  /**
+   * Rewrite only the runs of cells that differ from the previous frame
+   * @private
+   * @param {Object[][]} previous - Previous frame's encoded cells
+   * @param {Object[][]} cells - Encoded cells
+   * @returns {string}
+   */
+  _diff(previous, cells) {
+    let output = '';
+
+    cells.forEach((row, y) => {
+      let runStart = -1;
+      let lastChanged = -1;
+
+      const flush = () => {
+        output += `${ESC}${y + 1};${runStart + 1}H`;
+        output += AnsiExporter.serializeCells(row.slice(runStart, lastChanged + 1)) + RESET;
+      };
+
+      row.forEach((cell, x) => {
+        const before = previous[y]?.[x];
+        const changed = !before ||
+          before.char !== cell.char ||
+          before.foreground !== cell.foreground ||
+          before.background !== cell.background;
+        if (!changed) return;
+
+        if (runStart !== -1 && x - lastChanged - 1 > MAX_RUN_GAP) {
+          flush();
+          runStart = -1;
+        }
+        if (runStart === -1) {
+          runStart = x;
+        }
+        lastChanged = x;
+      });
+
+      if (runStart !== -1) {
+        flush();
+      }
+    });
+
+    return output;
+  }
+}
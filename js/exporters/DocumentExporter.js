@@ -0,0 +1,145 @@
+/**
+ * DocumentExporter - Versioned document holding a conversion result and its settings
+ * The document keeps the character grid, the exact color strings, the converter name
+ * and the conversion options, so it can be loaded later and re-rendered without the
+ * source image. It is plain JSON, optionally gzip-compressed as a whole.
+ *
+ * Version 1 layout:
+ *   {
+ *     format: 'ascii-artify', version: 1,
+ *     width, height, converter, options,
+ *     rows: ['...'],               // one string per row, one code point per cell
+ *     palette: ['#ffffff', ...],    // distinct colors, foreground and background
+ *     colors: [[0, 1, ...]],        // palette index per cell
+ *     backgrounds: [[2, null, ...]] // palette index or null per cell; omitted when unused
+ *     transparent: ['0110', ...]     // '1' per cell below the alpha cutoff; omitted when unused
+ *   }
+ */
+import Compression from '../utils/Compression.js';
+
+const FORMAT_NAME = 'ascii-artify';
+const FORMAT_VERSION = 1;
+
+export default class DocumentExporter {
+  /**
+   * Serialize ASCII data to a JSON document
+   * @param {Object} asciiData - { chars, colors, backgrounds?, transparent?, width, height }
+   * @param {Object} [options]
+   * @param {Object} [options.settings] - Conversion options the data was produced with
+   * @returns {string}
+   */
+  static export({ chars, colors, backgrounds, transparent, width, height }, { settings = {} } = {}) {
+    const palette = [];
+    const paletteIndex = new Map();
+    const indexOf = (color) => {
+      if (!paletteIndex.has(color)) {
+        paletteIndex.set(color, palette.length);
+        palette.push(color);
+      }
+      return paletteIndex.get(color);
+    };
+
+    const doc = {
+      format: FORMAT_NAME,
+      version: FORMAT_VERSION,
+      width,
+      height,
+      converter: settings.converter || null,
+      options: settings,
+      rows: chars.map(row => row.join('')),
+      palette,
+      colors: colors.map(row => row.map(indexOf))
+    };
+
+    if (backgrounds) {
+      doc.backgrounds = backgrounds.map(row => row.map(color => (color ? indexOf(color) : null)));
+    }
+
+    if (transparent) {
+      doc.transparent = transparent.map(row => row.map(cell => (cell ? '1' : '0')).join(''));
+    }
+
+    return JSON.stringify(doc);
+  }
+
+  /**
+   * Read a document, plain or gzip-compressed
+   * @param {Blob} blob - Document file
+   * @returns {Promise<Object>} - { asciiData, converter, options }
+   * @throws {Error} If the file is not a supported document
+   */
+  static async parse(blob) {
+    let bytes = new Uint8Array(await blob.arrayBuffer());
+    if (Compression.isGzip(bytes)) {
+      bytes = await Compression.decompress(bytes);
+    }
+
+    let doc;
+    try {
+      doc = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error('Not an ASCII Artify document: invalid JSON');
+    }
+
+    if (!doc || doc.format !== FORMAT_NAME) {
+      throw new Error('Not an ASCII Artify document');
+    }
+    if (!Number.isInteger(doc.version) || doc.version > FORMAT_VERSION) {
+      throw new Error(`Unsupported document version ${doc.version}; this version reads up to ${FORMAT_VERSION}`);
+    }
+
+    return {
+      asciiData: this._readGrid(doc),
+      converter: doc.converter,
+      options: doc.options || {}
+    };
+  }
+
+  /**
+   * Rebuild ASCII data from a document's rows and palette indices
+   * @private
+   * @param {Object} doc - Parsed document
+   * @returns {Object} - { chars, colors, backgrounds?, transparent?, width, height }
+   * @throws {Error} If the grid doesn't match the stated dimensions
+   */
+  static _readGrid({ width, height, rows, palette, colors, backgrounds, transparent }) {
+    if (!Array.isArray(rows) || !Array.isArray(colors) || !Array.isArray(palette)) {
+      throw new Error('Document is missing its rows, colors or palette');
+    }
+
+    const chars = rows.map(row => Array.from(row));
+
+    const valid = chars.length === height &&
+      colors.length === height &&
+      chars.every((row, y) => row.length === width && colors[y].length === width) &&
+      (!backgrounds || backgrounds.length === height) &&
+      (!transparent || (transparent.length === height && transparent.every(row => row.length === width)));
+    if (!valid) {
+      throw new Error(`Document grid does not match its ${width}x${height} size`);
+    }
+
+    const lookup = (index) => {
+      if (palette[index] === undefined) {
+        throw new Error(`Document color index ${index} is out of range`);
+      }
+      return palette[index];
+    };
+
+    const asciiData = {
+      chars,
+      colors: colors.map(row => row.map(lookup)),
+      width,
+      height
+    };
+
+    if (backgrounds) {
+      asciiData.backgrounds = backgrounds.map(row => row.map(index => (index === null ? null : lookup(index))));
+    }
+
+    if (transparent) {
+      asciiData.transparent = transparent.map(row => Array.from(row, cell => cell === '1'));
+    }
+
+    return asciiData;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * HtmlExporter - Serializes ASCII data as a standalone HTML document
+ * The art is a selectable <pre> using the same font, line height and background
+ * as CanvasRenderer. Runs of cells sharing a color are merged into one span.
+ */
+import ColorUtils from '../utils/ColorUtils.js';
+import config from '../config.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+export default class HtmlExporter {
+  /**
+   * Serialize ASCII data to an HTML document
+   * @param {Object} asciiData - { chars, colors, backgrounds?, width, height }
+   * @param {Object} options
+   * @param {string} options.paletteMode - 'inline' (style attribute per span) or
+   *   'class' (one CSS class per distinct color)
+   * @param {Object} [options.renderOptions] - fontSize, fontFamily, lineHeight,
+   *   backgroundColor and foregroundColor, as passed to CanvasRenderer
+   * @param {string} [options.title] - Document title
+   * @returns {string}
+   */
+  static export(asciiData, { paletteMode = 'inline', renderOptions = {}, title = config.export.html.title } = {}) {
+    if (!['inline', 'class'].includes(paletteMode)) {
+      throw new Error(`Unknown HTML palette mode "${paletteMode}"`);
+    }
+
+    // Same defaults as CanvasRenderer
+    const fontSize = renderOptions.fontSize || config.canvas.fontSize;
+    const fontFamily = renderOptions.fontFamily || config.canvas.fontFamily;
+    const lineHeight = renderOptions.lineHeight || config.canvas.lineHeight;
+    const backgroundColor = ColorUtils.normalize(renderOptions.backgroundColor || config.canvas.backgroundColor);
+    const foregroundColor = ColorUtils.normalize(renderOptions.foregroundColor || config.canvas.foregroundColor);
+
+    const palette = new Map();
+    const body = this._serializeCells(asciiData, { paletteMode, palette, foregroundColor, backgroundColor });
+
+    const rules = [
+      `body { margin: 0; background: ${backgroundColor}; }`,
+      `pre { margin: 0; padding: 0; font-family: ${this.fontStack(fontFamily)}; ` +
+        `font-size: ${fontSize}px; line-height: ${lineHeight}; ` +
+        `color: ${foregroundColor}; background: ${backgroundColor}; }`
+    ];
+    palette.forEach((className, declaration) => {
+      rules.push(`.${className} { ${declaration}; }`);
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${this._escape(title)}</title>`,
+      '<style>',
+      ...rules,
+      '</style>',
+      '</head>',
+      '<body>',
+      `<pre>${body}</pre>`,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Serialize the grid to escaped text and spans
+   * @private
+   * @param {Object} asciiData - { chars, colors, backgrounds? }
+   * @param {Object} context
+   * @param {string} context.paletteMode - 'inline' or 'class'
+   * @param {Map<string, string>} context.palette - Declaration to class name, filled in class mode
+   * @param {string} context.foregroundColor - Document text color; cells in it need no span
+   * @param {string} context.backgroundColor - Document background; cells on it need no span
+   * @returns {string}
+   */
+  static _serializeCells({ chars, colors, backgrounds }, { paletteMode, palette, foregroundColor, backgroundColor }) {
+    const lines = [];
+
+    for (let row = 0; row < chars.length; row++) {
+      let line = '';
+      let run = '';
+      let runStyle = null;
+
+      const flush = () => {
+        if (run) {
+          line += this._wrap(run, runStyle, paletteMode, palette);
+        }
+        run = '';
+      };
+
+      for (let col = 0; col < chars[row].length; col++) {
+        const char = chars[row][col];
+        const cellBackground = backgrounds && backgrounds[row][col]
+          ? ColorUtils.normalize(backgrounds[row][col])
+          : backgroundColor;
+        const background = cellBackground === backgroundColor ? null : cellBackground;
+
+        // A space shows no foreground, so it joins the current run when the background matches
+        let foreground;
+        if (char === ' ' && runStyle && runStyle.background === background) {
+          foreground = runStyle.foreground;
+        } else {
+          const color = ColorUtils.normalize(colors[row][col]);
+          foreground = color === foregroundColor || char === ' ' ? null : color;
+        }
+
+        if (!runStyle || runStyle.foreground !== foreground || runStyle.background !== background) {
+          flush();
+          runStyle = { foreground, background };
+        }
+        run += this._escape(char);
+      }
+
+      flush();
+      lines.push(line);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Wrap a run of escaped text in a span carrying its colors
+   * @private
+   * @param {string} text - Escaped text
+   * @param {Object} style - { foreground, background }; null entries use the document colors
+   * @param {string} paletteMode - 'inline' or 'class'
+   * @param {Map<string, string>} palette - Declaration to class name
+   * @returns {string}
+   */
+  static _wrap(text, { foreground, background }, paletteMode, palette) {
+    const declarations = [];
+    if (foreground) declarations.push(`color: ${foreground}`);
+    if (background) declarations.push(`background: ${background}`);
+
+    if (declarations.length === 0) {
+      return text;
+    }
+
+    if (paletteMode === 'inline') {
+      return `<span style="${declarations.join('; ')}">${text}</span>`;
+    }
+
+    const classNames = declarations.map(declaration => {
+      if (!palette.has(declaration)) {
+        const prefix = declaration.startsWith('color') ? 'c' : 'b';
+        palette.set(declaration, `${prefix}${palette.size}`);
+      }
+      return palette.get(declaration);
+    });
+    return `<span class="${classNames.join(' ')}">${text}</span>`;
+  }
+
+  /**
+   * CSS font-family list for a font name, with a monospace fallback
+   * @param {string} fontFamily - Font family, e.g. 'Courier New'
+   * @returns {string}
+   */
+  static fontStack(fontFamily) {
+    // Already a list or quoted; use as given
+    if (/[,'"]/.test(fontFamily)) {
+      return fontFamily;
+    }
+    return `'${fontFamily}', monospace`;
+  }
+
+  /**
+   * Escape text for HTML
+   * @private
+   * @param {string} text
+   * @returns {string}
+   */
+  static _escape(text) {
+    return text.replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+  }
+}
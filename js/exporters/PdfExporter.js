@@ -0,0 +1,543 @@
+/**
+ * PdfExporter - Serializes ASCII data as a vector PDF with selectable text
+ * The grid is either scaled to fit one page or tiled across as many pages as it
+ * needs at a fixed font size, cut at cell boundaries. Glyphs use an embedded
+ * TrueType subset when a font is given, otherwise the standard Courier font.
+ * Block elements and cell backgrounds are drawn as filled rectangles, as in SvgExporter.
+ */
+import ColorUtils from '../utils/ColorUtils.js';
+import BlockElements from '../utils/BlockElements.js';
+import FontSubsetter from '../utils/FontSubsetter.js';
+import Compression from '../utils/Compression.js';
+import config from '../config.js';
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Cell width in em, as in CanvasRenderer; every glyph advances exactly one cell
+const CELL_WIDTH_EM = 0.6;
+
+// Standard Courier metrics, in thousandths of an em
+const COURIER_METRICS = { unitsPerEm: 1000, ascent: 629, descent: -157 };
+
+// Six-letter tag marking an embedded font as a subset
+const SUBSET_TAG = 'AAAAAA';
+
+// Characters per bfchar block of the ToUnicode map (the format allows at most 100)
+const CMAP_BLOCK_SIZE = 100;
+
+// Unencodable characters quoted in the error message
+const MISSING_CHAR_EXAMPLES = 5;
+
+export default class PdfExporter {
+  /**
+   * Serialize ASCII data to a PDF document
+   * @param {Object} asciiData - { chars, colors, backgrounds?, width, height }
+   * @param {Object} [options]
+   * @param {Object} [options.renderOptions] - lineHeight and backgroundColor, as passed to CanvasRenderer
+   * @param {ArrayBuffer|null} [options.fontData] - TrueType font to embed, subset to the
+   *   characters in use; null uses Courier, which covers Latin-1 only
+   * @param {string} [options.pageSize] - Key of config.export.pdf.pageSizes
+   * @param {string} [options.orientation] - 'portrait' or 'landscape'
+   * @param {number} [options.margin] - Page margin in millimeters
+   * @param {string} [options.layout] - 'fit' to scale onto one page, 'tile' to span pages
+   * @param {number} [options.fontSize] - Font size in points for the 'tile' layout
+   * @returns {Promise<Blob>}
+   * @throws {Error} If the page options leave no room for the grid, or the font has no
+   *   glyphs for some characters (e.g. Braille or box drawing without an embedded font)
+   */
+  static async export(asciiData, {
+    renderOptions = {},
+    fontData = null,
+    pageSize = config.export.pdf.defaultPageSize,
+    orientation = config.export.pdf.defaultOrientation,
+    margin = config.export.pdf.defaultMargin,
+    layout = config.export.pdf.defaultLayout,
+    fontSize = config.export.pdf.defaultFontSize
+  } = {}) {
+    const { chars } = asciiData;
+
+    const size = config.export.pdf.pageSizes[pageSize];
+    if (!size) {
+      throw new Error(`Unknown PDF page size "${pageSize}"`);
+    }
+    const [pageWidth, pageHeight] = orientation === 'landscape' ? [size[1], size[0]] : size;
+
+    const usedChars = new Set([' ']);
+    chars.forEach(row => row.forEach(char => {
+      if (!BlockElements.isBlockElement(char)) usedChars.add(char);
+    }));
+
+    const font = fontData ? this._embeddedFont(fontData, usedChars) : this._standardFont();
+
+    // Unencodable characters would be left out of the text, so refuse instead of writing blanks
+    const missing = [...usedChars].filter(char => char !== ' ' && font.encode(char) === null);
+    if (missing.length > 0) {
+      const examples = missing.slice(0, MISSING_CHAR_EXAMPLES).join(' ');
+      const fix = fontData ? 'choose a font that has them' : 'embed a TrueType font that has them';
+      throw new Error(`The PDF font has no glyphs for ${missing.length} character${missing.length === 1 ? '' : 's'} (${examples}); ${fix}`);
+    }
+    const tiles = this._layout(asciiData, {
+      pageWidth,
+      pageHeight,
+      margin: margin * POINTS_PER_MM,
+      layout,
+      fontSize,
+      lineHeight: renderOptions.lineHeight || config.canvas.lineHeight
+    });
+
+    const backgroundColor = renderOptions.backgroundColor || config.canvas.backgroundColor;
+
+    // Catalog, page tree and info first, then the font, then each page and its contents
+    // Object numbers start at 1, so an object's number is the array length after adding it
+    const objects = [];
+    const add = (object) => objects.push(object);
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const infoId = add(this._dictionary({ Producer: this._string(config.export.pdf.producer) }));
+    const fontId = await font.write(add);
+
+    const pageIds = [];
+    for (const tile of tiles) {
+      const content = this._drawTile(asciiData, tile, { pageHeight, backgroundColor, font });
+      const contentId = add(await this._stream({}, new TextEncoder().encode(content)));
+      pageIds.push(add(this._dictionary({
+        Type: '/Page',
+        Parent: `${pagesId} 0 R`,
+        MediaBox: `[0 0 ${this._number(pageWidth)} ${this._number(pageHeight)}]`,
+        Resources: this._dictionary({ Font: this._dictionary({ F1: `${fontId} 0 R` }) }),
+        Contents: `${contentId} 0 R`
+      })));
+    }
+
+    objects[catalogId - 1] = this._dictionary({ Type: '/Catalog', Pages: `${pagesId} 0 R` });
+    objects[pagesId - 1] = this._dictionary({
+      Type: '/Pages',
+      Kids: `[${pageIds.map(id => `${id} 0 R`).join(' ')}]`,
+      Count: pageIds.length
+    });
+
+    return new Blob(this._assemble(objects, { Root: `${catalogId} 0 R`, Info: `${infoId} 0 R` }), {
+      type: 'application/pdf'
+    });
+  }
+
+  /**
+   * Split the grid into pages and place each part on its page
+   * @private
+   * @param {Object} asciiData - { width, height }
+   * @param {Object} options - { pageWidth, pageHeight, margin, layout, fontSize, lineHeight },
+   *   lengths in points
+   * @returns {Object[]} - Per page: { left, top, fontSize, charWidth, charHeight, col, row, cols, rows },
+   *   with left/top measured from the page's top-left corner
+   * @throws {Error} If the margins or font size leave no room for a cell
+   */
+  static _layout({ width, height }, { pageWidth, pageHeight, margin, layout, fontSize, lineHeight }) {
+    const contentWidth = pageWidth - 2 * margin;
+    const contentHeight = pageHeight - 2 * margin;
+    if (contentWidth <= 0 || contentHeight <= 0) {
+      throw new Error('PDF margins are larger than the page');
+    }
+
+    if (layout === 'fit') {
+      // Largest font size that fits the whole grid, centered in the margins
+      const fitSize = Math.min(contentWidth / (width * CELL_WIDTH_EM), contentHeight / (height * lineHeight));
+      const charWidth = fitSize * CELL_WIDTH_EM;
+      const charHeight = fitSize * lineHeight;
+
+      return [{
+        left: margin + (contentWidth - width * charWidth) / 2,
+        top: margin + (contentHeight - height * charHeight) / 2,
+        fontSize: fitSize,
+        charWidth,
+        charHeight,
+        col: 0,
+        row: 0,
+        cols: width,
+        rows: height
+      }];
+    }
+
+    if (layout !== 'tile') {
+      throw new Error(`Unknown PDF layout "${layout}"`);
+    }
+
+    const charWidth = fontSize * CELL_WIDTH_EM;
+    const charHeight = fontSize * lineHeight;
+    const colsPerPage = Math.floor(contentWidth / charWidth);
+    const rowsPerPage = Math.floor(contentHeight / charHeight);
+    if (colsPerPage < 1 || rowsPerPage < 1) {
+      throw new Error(`${fontSize}pt characters do not fit inside the PDF margins`);
+    }
+
+    // Left to right, then top to bottom, the order the pages are laid out when assembled
+    const tiles = [];
+    for (let row = 0; row < height; row += rowsPerPage) {
+      for (let col = 0; col < width; col += colsPerPage) {
+        tiles.push({
+          left: margin,
+          top: margin,
+          fontSize,
+          charWidth,
+          charHeight,
+          col,
+          row,
+          cols: Math.min(colsPerPage, width - col),
+          rows: Math.min(rowsPerPage, height - row)
+        });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Content stream drawing one tile of the grid
+   * @private
+   * @param {Object} asciiData - { chars, colors, backgrounds? }
+   * @param {Object} tile - Tile from _layout()
+   * @param {Object} options - { pageHeight, backgroundColor, font }
+   * @returns {string}
+   */
+  static _drawTile({ chars, colors, backgrounds }, tile, { pageHeight, backgroundColor, font }) {
+    const { left, top, fontSize, charWidth, charHeight, col: firstCol, row: firstRow, cols, rows } = tile;
+    const operations = [];
+
+    // Page coordinates start at the bottom-left corner
+    const x = (col) => left + (col - firstCol) * charWidth;
+    const y = (row) => pageHeight - top - (row - firstRow) * charHeight;
+    const rect = (x0, top0, x1, top1) =>
+      `${this._number(x0)} ${this._number(top1)} ${this._number(x1 - x0)} ${this._number(top0 - top1)} re f`;
+
+    // Fill color is only set when it changes
+    let fill = null;
+    const setFill = (color) => {
+      const operands = this._color(color);
+      if (operands !== fill) {
+        operations.push(`${operands} rg`);
+        fill = operands;
+      }
+    };
+
+    setFill(backgroundColor);
+    operations.push(rect(x(firstCol), y(firstRow), x(firstCol + cols), y(firstRow + rows)));
+
+    const normalizedBackground = ColorUtils.normalize(backgroundColor);
+
+    for (let row = firstRow; row < firstRow + rows; row++) {
+      // Cell backgrounds, merged into runs of one color
+      if (backgrounds) {
+        let runStart = firstCol;
+        for (let col = firstCol + 1; col <= firstCol + cols; col++) {
+          const previous = backgrounds[row][col - 1];
+          if (col < firstCol + cols && backgrounds[row][col] === previous) continue;
+
+          if (previous && ColorUtils.normalize(previous) !== normalizedBackground) {
+            setFill(previous);
+            operations.push(rect(x(runStart), y(row), x(col), y(row + 1)));
+          }
+          runStart = col;
+        }
+      }
+
+      // Block elements as rectangles
+      for (let col = firstCol; col < firstCol + cols; col++) {
+        const char = chars[row][col];
+        if (!BlockElements.isBlockElement(char)) continue;
+
+        setFill(colors[row][col]);
+        BlockElements.quadrantRects(char, x(col), 0, charWidth, charHeight, false).forEach(quadrant => {
+          const quadrantTop = y(row) - quadrant.y;
+          operations.push(rect(quadrant.x, quadrantTop, quadrant.x + quadrant.width, quadrantTop - quadrant.height));
+        });
+      }
+    }
+
+    // The canvas draws glyphs from the top of the em box; PDF places them on the baseline
+    const { ascent, descent } = font.metrics;
+    const baseline = fontSize * ascent / (ascent - descent);
+
+    operations.push('BT', `/F1 ${this._number(fontSize)} Tf`);
+
+    for (let row = firstRow; row < firstRow + rows; row++) {
+      for (const run of this._textRuns(chars[row], colors[row], firstCol, firstCol + cols, font)) {
+        setFill(run.color);
+        operations.push(`1 0 0 1 ${this._number(x(run.start))} ${this._number(y(row) - baseline)} Tm <${run.codes}> Tj`);
+      }
+    }
+
+    operations.push('ET', '');
+    return operations.join('\n');
+  }
+
+  /**
+   * Split a row into runs of encoded glyphs sharing one color
+   * Spaces join the run around them, so copied text keeps its spacing. Block
+   * elements and characters the font can't show end a run and are skipped.
+   * @private
+   * @param {string[]} chars - Row characters
+   * @param {string[]} colors - Row colors
+   * @param {number} start - First column
+   * @param {number} end - Column after the last
+   * @param {Object} font - Font from _embeddedFont() or _standardFont()
+   * @returns {Object[]} - { start, color, codes } with codes as hex
+   */
+  static _textRuns(chars, colors, start, end, font) {
+    const runs = [];
+    const space = font.encode(' ');
+    let run = null;
+    let pendingSpaces = 0;
+
+    for (let col = start; col < end; col++) {
+      const char = chars[col];
+
+      if (char === ' ') {
+        if (run && space) {
+          pendingSpaces++;
+        } else {
+          run = null;
+        }
+        continue;
+      }
+
+      const code = BlockElements.isBlockElement(char) ? null : font.encode(char);
+      if (!code) {
+        run = null;
+        continue;
+      }
+
+      const color = ColorUtils.normalize(colors[col]);
+      if (!run || run.color !== color) {
+        run = { start: col, color, codes: '' };
+        runs.push(run);
+      } else {
+        run.codes += space.repeat(pendingSpaces);
+      }
+      pendingSpaces = 0;
+      run.codes += code;
+    }
+
+    return runs;
+  }
+
+  /**
+   * Standard Courier font with WinAnsi encoding; needs nothing embedded
+   * @private
+   * @returns {Object} - { metrics, encode(char): string|null, write(add): Promise<number> }
+   */
+  static _standardFont() {
+    return {
+      metrics: COURIER_METRICS,
+      // Printable ASCII and Latin-1 share their WinAnsi codes
+      encode: (char) => {
+        const code = char.codePointAt(0);
+        const printable = (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff);
+        return printable ? code.toString(16).padStart(2, '0') : null;
+      },
+      write: async (add) => add(this._dictionary({
+        Type: '/Font',
+        Subtype: '/Type1',
+        BaseFont: '/Courier',
+        Encoding: '/WinAnsiEncoding'
+      }))
+    };
+  }
+
+  /**
+   * Embedded TrueType subset as a composite font addressed by glyph id
+   * @private
+   * @param {ArrayBuffer} fontData - TrueType font file
+   * @param {Set<string>} usedChars - Characters to embed
+   * @returns {Object} - { metrics, encode(char): string|null, write(add): Promise<number> }
+   */
+  static _embeddedFont(fontData, usedChars) {
+    const glyphIds = FontSubsetter.glyphIds(fontData, usedChars);
+    const metrics = FontSubsetter.metrics(fontData);
+    const subset = FontSubsetter.subset(fontData, usedChars);
+    const hex = (value) => value.toString(16).padStart(4, '0');
+
+    return {
+      metrics,
+      encode: (char) => {
+        const glyphId = glyphIds.get(char.codePointAt(0));
+        return glyphId ? hex(glyphId) : null;
+      },
+      write: async (add) => {
+        const scale = 1000 / metrics.unitsPerEm;
+        const name = `/${SUBSET_TAG}+${config.export.pdf.embeddedFontName}`;
+
+        // Glyph ids back to text, for copying and searching
+        const toUnicode = new Map();
+        for (const [codePoint, glyphId] of glyphIds) {
+          if (!toUnicode.has(glyphId)) toUnicode.set(glyphId, hex(codePoint));
+        }
+
+        const fontFileId = add(await this._stream({ Length1: subset.length }, subset));
+        const descriptorId = add(this._dictionary({
+          Type: '/FontDescriptor',
+          FontName: name,
+          Flags: 5, // Fixed pitch, symbolic
+          FontBBox: `[${metrics.bbox.map(value => Math.round(value * scale)).join(' ')}]`,
+          ItalicAngle: 0,
+          Ascent: Math.round(metrics.ascent * scale),
+          Descent: Math.round(metrics.descent * scale),
+          CapHeight: Math.round(metrics.ascent * scale),
+          StemV: 80,
+          FontFile2: `${fontFileId} 0 R`
+        }));
+        const cidFontId = add(this._dictionary({
+          Type: '/Font',
+          Subtype: '/CIDFontType2',
+          BaseFont: name,
+          CIDSystemInfo: this._dictionary({ Registry: '(Adobe)', Ordering: '(Identity)', Supplement: 0 }),
+          FontDescriptor: `${descriptorId} 0 R`,
+          DW: Math.round(CELL_WIDTH_EM * 1000),
+          CIDToGIDMap: '/Identity'
+        }));
+        const toUnicodeId = add(await this._stream({}, new TextEncoder().encode(this._toUnicodeMap(toUnicode))));
+
+        return add(this._dictionary({
+          Type: '/Font',
+          Subtype: '/Type0',
+          BaseFont: name,
+          Encoding: '/Identity-H',
+          DescendantFonts: `[${cidFontId} 0 R]`,
+          ToUnicode: `${toUnicodeId} 0 R`
+        }));
+      }
+    };
+  }
+
+  /**
+   * ToUnicode CMap program for two-byte glyph codes
+   * @private
+   * @param {Map<number, string>} mapping - Glyph id to UTF-16 hex
+   * @returns {string}
+   */
+  static _toUnicodeMap(mapping) {
+    const entries = [...mapping].map(([glyphId, unicode]) => `<${glyphId.toString(16).padStart(4, '0')}> <${unicode}>`);
+    const blocks = [];
+    for (let i = 0; i < entries.length; i += CMAP_BLOCK_SIZE) {
+      const block = entries.slice(i, i + CMAP_BLOCK_SIZE);
+      blocks.push(`${block.length} beginbfchar`, ...block, 'endbfchar');
+    }
+
+    return [
+      '/CIDInit /ProcSet findresource begin',
+      '12 dict begin',
+      'begincmap',
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+      '/CMapName /Adobe-Identity-UCS def',
+      '/CMapType 2 def',
+      '1 begincodespacerange',
+      '<0000> <FFFF>',
+      'endcodespacerange',
+      ...blocks,
+      'endcmap',
+      'CMapName currentdict /CMap defineresource pop',
+      'end',
+      'end',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Deflate-compressed stream object
+   * @private
+   * @param {Object} entries - Extra dictionary entries
+   * @param {Uint8Array} data - Stream contents
+   * @returns {Promise<Uint8Array[]>}
+   */
+  static async _stream(entries, data) {
+    const compressed = await Compression.compress(data, 'deflate');
+    const encoder = new TextEncoder();
+    return [
+      encoder.encode(`${this._dictionary({ ...entries, Filter: '/FlateDecode', Length: compressed.length })}\nstream\n`),
+      compressed,
+      encoder.encode('\nendstream')
+    ];
+  }
+
+  /**
+   * Serialize a dictionary whose values are already PDF syntax
+   * @private
+   * @param {Object} entries - Key to serialized value
+   * @returns {string}
+   */
+  static _dictionary(entries) {
+    return `<< ${Object.entries(entries).map(([key, value]) => `/${key} ${value}`).join(' ')} >>`;
+  }
+
+  /**
+   * Serialize a literal string
+   * @private
+   * @param {string} text - ASCII text
+   * @returns {string}
+   */
+  static _string(text) {
+    return `(${text.replace(/[\\()]/g, char => `\\${char}`)})`;
+  }
+
+  /**
+   * Write the file: header, numbered objects, cross-reference table and trailer
+   * @private
+   * @param {Array<string|Uint8Array[]>} objects - Object n + 1 at index n
+   * @param {Object} trailer - Extra trailer entries
+   * @returns {Uint8Array[]}
+   */
+  static _assemble(objects, trailer) {
+    const encoder = new TextEncoder();
+    // The comment line of high bytes marks the file as binary
+    const parts = [encoder.encode('%PDF-1.7\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+    let offset = parts[0].length + parts[1].length;
+    const offsets = [];
+
+    const push = (bytes) => {
+      parts.push(bytes);
+      offset += bytes.length;
+    };
+
+    objects.forEach((object, i) => {
+      offsets.push(offset);
+      push(encoder.encode(`${i + 1} 0 obj\n`));
+      (typeof object === 'string' ? [encoder.encode(object)] : object).forEach(push);
+      push(encoder.encode('\nendobj\n'));
+    });
+
+    // Each cross-reference entry is exactly 20 bytes
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(position => `${String(position).padStart(10, '0')} 00000 n `),
+      'trailer',
+      this._dictionary({ Size: objects.length + 1, ...trailer }),
+      'startxref',
+      String(offset),
+      '%%EOF',
+      ''
+    ];
+    push(encoder.encode(xref.join('\n')));
+
+    return parts;
+  }
+
+  /**
+   * PDF fill color operands of a CSS color
+   * @private
+   * @param {string} color - CSS color
+   * @returns {string} - 'r g b' in 0-1
+   */
+  static _color(color) {
+    const { r, g, b } = ColorUtils.parseColor(color);
+    return [r, g, b].map(channel => this._number(channel / 255)).join(' ');
+  }
+
+  /**
+   * Format a number with at most three decimals
+   * @private
+   * @param {number} value
+   * @returns {string}
+   */
+  static _number(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * PlayerExporter - Bundles converted video frames into one self-contained HTML player
+ * Frame text and per-cell colors are gzip-compressed as frames arrive and embedded
+ * as base64, with an optional audio track. The page decompresses them with
+ * DecompressionStream and plays them back as selectable text, each frame for its
+ * own duration.
+ */
+import HtmlExporter from './HtmlExporter.js';
+import ColorUtils from '../utils/ColorUtils.js';
+import Compression from '../utils/Compression.js';
+import Base64 from '../utils/Base64.js';
+import config from '../config.js';
+
+export default class PlayerExporter {
+  /**
+   * @param {Object} options
+   * @param {number} options.fps - Frame rate of frames added without a duration
+   * @param {Object} [options.renderOptions] - fontSize, fontFamily, lineHeight,
+   *   backgroundColor and foregroundColor, as passed to CanvasRenderer
+   * @param {string} [options.title] - Page title
+   */
+  constructor({ fps, renderOptions = {}, title = config.export.player.title }) {
+    this.fps = fps;
+    this.renderOptions = renderOptions;
+    this.title = title;
+
+    this.width = 0;
+    this.height = 0;
+    this.frameCount = 0;
+    this.durations = [];
+    this.hasBackgrounds = false;
+    this.audio = null;
+
+    // Frame text as UTF-8 lines, colors as RGB per cell, backgrounds as RGB + present flag
+    this.textStream = Compression.createCompressor();
+    this.colorStream = Compression.createCompressor();
+    this.backgroundStream = null;
+
+    this.encoder = new TextEncoder();
+    this.rgbCache = new Map();
+  }
+
+  /**
+   * Append the next frame
+   * @param {Object} asciiData - { chars, colors, backgrounds?, width, height }
+   * @param {number} [duration] - Seconds the frame is shown; 1 / fps if omitted
+   * @returns {Promise<void>}
+   */
+  async addFrame({ chars, colors, backgrounds, width, height }, duration = 1 / this.fps) {
+    if (this.frameCount === 0) {
+      this.width = width;
+      this.height = height;
+      this.hasBackgrounds = Boolean(backgrounds);
+      if (this.hasBackgrounds) {
+        this.backgroundStream = Compression.createCompressor();
+      }
+    }
+
+    const cellCount = this.width * this.height;
+    const colorBytes = new Uint8Array(cellCount * 3);
+    const backgroundBytes = this.hasBackgrounds ? new Uint8Array(cellCount * 4) : null;
+
+    for (let row = 0; row < this.height; row++) {
+      for (let col = 0; col < this.width; col++) {
+        const cell = row * this.width + col;
+        colorBytes.set(this._rgb(colors[row][col]), cell * 3);
+
+        const background = backgrounds?.[row][col];
+        if (backgroundBytes && background) {
+          backgroundBytes.set(this._rgb(background), cell * 4);
+          backgroundBytes[cell * 4 + 3] = 1;
+        }
+      }
+    }
+
+    const text = chars.map(row => row.join('')).join('\n') + '\n';
+
+    await this.textStream.write(this.encoder.encode(text));
+    await this.colorStream.write(colorBytes);
+    if (backgroundBytes) {
+      await this.backgroundStream.write(backgroundBytes);
+    }
+
+    this.durations.push(duration);
+    this.frameCount++;
+  }
+
+  /**
+   * Embed an audio track, played in sync with the frames
+   * @param {Blob} blob - Audio in a format browsers play (e.g. M4A)
+   */
+  setAudio(blob) {
+    this.audio = blob;
+  }
+
+  /**
+   * Build the player page
+   * @returns {Promise<Blob>}
+   */
+  async toBlob() {
+    if (this.frameCount === 0) {
+      throw new Error('No frames added to player');
+    }
+
+    const payload = {
+      fps: this.fps,
+      width: this.width,
+      height: this.height,
+      frameCount: this.frameCount,
+      // Constant-rate video is timed from fps alone
+      durations: this.durations.every(duration => duration === 1 / this.fps) ? null : this.durations,
+      text: Base64.encode(await this.textStream.finish()),
+      colors: Base64.encode(await this.colorStream.finish()),
+      backgrounds: this.backgroundStream ? Base64.encode(await this.backgroundStream.finish()) : null
+    };
+
+    const audioSource = this.audio ? await Base64.toDataURL(this.audio) : null;
+
+    return new Blob([this._buildPage(payload, audioSource)], { type: config.video.outputFormats.player.mimeType });
+  }
+
+  /**
+   * RGB bytes of a color
+   * @private
+   * @param {string} color - CSS color
+   * @returns {number[]}
+   */
+  _rgb(color) {
+    if (!this.rgbCache.has(color)) {
+      const { r, g, b } = ColorUtils.parseColor(color);
+      this.rgbCache.set(color, [r, g, b]);
+    }
+    return this.rgbCache.get(color);
+  }
+
+  /**
+   * Player page markup
+   * @private
+   * @param {Object} payload - Frame data for runPlayer()
+   * @param {string|null} audioSource - Audio data URL
+   * @returns {string}
+   */
+  _buildPage(payload, audioSource) {
+    const fontSize = this.renderOptions.fontSize || config.canvas.fontSize;
+    const fontFamily = this.renderOptions.fontFamily || config.canvas.fontFamily;
+    const lineHeight = this.renderOptions.lineHeight || config.canvas.lineHeight;
+    const backgroundColor = ColorUtils.normalize(this.renderOptions.backgroundColor || config.canvas.backgroundColor);
+
+    const speeds = config.export.player.speeds
+      .map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}x</option>`)
+      .join('');
+
+    // Keep "</script>" and similar out of the inline script
+    const json = JSON.stringify(payload).replace(/</g, '\\u003c');
+    const title = this.title.replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${title}</title>`,
+      '<style>',
+      `body { margin: 0; background: ${backgroundColor}; font-family: sans-serif; }`,
+      `pre { margin: 0; font-family: ${HtmlExporter.fontStack(fontFamily)}; font-size: ${fontSize}px; ` +
+        `line-height: ${lineHeight}; background: ${backgroundColor}; }`,
+      '.controls { display: flex; align-items: center; gap: 8px; padding: 8px; background: #222; color: #eee; }',
+      '.controls input[type="range"] { flex: 1; }',
+      '</style>',
+      '</head>',
+      '<body>',
+      '<pre id="screen">Loading…</pre>',
+      '<div class="controls">',
+      '<button id="play" disabled>Play</button>',
+      '<input type="range" id="scrub" min="0" max="0" value="0" step="1">',
+      '<span id="time">0:00 / 0:00</span>',
+      '<label><input type="checkbox" id="loop" checked> Loop</label>',
+      `<select id="speed">${speeds}</select>`,
+      '</div>',
+      audioSource ? `<audio id="audio" src="${audioSource}" preload="auto"></audio>` : '',
+      '<script>',
+      `(${runPlayer.toString()})(${json});`,
+      '</script>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Player script, serialized into the exported page and run there
+ * It must not reference anything outside its own body.
+ * @param {Object} payload - { fps, width, height, frameCount, durations, text, colors, backgrounds }
+ */
+async function runPlayer(payload) {
+  const { fps, width, height, frameCount } = payload;
+
+  // Start time of each frame in seconds, plus the total duration at the end
+  const starts = [0];
+  for (let i = 0; i < frameCount; i++) {
+    starts.push(starts[i] + (payload.durations ? payload.durations[i] : 1 / fps));
+  }
+  const duration = starts[frameCount];
+
+  // Last frame starting at or before a time
+  const frameAt = (time) => {
+    let low = 0;
+    let high = frameCount - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= time) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+
+  const inflate = async (base64) => {
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  };
+
+  const lines = new TextDecoder().decode(await inflate(payload.text)).split('\n');
+  const colors = await inflate(payload.colors);
+  const backgrounds = payload.backgrounds ? await inflate(payload.backgrounds) : null;
+
+  const screen = document.getElementById('screen');
+  const playButton = document.getElementById('play');
+  const scrub = document.getElementById('scrub');
+  const timeLabel = document.getElementById('time');
+  const loopToggle = document.getElementById('loop');
+  const speedSelect = document.getElementById('speed');
+  const audio = document.getElementById('audio');
+
+  const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+  const hex = (bytes, offset) =>
+    '#' + ((1 << 24) | (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]).toString(16).slice(1);
+  const formatTime = (seconds) =>
+    `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+  let frame = 0;
+  let playing = false;
+  let speed = 1;
+  let anchorStart = 0;
+  let anchorTime = 0;
+
+  // Render one frame, merging runs of cells with the same colors into spans
+  const show = (index) => {
+    frame = index;
+    let html = '';
+
+    for (let row = 0; row < height; row++) {
+      const line = index * height + row;
+      const chars = Array.from(lines[line] || '');
+      let run = '';
+      let style = null;
+
+      for (let col = 0; col < chars.length; col++) {
+        const cell = line * width + col;
+        let cellStyle = `color:${hex(colors, cell * 3)}`;
+        if (backgrounds && backgrounds[cell * 4 + 3]) {
+          cellStyle += `;background:${hex(backgrounds, cell * 4)}`;
+        }
+        if (cellStyle !== style) {
+          if (run) html += `<span style="${style}">${run}</span>`;
+          run = '';
+          style = cellStyle;
+        }
+        run += escapes[chars[col]] || chars[col];
+      }
+
+      if (run) html += `<span style="${style}">${run}</span>`;
+      html += '\n';
+    }
+
+    screen.innerHTML = html;
+    scrub.value = index;
+    timeLabel.textContent = `${formatTime(starts[index])} / ${formatTime(duration)}`;
+  };
+
+  // The wall clock drives playback; the audio is nudged back when it drifts
+  const seek = (index) => {
+    anchorStart = starts[index];
+    anchorTime = performance.now();
+    if (audio) audio.currentTime = starts[index];
+    show(index);
+  };
+
+  const pause = () => {
+    playing = false;
+    playButton.textContent = 'Play';
+    if (audio) audio.pause();
+  };
+
+  const tick = () => {
+    if (!playing) return;
+
+    let time = anchorStart + ((performance.now() - anchorTime) / 1000) * speed;
+    let target = frameAt(time);
+
+    if (time >= duration) {
+      if (!loopToggle.checked) {
+        show(frameCount - 1);
+        pause();
+        return;
+      }
+      seek(0);
+      target = 0;
+      time = 0;
+      if (audio) audio.play();
+    }
+
+    if (target !== frame) {
+      show(target);
+    }
+    if (audio && !audio.paused && Math.abs(audio.currentTime - time) > 0.25) {
+      audio.currentTime = time;
+    }
+
+    requestAnimationFrame(tick);
+  };
+
+  const play = () => {
+    if (frame >= frameCount - 1) frame = 0;
+    playing = true;
+    playButton.textContent = 'Pause';
+    seek(frame);
+    if (audio) audio.play();
+    requestAnimationFrame(tick);
+  };
+
+  playButton.addEventListener('click', () => (playing ? pause() : play()));
+  scrub.addEventListener('input', () => seek(parseInt(scrub.value, 10)));
+  speedSelect.addEventListener('change', () => {
+    speed = parseFloat(speedSelect.value);
+    if (audio) audio.playbackRate = speed;
+    seek(frame);
+  });
+
+  scrub.max = frameCount - 1;
+  playButton.disabled = false;
+  show(0);
+}
@@ -0,0 +1,171 @@
+/**
+ * SvgExporter - Serializes ASCII data as a scalable SVG image
+ * Uses the same cell geometry as CanvasRenderer: every glyph is placed at its
+ * cell's left edge, block elements are drawn as rectangles and cell backgrounds
+ * as filled runs. The font can be embedded as a subset for identical rendering everywhere.
+ */
+import ColorUtils from '../utils/ColorUtils.js';
+import BlockElements from '../utils/BlockElements.js';
+import FontSubsetter from '../utils/FontSubsetter.js';
+import Base64 from '../utils/Base64.js';
+import config from '../config.js';
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+export default class SvgExporter {
+  /**
+   * Serialize ASCII data to an SVG document
+   * @param {Object} asciiData - { chars, colors, backgrounds?, width, height }
+   * @param {Object} options
+   * @param {Object} [options.renderOptions] - fontSize, fontFamily, lineHeight and
+   *   backgroundColor, as passed to CanvasRenderer
+   * @param {ArrayBuffer|null} [options.fontData] - TrueType font to embed, subset to the
+   *   characters in use; null references the font by name only
+   * @returns {string}
+   */
+  static export(asciiData, { renderOptions = {}, fontData = null } = {}) {
+    const { chars, colors, backgrounds, width, height } = asciiData;
+
+    // Same defaults and cell geometry as CanvasRenderer
+    const fontSize = renderOptions.fontSize || config.canvas.fontSize;
+    const fontFamily = renderOptions.fontFamily || config.canvas.fontFamily;
+    const lineHeight = renderOptions.lineHeight || config.canvas.lineHeight;
+    const backgroundColor = ColorUtils.normalize(renderOptions.backgroundColor || config.canvas.backgroundColor);
+
+    const charWidth = fontSize * 0.6;
+    const charHeight = fontSize * lineHeight;
+    const svgWidth = Math.ceil(width * charWidth);
+    const svgHeight = Math.ceil(height * charHeight);
+
+    const fontFamilies = [`'${fontFamily}'`, 'monospace'];
+    const styleRules = [];
+
+    if (fontData) {
+      const usedChars = new Set();
+      chars.forEach(row => row.forEach(char => {
+        if (char !== ' ' && !BlockElements.isBlockElement(char)) usedChars.add(char);
+      }));
+
+      const subset = FontSubsetter.subset(fontData, usedChars);
+      const embeddedFamily = config.export.svg.embeddedFontFamily;
+      styleRules.push(
+        `@font-face { font-family: '${embeddedFamily}'; ` +
+        `src: url(data:font/ttf;base64,${Base64.encode(subset)}) format('truetype'); }`
+      );
+      fontFamilies.unshift(`'${embeddedFamily}'`);
+    }
+
+    // textBaseline 'top' on the canvas corresponds to the text-before-edge baseline
+    styleRules.push(
+      `text { font-family: ${fontFamilies.join(', ')}; font-size: ${fontSize}px; ` +
+      'dominant-baseline: text-before-edge; }'
+    );
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" ` +
+        `viewBox="0 0 ${svgWidth} ${svgHeight}">`,
+      `<style>${styleRules.join('\n')}</style>`,
+      `<rect width="${svgWidth}" height="${svgHeight}" fill="${backgroundColor}"/>`
+    ];
+
+    for (let row = 0; row < height; row++) {
+      const top = Math.round(row * charHeight);
+      const bottom = Math.round((row + 1) * charHeight);
+
+      // Cell backgrounds, merged into runs of one color
+      if (backgrounds) {
+        let runStart = 0;
+        for (let col = 1; col <= width; col++) {
+          const previous = backgrounds[row][col - 1];
+          if (col < width && backgrounds[row][col] === previous) continue;
+
+          if (previous && ColorUtils.normalize(previous) !== backgroundColor) {
+            const left = Math.round(runStart * charWidth);
+            const right = Math.round(col * charWidth);
+            parts.push(
+              `<rect x="${left}" y="${top}" width="${right - left}" height="${bottom - top}" ` +
+              `fill="${ColorUtils.normalize(previous)}"/>`
+            );
+          }
+          runStart = col;
+        }
+      }
+
+      // Block elements as rectangles
+      for (let col = 0; col < width; col++) {
+        const char = chars[row][col];
+        if (!BlockElements.isBlockElement(char)) continue;
+
+        const fill = ColorUtils.normalize(colors[row][col]);
+        BlockElements.quadrantRects(char, col * charWidth, row * charHeight, charWidth, charHeight).forEach(rect => {
+          parts.push(`<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="${fill}"/>`);
+        });
+      }
+
+      const text = this._serializeRow(chars[row], colors[row], charWidth);
+      if (text) {
+        parts.push(`<text y="${this._number(row * charHeight)}">${text}</text>`);
+      }
+    }
+
+    parts.push('</svg>', '');
+    return parts.join('\n');
+  }
+
+  /**
+   * Serialize one row of glyphs as tspans, one per run of a single color
+   * Each glyph gets its own x position, so spaces can be left out and the
+   * grid stays aligned whatever the font's advance widths.
+   * @private
+   * @param {string[]} chars - Row characters
+   * @param {string[]} colors - Row colors
+   * @param {number} charWidth - Cell width
+   * @returns {string}
+   */
+  static _serializeRow(chars, colors, charWidth) {
+    let output = '';
+    let run = null;
+
+    const flush = () => {
+      if (run) {
+        output += `<tspan x="${run.positions.join(' ')}" fill="${run.color}">${run.text}</tspan>`;
+      }
+      run = null;
+    };
+
+    chars.forEach((char, col) => {
+      if (char === ' ' || BlockElements.isBlockElement(char)) return;
+
+      const color = ColorUtils.normalize(colors[col]);
+      if (!run || run.color !== color) {
+        flush();
+        run = { color, positions: [], text: '' };
+      }
+      run.positions.push(this._number(col * charWidth));
+      run.text += this._escape(char);
+    });
+
+    flush();
+    return output;
+  }
+
+  /**
+   * Format a coordinate with at most two decimals
+   * @private
+   * @param {number} value
+   * @returns {string}
+   */
+  static _number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Escape text for XML
+   * @private
+   * @param {string} text
+   * @returns {string}
+   */
+  static _escape(text) {
+    return text.replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+  }
+}
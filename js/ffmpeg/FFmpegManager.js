@@ -1,9 +1,10 @@
 /**
  * FFmpegManager - Singleton wrapper for FFMPEG.wasm
- * Handles video frame extraction, audio extraction, and MP4 encoding
+ * Handles video frame extraction, audio extraction, and MP4 / WebM / GIF / APNG encoding
  */
 import EventBus from '../utils/EventBus.js';
 import config from '../config.js';
+import CanvasFactory from '../utils/CanvasFactory.js';
 
 class FFmpegManager {
   constructor() {
@@ -271,15 +272,28 @@ class FFmpegManager {
         await this.ffmpeg.writeFile('input.mp4', await this.fetchFile(file));
       }
 
-      // Extract audio
-      await this.ffmpeg.exec([
+      // Transcode rather than copy: MKV, AVI, FLV, TS, Ogg and ASF often carry MP3, AC-3,
+      // Opus or Vorbis, which an ADTS .aac file cannot hold
+      const exitCode = await this.ffmpeg.exec([
         '-i', 'input.mp4',
         '-vn',
-        '-acodec', 'copy',
-        'audio.aac'
+        '-c:a', 'aac',
+        '-y', 'audio.aac'
       ]);
 
-      return true;
+      // exec() reports failure through its exit code; a failed run may also leave an empty file
+      const files = await this.ffmpeg.listDir('/');
+      const written = files.some(f => f.name === 'audio.aac');
+      const size = written ? (await this.ffmpeg.readFile('audio.aac')).length : 0;
+      if (exitCode === 0 && size > 0) {
+        return true;
+      }
+
+      if (written) {
+        await this.ffmpeg.deleteFile('audio.aac');
+      }
+      console.warn(`No audio track found or failed to extract (exit code ${exitCode})`);
+      return false;
     } catch (error) {
       // Video might not have audio
       console.warn('No audio track found or failed to extract:', error.message);
@@ -287,6 +301,25 @@ class FFmpegManager {
     }
   }
 
+  /**
+   * Read the extracted audio track as an M4A file browsers can play directly
+   * Call after extractAudio().
+   * @returns {Promise<Blob>}
+   */
+  async readAudioTrack() {
+    await this.load();
+
+    // Raw ADTS isn't playable everywhere; remux the AAC into MP4 without re-encoding
+    await this._execLogged([
+      '-i', 'audio.aac',
+      '-c:a', 'copy',
+      '-y',
+      'audio.m4a'
+    ]);
+
+    return this._readOutput('audio.m4a', 'audio/mp4');
+  }
+
   /**
    * Write a converted frame as PNG
    * @param {number} index - Frame index (1-based)
@@ -306,13 +339,42 @@ class FFmpegManager {
   }
 
   /**
-   * Encode frames to MP4 video
+   * Encode the converted frames in an output format
    * @param {number} fps - Target FPS
-   * @param {boolean} hasAudio - Whether to include audio
+   * @param {boolean} hasAudio - Whether to include audio (ignored by formats without audio)
    * @param {Function} onProgress - Progress callback
-   * @returns {Promise<Blob>} - MP4 video blob
+   * @param {Object} [encoding] - Output settings
+   * @param {string} [encoding.format] - Key of config.video.outputFormats ('video', 'gif' or 'apng')
+   * @param {string} [encoding.codec] - Key of config.video.codecs, for 'video'
+   * @param {number} [encoding.crf] - Constant rate factor; lower is better quality
+   * @param {string} [encoding.preset] - Speed preset from config.video.encoderPresets
+   * @param {number[]} [encoding.frameDurations] - Seconds each frame is shown, replacing the fixed fps
+   * @returns {Promise<Blob>} - Encoded blob
    */
-  async encodeToMP4(fps, hasAudio, onProgress) {
+  async encodeVideo(fps, hasAudio, onProgress, {
+    format = config.video.defaultOutputFormat,
+    codec = config.video.defaultCodec,
+    crf,
+    preset = config.video.defaultEncoderPreset,
+    frameDurations = null
+  } = {}) {
+    switch (format) {
+      case 'gif':
+        return this.encodeToGIF(fps, onProgress, frameDurations);
+      case 'apng':
+        return this.encodeToAPNG(fps, onProgress, frameDurations);
+      case 'video':
+        break;
+      default:
+        throw new Error(`Unknown output format "${format}"`);
+    }
+
+    const codecConfig = config.video.codecs[codec];
+    if (!codecConfig) {
+      throw new Error(`Unknown video codec "${codec}"`);
+    }
+    const container = config.video.containers[codecConfig.container];
+
     await this.load();
 
     try {
@@ -323,36 +385,9 @@ class FFmpegManager {
         }
       });
 
-      // List files to verify frames exist
+      // Frame rate and numbered frame input
       const files = await this.ffmpeg.listDir('/');
-      const asciiFrames = files.filter(f => f.name.startsWith('ascii_')).sort((a, b) => a.name.localeCompare(b.name));
-      console.log(`Found ${asciiFrames.length} ASCII frames to encode`);
-
-      if (asciiFrames.length > 0) {
-        console.log('First frame:', asciiFrames[0].name);
-        console.log('Last frame:', asciiFrames[asciiFrames.length - 1].name);
-      }
-
-      if (asciiFrames.length === 0) {
-        throw new Error('No ASCII frames found to encode');
-      }
-
-      // Check if frames are numbered correctly starting from 1
-      const firstFrameNum = parseInt(asciiFrames[0].name.match(/\d+/)[0]);
-      console.log('First frame number:', firstFrameNum);
-
-      // Build ffmpeg command
-      // Use -start_number if frames don't start at 1
-      const cmd = [
-        '-framerate', fps.toString()
-      ];
-
-      if (firstFrameNum !== 1) {
-        cmd.push('-start_number', firstFrameNum.toString());
-      }
-
-      // Add video input
-      cmd.push('-i', 'ascii_%05d.png');
+      const cmd = await this._getFrameInputArgs(files, fps, frameDurations);
 
       // Add audio input if available (must come before codec settings)
       let includeAudio = false;
@@ -367,64 +402,288 @@ class FFmpegManager {
       }
 
       // Video codec settings
+      cmd.push(...this._getCodecArgs(codecConfig, crf ?? codecConfig.defaultCrf, preset));
+      cmd.push(...this._getFrameTimingArgs(frameDurations));
+
       // Use bt709 colorspace with sRGB transfer curve and full color range
       cmd.push(
-        '-c:v', 'libx264',
-        '-preset', 'veryfast',
-        '-crf', '23',
-        '-pix_fmt', 'yuv420p',
         '-colorspace', 'bt709',
         '-color_primaries', 'bt709',
         '-color_trc', 'iec61966-2-1',
         '-color_range', 'pc'
       );
 
-      // Audio codec settings (if audio is included)
+      // Audio codec the container pairs with (AAC in MP4, Opus in WebM)
       if (includeAudio) {
-        cmd.push('-c:a', 'aac', '-shortest');
+        cmd.push('-c:a', container.audioCodec, '-shortest');
       }
 
-      cmd.push('-y', 'output.mp4');
+      const filename = `output.${container.extension}`;
+      cmd.push('-y', filename);
 
-      console.log('Encoding with command:', cmd.join(' '));
+      await this._execLogged(cmd);
+      const blob = await this._readOutput(filename, container.mimeType);
 
-      // Log any ffmpeg messages
-      const logHandler = ({ message }) => {
-        console.log('FFmpeg:', message);
-      };
-      this.ffmpeg.on('log', logHandler);
+      // Remove progress listener
+      this.ffmpeg.off('progress');
 
-      // Encode video
-      const exitCode = await this.ffmpeg.exec(cmd);
-      console.log('FFmpeg exit code:', exitCode);
+      return blob;
+    } catch (error) {
+      this.ffmpeg.off('progress');
+      console.error('Encoding error details:', error);
+      throw new Error(`Failed to encode video: ${error?.message || error}`);
+    }
+  }
 
-      this.ffmpeg.off('log', logHandler);
+  /**
+   * Encoder arguments for a codec
+   * @private
+   * @param {Object} codecConfig - Entry of config.video.codecs
+   * @param {number} crf - Constant rate factor (ignored for lossless codecs)
+   * @param {string} preset - Speed preset from config.video.encoderPresets
+   * @returns {string[]}
+   */
+  _getCodecArgs(codecConfig, crf, preset) {
+    const { encoder, pixelFormat, lossless } = codecConfig;
+    const args = ['-c:v', encoder, '-pix_fmt', pixelFormat];
+
+    switch (encoder) {
+      case 'libx264':
+        // QP 0 is lossless; 4:4:4 input selects the High 4:4:4 Predictive profile
+        args.push('-preset', preset);
+        args.push(...(lossless ? ['-qp', '0'] : ['-crf', crf.toString()]));
+        break;
+
+      case 'libvpx-vp9':
+        args.push(
+          '-deadline', 'good',
+          '-cpu-used', config.video.cpuUsedByPreset[preset].toString(),
+          '-row-mt', '1'
+        );
+        // -b:v 0 makes -crf a pure constant quality target
+        args.push(...(lossless ? ['-lossless', '1'] : ['-crf', crf.toString(), '-b:v', '0']));
+        break;
+
+      case 'libaom-av1':
+        args.push(
+          '-cpu-used', config.video.cpuUsedByPreset[preset].toString(),
+          '-row-mt', '1',
+          '-crf', crf.toString(),
+          '-b:v', '0'
+        );
+        break;
+
+      default:
+        throw new Error(`Unsupported encoder "${encoder}"`);
+    }
+
+    return args;
+  }
 
-      // Check if output file was created
-      const outputFiles = await this.ffmpeg.listDir('/');
-      const outputExists = outputFiles.some(f => f.name === 'output.mp4');
+  /**
+   * Encode frames to a looping animated GIF
+   * Runs two passes: palettegen builds a palette from the ASCII frames themselves,
+   * then paletteuse maps every frame onto it.
+   * @param {number} fps - Target FPS
+   * @param {Function} onProgress - Progress callback
+   * @param {number[]} [frameDurations] - Seconds each frame is shown, replacing the fixed fps
+   * @returns {Promise<Blob>} - GIF blob
+   */
+  async encodeToGIF(fps, onProgress, frameDurations = null) {
+    await this.load();
 
-      if (!outputExists) {
-        throw new Error('Output file was not created');
-      }
+    const { maxColors, dither } = config.video.gif;
+    let pass = 0;
+
+    try {
+      // Each pass reports 0-1; map them to the two halves of the progress range
+      this.ffmpeg.on('progress', ({ progress }) => {
+        if (onProgress) {
+          onProgress((pass + Math.min(Math.max(progress, 0), 1)) / 2);
+        }
+      });
 
-      // Read output file
-      const data = await this.ffmpeg.readFile('output.mp4');
-      const blob = new Blob([data.buffer], { type: 'video/mp4' });
+      const files = await this.ffmpeg.listDir('/');
 
-      console.log('Output video size:', blob.size, 'bytes');
+      const inputArgs = await this._getFrameInputArgs(files, fps, frameDurations);
+
+      // Pass 1: palette from the colors actually used in the frames
+      await this._execLogged([
+        ...inputArgs,
+        '-vf', `palettegen=max_colors=${maxColors}:stats_mode=full:reserve_transparent=0`,
+        '-y', 'palette.png'
+      ]);
+
+      // Pass 2: quantize every frame to that palette
+      pass = 1;
+      await this._execLogged([
+        ...inputArgs,
+        '-i', 'palette.png',
+        '-lavfi', `paletteuse=dither=${dither}`,
+        ...this._getFrameTimingArgs(frameDurations),
+        '-loop', '0',
+        '-y', 'output.gif'
+      ]);
+
+      const blob = await this._readOutput('output.gif', config.video.outputFormats.gif.mimeType);
 
-      // Remove progress listener
       this.ffmpeg.off('progress');
 
       return blob;
     } catch (error) {
       this.ffmpeg.off('progress');
       console.error('Encoding error details:', error);
-      throw new Error(`Failed to encode video: ${error?.message || error}`);
+      throw new Error(`Failed to encode GIF: ${error?.message || error}`);
     }
   }
 
+  /**
+   * Encode frames to a looping animated PNG
+   * @param {number} fps - Target FPS
+   * @param {Function} onProgress - Progress callback
+   * @param {number[]} [frameDurations] - Seconds each frame is shown, replacing the fixed fps
+   * @returns {Promise<Blob>} - APNG blob
+   */
+  async encodeToAPNG(fps, onProgress, frameDurations = null) {
+    await this.load();
+
+    try {
+      this.ffmpeg.on('progress', ({ progress }) => {
+        if (onProgress) {
+          onProgress(progress);
+        }
+      });
+
+      const files = await this.ffmpeg.listDir('/');
+
+      await this._execLogged([
+        ...(await this._getFrameInputArgs(files, fps, frameDurations)),
+        '-c:v', 'apng',
+        ...this._getFrameTimingArgs(frameDurations),
+        '-pred', 'mixed',
+        '-plays', '0',
+        '-f', 'apng',
+        '-y', 'output.apng'
+      ]);
+
+      const blob = await this._readOutput('output.apng', config.video.outputFormats.apng.mimeType);
+
+      this.ffmpeg.off('progress');
+
+      return blob;
+    } catch (error) {
+      this.ffmpeg.off('progress');
+      console.error('Encoding error details:', error);
+      throw new Error(`Failed to encode APNG: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Build the input arguments for the converted frame sequence
+   * With frame durations, the frames are listed in an ffconcat file that times
+   * each one separately instead of reading them at a fixed rate.
+   * @private
+   * @param {Object[]} files - Virtual filesystem listing
+   * @param {number} fps - Target FPS
+   * @param {number[]} [frameDurations] - Seconds each frame is shown
+   * @returns {Promise<string[]>} - Frame rate, start number and input arguments
+   * @throws {Error} If no converted frames exist
+   */
+  async _getFrameInputArgs(files, fps, frameDurations = null) {
+    // List files to verify frames exist
+    const asciiFrames = files.filter(f => f.name.startsWith('ascii_')).sort((a, b) => a.name.localeCompare(b.name));
+    console.log(`Found ${asciiFrames.length} ASCII frames to encode`);
+
+    if (asciiFrames.length === 0) {
+      throw new Error('No ASCII frames found to encode');
+    }
+
+    console.log('First frame:', asciiFrames[0].name);
+    console.log('Last frame:', asciiFrames[asciiFrames.length - 1].name);
+
+    if (frameDurations) {
+      const lines = ['ffconcat version 1.0'];
+      asciiFrames.forEach((frame, i) => {
+        lines.push(`file ${frame.name}`, `duration ${frameDurations[i] ?? 1 / fps}`);
+      });
+      // The concat demuxer drops the last duration unless the last file is listed again
+      lines.push(`file ${asciiFrames[asciiFrames.length - 1].name}`);
+
+      await this.ffmpeg.writeFile('frames.txt', lines.join('\n') + '\n');
+      return ['-f', 'concat', '-i', 'frames.txt'];
+    }
+
+    // Check if frames are numbered correctly starting from 1
+    const firstFrameNum = parseInt(asciiFrames[0].name.match(/\d+/)[0]);
+
+    // Use -start_number if frames don't start at 1
+    const args = ['-framerate', fps.toString()];
+    if (firstFrameNum !== 1) {
+      args.push('-start_number', firstFrameNum.toString());
+    }
+    args.push('-i', 'ascii_%05d.png');
+
+    return args;
+  }
+
+  /**
+   * Output arguments that keep per-frame timing from a concat input
+   * @private
+   * @param {number[]} [frameDurations] - Seconds each frame is shown
+   * @returns {string[]} - Empty for fixed-rate input
+   */
+  _getFrameTimingArgs(frameDurations) {
+    // Without this, formats with a fixed rate duplicate or drop frames to fill the timeline
+    return frameDurations ? ['-fps_mode', 'vfr'] : [];
+  }
+
+  /**
+   * Run an ffmpeg command, forwarding its log to the console
+   * @private
+   * @param {string[]} cmd - ffmpeg arguments
+   * @returns {Promise<number>} - Exit code
+   */
+  async _execLogged(cmd) {
+    console.log('Encoding with command:', cmd.join(' '));
+
+    // Log any ffmpeg messages
+    const logHandler = ({ message }) => {
+      console.log('FFmpeg:', message);
+    };
+    this.ffmpeg.on('log', logHandler);
+
+    try {
+      const exitCode = await this.ffmpeg.exec(cmd);
+      console.log('FFmpeg exit code:', exitCode);
+      return exitCode;
+    } finally {
+      this.ffmpeg.off('log', logHandler);
+    }
+  }
+
+  /**
+   * Read an encoded output file as a blob
+   * @private
+   * @param {string} filename - Output file in the virtual filesystem
+   * @param {string} mimeType - Blob MIME type
+   * @returns {Promise<Blob>}
+   * @throws {Error} If the file was not created
+   */
+  async _readOutput(filename, mimeType) {
+    // Check if output file was created
+    const outputFiles = await this.ffmpeg.listDir('/');
+    if (!outputFiles.some(f => f.name === filename)) {
+      throw new Error('Output file was not created');
+    }
+
+    const data = await this.ffmpeg.readFile(filename);
+    const blob = new Blob([data.buffer], { type: mimeType });
+
+    console.log('Output video size:', blob.size, 'bytes');
+
+    return blob;
+  }
+
   /**
    * Clean up virtual filesystem
    * @returns {Promise<void>}
@@ -458,30 +717,7 @@ class FFmpegManager {
    * @returns {Promise<ImageData>}
    */
   async _blobToImageData(blob) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      const url = URL.createObjectURL(blob);
-
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
-
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        URL.revokeObjectURL(url);
-        resolve(imageData);
-      };
-
-      img.onerror = () => {
-        URL.revokeObjectURL(url);
-        reject(new Error('Failed to load image from blob'));
-      };
-
-      img.src = url;
-    });
+    return CanvasFactory.blobToImageData(blob);
   }
 }
 
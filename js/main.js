@@ -8,10 +8,11 @@ import AsciiEngine from './core/AsciiEngine.js';
 import ImageProcessor from './core/ImageProcessor.js';
 import CanvasRenderer from './core/CanvasRenderer.js';
 import VideoProcessor from './core/VideoProcessor.js';
+import WorkerPool from './core/WorkerPool.js';
+import BatchQueue from './core/BatchQueue.js';
 
 // Converters
-import DensityConverter from './converters/DensityConverter.js';
-import EdgeDetectionConverter from './converters/EdgeDetectionConverter.js';
+import ConverterRegistry from './converters/ConverterRegistry.js';
 
 // UI modules
 import InputHandler from './ui/InputHandler.js';
@@ -19,6 +20,7 @@ import ControlPanel from './ui/ControlPanel.js';
 import UIController from './ui/UIController.js';
 import ExportHandler from './ui/ExportHandler.js';
 import VideoControls from './ui/VideoControls.js';
+import BatchPanel from './ui/BatchPanel.js';
 
 // FFmpeg
 import FFmpegManager from './ffmpeg/FFmpegManager.js';
@@ -33,12 +35,15 @@ import config from './config.js';
 class AsciiArtifyApp {
   constructor() {
     this.asciiEngine = null;
+    this.workerPool = null;
     this.imageProcessor = null;
     this.videoProcessor = null;
+    this.batchQueue = null;
     this.canvasRenderer = null;
     this.inputHandler = null;
     this.controlPanel = null;
     this.videoControls = null;
+    this.batchPanel = null;
     this.uiController = null;
     this.exportHandler = null;
   }
@@ -77,6 +82,10 @@ class AsciiArtifyApp {
     // Create ASCII engine
     this.asciiEngine = new AsciiEngine();
 
+    // Create conversion worker pool (falls back to inline conversion if workers fail to start)
+    this.workerPool = new WorkerPool(config.video.workerCount);
+    this.asciiEngine.setWorkerPool(this.workerPool);
+
     // Create canvas renderer
     this.canvasRenderer = new CanvasRenderer();
 
@@ -85,6 +94,9 @@ class AsciiArtifyApp {
 
     // Create video processor
     this.videoProcessor = new VideoProcessor(FFmpegManager, this.asciiEngine, this.canvasRenderer);
+
+    // Create batch queue
+    this.batchQueue = new BatchQueue(this.asciiEngine);
   }
 
   /**
@@ -92,7 +104,7 @@ class AsciiArtifyApp {
    */
   initUI() {
     // Create input handler
-    this.inputHandler = new InputHandler('fileInput', 'dropZone');
+    this.inputHandler = new InputHandler('fileInput', 'dropZone', 'folderInput', 'folderSelectBtn');
 
     // Create control panel
     this.controlPanel = new ControlPanel();
@@ -101,26 +113,31 @@ class AsciiArtifyApp {
     this.videoControls = new VideoControls();
     this.videoControls.init();
 
+    // Create batch panel
+    this.batchPanel = new BatchPanel();
+
     // Create UI controller
     this.uiController = new UIController(
       this.inputHandler,
       this.controlPanel,
       this.imageProcessor,
       this.videoProcessor,
-      this.videoControls
+      this.videoControls,
+      this.batchQueue
     );
 
     // Create export handler
-    this.exportHandler = new ExportHandler(this.imageProcessor, this.canvasRenderer);
+    this.exportHandler = new ExportHandler(this.imageProcessor, this.canvasRenderer, this.batchQueue);
   }
 
   /**
    * Set up converters
    */
   setupConverters() {
-    // Register converters
-    this.asciiEngine.registerConverter('density', new DensityConverter());
-    this.asciiEngine.registerConverter('edge', new EdgeDetectionConverter());
+    // Register converters (the same registry is loaded by conversion workers)
+    Object.entries(ConverterRegistry).forEach(([name, ConverterClass]) => {
+      this.asciiEngine.registerConverter(name, new ConverterClass());
+    });
 
     // Set default converter
     this.asciiEngine.setConverter('density');
@@ -0,0 +1,148 @@
+/**
+ * BatchPanel - Batch queue list with per-file status and the batch actions
+ * Shown while the queue has files; actions are emitted as events for
+ * UIController and ExportHandler.
+ */
+import EventBus from '../utils/EventBus.js';
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  converting: 'Converting...',
+  done: 'Done',
+  error: 'Failed'
+};
+
+export default class BatchPanel {
+  constructor() {
+    this.panel = document.getElementById('batchPanel');
+    this.list = document.getElementById('batchList');
+    this.summary = document.getElementById('batchSummary');
+    this.formatSelect = document.getElementById('batchFormatSelect');
+    this.convertBtn = document.getElementById('batchConvertBtn');
+    this.cancelBtn = document.getElementById('batchCancelBtn');
+    this.downloadBtn = document.getElementById('batchDownloadBtn');
+    this.clearBtn = document.getElementById('batchClearBtn');
+
+    this.items = [];
+    this.running = false;
+
+    this.init();
+  }
+
+  /**
+   * Initialize event listeners
+   */
+  init() {
+    this.convertBtn.addEventListener('click', () => EventBus.emit('action:batch-convert'));
+    this.cancelBtn.addEventListener('click', () => EventBus.emit('action:batch-cancel'));
+    this.clearBtn.addEventListener('click', () => EventBus.emit('action:batch-clear'));
+    this.downloadBtn.addEventListener('click', () => {
+      EventBus.emit('action:export-batch', { format: this.formatSelect.value });
+    });
+
+    // Remove buttons are rendered per item
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-id]');
+      if (button) {
+        EventBus.emit('action:batch-remove', { id: parseInt(button.dataset.removeId, 10) });
+      }
+    });
+
+    EventBus.on('batch:updated', ({ items }) => this.render(items));
+    EventBus.on('batch:start', ({ items }) => {
+      this.setRunning(true);
+      this.render(items);
+    });
+    EventBus.on('batch:item-updated', ({ item }) => this.updateItem(item));
+    EventBus.on('batch:complete', () => this.setRunning(false));
+    EventBus.on('batch:cancelled', () => this.setRunning(false));
+  }
+
+  /**
+   * Rebuild the list
+   * @param {Object[]} items - Queue items
+   */
+  render(items) {
+    this.items = items;
+    this.panel.classList.toggle('hidden', items.length === 0);
+    this.list.innerHTML = '';
+
+    items.forEach(item => {
+      const row = document.createElement('li');
+      row.className = 'batch-item';
+      row.dataset.id = item.id;
+
+      const name = document.createElement('span');
+      name.className = 'batch-item-name';
+      name.textContent = item.path;
+      name.title = item.path;
+
+      const status = document.createElement('span');
+      status.className = 'batch-item-status';
+
+      const remove = document.createElement('button');
+      remove.className = 'batch-item-remove';
+      remove.dataset.removeId = item.id;
+      remove.textContent = '×';
+      remove.title = 'Remove from queue';
+      remove.disabled = this.running;
+
+      row.append(name, status, remove);
+      this.list.appendChild(row);
+      this.updateItem(item);
+    });
+
+    this.updateSummary();
+  }
+
+  /**
+   * Show an item's current status
+   * @param {Object} item - Queue item
+   */
+  updateItem(item) {
+    const row = this.list.querySelector(`[data-id="${item.id}"]`);
+    if (!row) return;
+
+    const status = row.querySelector('.batch-item-status');
+    status.textContent = STATUS_LABELS[item.status];
+    status.className = `batch-item-status ${item.status}`;
+    status.title = item.error || '';
+
+    this.updateSummary();
+  }
+
+  /**
+   * Update the counts and which actions are available
+   */
+  updateSummary() {
+    const total = this.items.length;
+    const done = this.items.filter(item => item.status === 'done').length;
+    const failed = this.items.filter(item => item.status === 'error').length;
+
+    let text = `${total} file${total === 1 ? '' : 's'}`;
+    if (done > 0 || failed > 0) {
+      text += `, ${done} converted`;
+    }
+    if (failed > 0) {
+      text += `, ${failed} failed`;
+    }
+    this.summary.textContent = text;
+
+    this.downloadBtn.disabled = this.running || done === 0;
+  }
+
+  /**
+   * Switch the actions between running and idle
+   * @param {boolean} running
+   */
+  setRunning(running) {
+    this.running = running;
+    this.convertBtn.disabled = running;
+    this.cancelBtn.disabled = !running;
+    this.clearBtn.disabled = running;
+    this.list.querySelectorAll('.batch-item-remove').forEach(button => {
+      button.disabled = running;
+    });
+    this.updateSummary();
+  }
+}
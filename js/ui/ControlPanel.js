@@ -11,9 +11,50 @@ export default class ControlPanel {
     this.charSetInput = document.getElementById('charSetInput');
     this.colorModeSelect = document.getElementById('colorModeSelect');
     this.converterSelect = document.getElementById('converterSelect');
+    this.brightnessModelSelect = document.getElementById('brightnessModelSelect');
+    this.toneMappingSelect = document.getElementById('toneMappingSelect');
+    this.ditheringSelect = document.getElementById('ditheringSelect');
+    this.alphaCutoffSlider = document.getElementById('alphaCutoffSlider');
+    this.alphaCutoffValue = document.getElementById('alphaCutoffValue');
+    this.fontFamilySelect = document.getElementById('fontFamilySelect');
+    this.backgroundColorInput = document.getElementById('backgroundColorInput');
     this.convertBtn = document.getElementById('convertBtn');
     this.exportPngBtn = document.getElementById('exportPngBtn');
     this.exportTextBtn = document.getElementById('exportTextBtn');
+    this.exportAnsiBtn = document.getElementById('exportAnsiBtn');
+    this.exportHtmlBtn = document.getElementById('exportHtmlBtn');
+    this.exportSvgBtn = document.getElementById('exportSvgBtn');
+    this.exportPdfBtn = document.getElementById('exportPdfBtn');
+    this.exportDocumentBtn = document.getElementById('exportDocumentBtn');
+
+    // PNG export options
+    this.pngFontSizeInput = document.getElementById('pngFontSizeInput');
+    this.pngResolutionModeSelect = document.getElementById('pngResolutionModeSelect');
+    this.pngResolutionInput = document.getElementById('pngResolutionInput');
+    this.pngTransparentToggle = document.getElementById('pngTransparentToggle');
+
+    // ANSI export options
+    this.ansiColorDepthSelect = document.getElementById('ansiColorDepthSelect');
+    this.ansiBackgroundToggle = document.getElementById('ansiBackgroundToggle');
+
+    // HTML export options
+    this.htmlPaletteModeSelect = document.getElementById('htmlPaletteModeSelect');
+
+    // SVG export options
+    this.svgFontInput = document.getElementById('svgFontInput');
+    this.pdfPageSizeSelect = document.getElementById('pdfPageSizeSelect');
+    this.pdfOrientationSelect = document.getElementById('pdfOrientationSelect');
+    this.pdfMarginInput = document.getElementById('pdfMarginInput');
+    this.pdfLayoutSelect = document.getElementById('pdfLayoutSelect');
+    this.pdfFontSizeInput = document.getElementById('pdfFontSizeInput');
+    this.pdfFontInput = document.getElementById('pdfFontInput');
+
+    // Document export options
+    this.documentEncodingSelect = document.getElementById('documentEncodingSelect');
+
+    // Density controls
+    this.densityControls = document.getElementById('densityControls');
+    this.samplingModeSelect = document.getElementById('samplingModeSelect');
 
     // Edge detection controls
     this.edgeControls = document.getElementById('edgeControls');
@@ -23,6 +64,21 @@ export default class ControlPanel {
     this.cannyHighValue = document.getElementById('cannyHighValue');
     this.edgeCharSetInput = document.getElementById('edgeCharSetInput');
     this.fillCharSetInput = document.getElementById('fillCharSetInput');
+    this.directionalEdgesToggle = document.getElementById('directionalEdgesToggle');
+    this.directionalEdgeControls = document.getElementById('directionalEdgeControls');
+    this.horizontalEdgeCharSetInput = document.getElementById('horizontalEdgeCharSetInput');
+    this.verticalEdgeCharSetInput = document.getElementById('verticalEdgeCharSetInput');
+    this.risingEdgeCharSetInput = document.getElementById('risingEdgeCharSetInput');
+    this.fallingEdgeCharSetInput = document.getElementById('fallingEdgeCharSetInput');
+
+    // Shape matching controls
+    this.shapeControls = document.getElementById('shapeControls');
+    this.shapeCharSetInput = document.getElementById('shapeCharSetInput');
+
+    // Braille controls
+    this.brailleControls = document.getElementById('brailleControls');
+    this.brailleThreshold = document.getElementById('brailleThreshold');
+    this.brailleThresholdValue = document.getElementById('brailleThresholdValue');
 
     // Color adjustment controls
     this.colorControls = document.getElementById('colorControls');
@@ -69,10 +125,45 @@ export default class ControlPanel {
 
     // Converter select
     this.converterSelect.addEventListener('change', (e) => {
-      this.toggleEdgeControls(e.target.value);
+      this.toggleConverterControls(e.target.value);
       EventBus.emit('converter:selected', { converter: e.target.value });
     });
 
+    // Brightness model select
+    this.brightnessModelSelect.addEventListener('change', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    // Tone mapping select
+    this.toneMappingSelect.addEventListener('change', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    // Dithering select
+    this.ditheringSelect.addEventListener('change', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    // Alpha cutoff slider
+    this.alphaCutoffSlider.addEventListener('input', (e) => {
+      this.alphaCutoffValue.textContent = e.target.value;
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    // Rendering controls
+    this.fontFamilySelect.addEventListener('change', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    this.backgroundColorInput.addEventListener('input', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    // Density controls
+    this.samplingModeSelect.addEventListener('change', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
     // Edge detection controls
     this.cannyLowThreshold.addEventListener('input', (e) => {
       this.cannyLowValue.textContent = e.target.value;
@@ -92,14 +183,51 @@ export default class ControlPanel {
       EventBus.emit('settings:changed', this.getSettings());
     });
 
+    this.directionalEdgesToggle.addEventListener('change', () => {
+      this.directionalEdgeControls.style.display = this.directionalEdgesToggle.checked ? 'block' : 'none';
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    [
+      this.horizontalEdgeCharSetInput,
+      this.verticalEdgeCharSetInput,
+      this.risingEdgeCharSetInput,
+      this.fallingEdgeCharSetInput
+    ].forEach(input => {
+      input.addEventListener('input', () => {
+        EventBus.emit('settings:changed', this.getSettings());
+      });
+    });
+
+    // Shape matching controls
+    this.shapeCharSetInput.addEventListener('input', () => {
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
+    // Braille controls
+    this.brailleThreshold.addEventListener('input', (e) => {
+      this.brailleThresholdValue.textContent = e.target.value;
+      EventBus.emit('settings:changed', this.getSettings());
+    });
+
     // Convert button
     this.convertBtn.addEventListener('click', () => {
       EventBus.emit('action:convert', this.getSettings());
     });
 
+    // PNG resolution mode: show that mode's default value
+    this.pngResolutionModeSelect.addEventListener('change', (e) => {
+      this.pngResolutionInput.value = config.export.png.defaultResolutions[e.target.value];
+    });
+
     // Export PNG button
     this.exportPngBtn.addEventListener('click', () => {
-      EventBus.emit('action:export-png');
+      EventBus.emit('action:export-png', {
+        fontSize: parseFloat(this.pngFontSizeInput.value) || config.canvas.fontSize,
+        resolutionMode: this.pngResolutionModeSelect.value,
+        resolution: parseFloat(this.pngResolutionInput.value),
+        transparentBackground: this.pngTransparentToggle.checked
+      });
     });
 
     // Export Text button
@@ -107,20 +235,81 @@ export default class ControlPanel {
       EventBus.emit('action:export-text');
     });
 
+    // Export ANSI button
+    this.exportAnsiBtn.addEventListener('click', () => {
+      EventBus.emit('action:export-ansi', {
+        colorDepth: this.ansiColorDepthSelect.value,
+        includeBackground: this.ansiBackgroundToggle.checked
+      });
+    });
+
+    // Export HTML button
+    this.exportHtmlBtn.addEventListener('click', () => {
+      EventBus.emit('action:export-html', {
+        paletteMode: this.htmlPaletteModeSelect.value
+      });
+    });
+
+    // Export SVG button
+    this.exportSvgBtn.addEventListener('click', () => {
+      EventBus.emit('action:export-svg', {
+        fontFile: this.svgFontInput.files[0] || null
+      });
+    });
+
+    // Export PDF button
+    this.exportPdfBtn.addEventListener('click', () => {
+      const margin = parseFloat(this.pdfMarginInput.value);
+      EventBus.emit('action:export-pdf', {
+        pageSize: this.pdfPageSizeSelect.value,
+        orientation: this.pdfOrientationSelect.value,
+        margin: Number.isFinite(margin) ? margin : config.export.pdf.defaultMargin,
+        layout: this.pdfLayoutSelect.value,
+        fontSize: parseFloat(this.pdfFontSizeInput.value) || config.export.pdf.defaultFontSize,
+        fontFile: this.pdfFontInput.files[0] || null
+      });
+    });
+
+    // Export document button
+    this.exportDocumentBtn.addEventListener('click', () => {
+      EventBus.emit('action:export-document', {
+        encoding: this.documentEncodingSelect.value
+      });
+    });
+
     // Listen for file selection to enable convert button
     EventBus.on('file:selected', () => {
       this.convertBtn.disabled = false;
     });
 
+    // Imported documents can be re-rendered; show the settings they were made with
+    EventBus.on('file:document-selected', () => {
+      this.convertBtn.disabled = false;
+    });
+
+    EventBus.on('document:imported', ({ settings }) => {
+      this.setSettings(settings);
+    });
+
     // Listen for conversion complete to enable export buttons
     EventBus.on('processing:complete', () => {
       this.exportPngBtn.disabled = false;
       this.exportTextBtn.disabled = false;
+      this.exportAnsiBtn.disabled = false;
+      this.exportHtmlBtn.disabled = false;
+      this.exportSvgBtn.disabled = false;
+      this.exportPdfBtn.disabled = false;
+      this.exportDocumentBtn.disabled = false;
     });
 
     EventBus.on('reprocessing:complete', () => {
       this.exportPngBtn.disabled = false;
       this.exportTextBtn.disabled = false;
+      this.exportAnsiBtn.disabled = false;
+      this.exportHtmlBtn.disabled = false;
+      this.exportSvgBtn.disabled = false;
+      this.exportPdfBtn.disabled = false;
+      this.exportDocumentBtn.disabled = false;
     });
   }
 
@@ -135,15 +324,47 @@ export default class ControlPanel {
       colorMode: this.colorModeSelect.value,
       converter: this.converterSelect.value,
       saturationBoost: parseFloat(this.saturationSlider.value),
-      luminanceBoost: parseFloat(this.luminanceSlider.value)
+      luminanceBoost: parseFloat(this.luminanceSlider.value),
+      toneMapping: this.toneMappingSelect.value || config.ascii.toneMapping.defaultMode,
+      dithering: this.ditheringSelect.value || config.ascii.defaultDithering,
+      alphaCutoff: parseInt(this.alphaCutoffSlider.value) || config.ascii.defaultAlphaCutoff,
+      renderOptions: {
+        fontFamily: this.fontFamilySelect.value || config.canvas.fontFamily,
+        backgroundColor: this.backgroundColorInput.value || config.canvas.backgroundColor
+      }
     };
 
+    // Leave the brightness model unset so the converter picks its own default
+    if (this.brightnessModelSelect.value) {
+      settings.brightnessModel = this.brightnessModelSelect.value;
+    }
+
+    // Add density settings if density converter is selected
+    if (this.converterSelect.value === 'density') {
+      settings.samplingMode = this.samplingModeSelect.value || config.ascii.defaultSamplingMode;
+    }
+
     // Add edge detection settings if edge converter is selected
     if (this.converterSelect.value === 'edge') {
       settings.cannyLowThreshold = parseInt(this.cannyLowThreshold.value);
       settings.cannyHighThreshold = parseInt(this.cannyHighThreshold.value);
       settings.edgeCharSet = this.edgeCharSetInput.value || config.ascii.edgeDetection.defaultEdgeCharSet;
       settings.fillCharSet = this.fillCharSetInput.value || config.ascii.edgeDetection.defaultFillCharSet;
+      settings.directionalEdges = this.directionalEdgesToggle.checked;
+      settings.horizontalEdgeCharSet = this.horizontalEdgeCharSetInput.value || config.ascii.edgeDetection.defaultHorizontalEdgeCharSet;
+      settings.verticalEdgeCharSet = this.verticalEdgeCharSetInput.value || config.ascii.edgeDetection.defaultVerticalEdgeCharSet;
+      settings.risingEdgeCharSet = this.risingEdgeCharSetInput.value || config.ascii.edgeDetection.defaultRisingEdgeCharSet;
+      settings.fallingEdgeCharSet = this.fallingEdgeCharSetInput.value || config.ascii.edgeDetection.defaultFallingEdgeCharSet;
+    }
+
+    // Add shape matching settings if shape converter is selected
+    if (this.converterSelect.value === 'shape') {
+      settings.shapeCharSet = this.shapeCharSetInput.value || config.ascii.shape.defaultCharSet;
+    }
+
+    // Add Braille settings if Braille converter is selected
+    if (this.converterSelect.value === 'braille') {
+      settings.brailleThreshold = parseInt(this.brailleThreshold.value);
     }
 
     return settings;
@@ -165,10 +386,103 @@ export default class ControlPanel {
 
     if (settings.colorMode !== undefined) {
       this.colorModeSelect.value = settings.colorMode;
+      this.toggleColorControls(settings.colorMode);
+    }
+
+    if (settings.saturationBoost !== undefined) {
+      this.saturationSlider.value = settings.saturationBoost;
+      this.saturationValue.textContent = `${settings.saturationBoost}x`;
+    }
+
+    if (settings.luminanceBoost !== undefined) {
+      this.luminanceSlider.value = settings.luminanceBoost;
+      this.luminanceValue.textContent = `${settings.luminanceBoost}x`;
     }
 
     if (settings.converter !== undefined) {
       this.converterSelect.value = settings.converter;
+      this.toggleConverterControls(settings.converter);
+    }
+
+    if (settings.brightnessModel !== undefined) {
+      this.brightnessModelSelect.value = settings.brightnessModel;
+    }
+
+    if (settings.toneMapping !== undefined) {
+      this.toneMappingSelect.value = settings.toneMapping;
+    }
+
+    if (settings.dithering !== undefined) {
+      this.ditheringSelect.value = settings.dithering;
+    }
+
+    if (settings.samplingMode !== undefined) {
+      this.samplingModeSelect.value = settings.samplingMode;
+    }
+
+    if (settings.alphaCutoff !== undefined) {
+      this.alphaCutoffSlider.value = settings.alphaCutoff;
+      this.alphaCutoffValue.textContent = settings.alphaCutoff;
+    }
+
+    // Rendering
+    if (settings.renderOptions?.fontFamily !== undefined) {
+      this.fontFamilySelect.value = settings.renderOptions.fontFamily;
+    }
+
+    if (settings.renderOptions?.backgroundColor !== undefined) {
+      this.backgroundColorInput.value = settings.renderOptions.backgroundColor;
+    }
+
+    // Edge detection
+    if (settings.cannyLowThreshold !== undefined) {
+      this.cannyLowThreshold.value = settings.cannyLowThreshold;
+      this.cannyLowValue.textContent = settings.cannyLowThreshold;
+    }
+
+    if (settings.cannyHighThreshold !== undefined) {
+      this.cannyHighThreshold.value = settings.cannyHighThreshold;
+      this.cannyHighValue.textContent = settings.cannyHighThreshold;
+    }
+
+    if (settings.edgeCharSet !== undefined) {
+      this.edgeCharSetInput.value = settings.edgeCharSet;
+    }
+
+    if (settings.fillCharSet !== undefined) {
+      this.fillCharSetInput.value = settings.fillCharSet;
+    }
+
+    if (settings.directionalEdges !== undefined) {
+      this.directionalEdgesToggle.checked = settings.directionalEdges;
+      this.directionalEdgeControls.style.display = settings.directionalEdges ? 'block' : 'none';
+    }
+
+    if (settings.horizontalEdgeCharSet !== undefined) {
+      this.horizontalEdgeCharSetInput.value = settings.horizontalEdgeCharSet;
+    }
+
+    if (settings.verticalEdgeCharSet !== undefined) {
+      this.verticalEdgeCharSetInput.value = settings.verticalEdgeCharSet;
+    }
+
+    if (settings.risingEdgeCharSet !== undefined) {
+      this.risingEdgeCharSetInput.value = settings.risingEdgeCharSet;
+    }
+
+    if (settings.fallingEdgeCharSet !== undefined) {
+      this.fallingEdgeCharSetInput.value = settings.fallingEdgeCharSet;
+    }
+
+    // Shape matching
+    if (settings.shapeCharSet !== undefined) {
+      this.shapeCharSetInput.value = settings.shapeCharSet;
+    }
+
+    // Braille
+    if (settings.brailleThreshold !== undefined) {
+      this.brailleThreshold.value = settings.brailleThreshold;
+      this.brailleThresholdValue.textContent = settings.brailleThreshold;
     }
 
     EventBus.emit('settings:changed', this.getSettings());
@@ -198,6 +512,11 @@ export default class ControlPanel {
     this.charSetInput.disabled = !enabled;
     this.colorModeSelect.disabled = !enabled;
     this.converterSelect.disabled = !enabled;
+    this.brightnessModelSelect.disabled = !enabled;
+    this.toneMappingSelect.disabled = !enabled;
+    this.ditheringSelect.disabled = !enabled;
+    this.alphaCutoffSlider.disabled = !enabled;
+    this.samplingModeSelect.disabled = !enabled;
   }
 
   /**
@@ -215,6 +534,11 @@ export default class ControlPanel {
   setExportEnabled(enabled) {
     this.exportPngBtn.disabled = !enabled;
     this.exportTextBtn.disabled = !enabled;
+    this.exportAnsiBtn.disabled = !enabled;
+    this.exportHtmlBtn.disabled = !enabled;
+    this.exportSvgBtn.disabled = !enabled;
+    this.exportPdfBtn.disabled = !enabled;
+    this.exportDocumentBtn.disabled = !enabled;
   }
 
   /**
@@ -234,15 +558,14 @@ export default class ControlPanel {
   }
 
   /**
-   * Toggle edge detection controls visibility
+   * Toggle converter-specific controls visibility
    * @param {string} converter - Selected converter type
    */
-  toggleEdgeControls(converter) {
-    if (converter === 'edge') {
-      this.edgeControls.style.display = 'block';
-    } else {
-      this.edgeControls.style.display = 'none';
-    }
+  toggleConverterControls(converter) {
+    this.densityControls.style.display = converter === 'density' ? 'block' : 'none';
+    this.edgeControls.style.display = converter === 'edge' ? 'block' : 'none';
+    this.shapeControls.style.display = converter === 'shape' ? 'block' : 'none';
+    this.brailleControls.style.display = converter === 'braille' ? 'block' : 'none';
   }
 
   /**
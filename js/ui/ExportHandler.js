@@ -1,12 +1,26 @@
 /**
- * ExportHandler - Handles PNG and text file downloads
+ * ExportHandler - Handles PNG, text, ANSI, HTML, SVG, PDF, document, batch ZIP and video file downloads
  */
 import EventBus from '../utils/EventBus.js';
+import AnsiExporter from '../exporters/AnsiExporter.js';
+import HtmlExporter from '../exporters/HtmlExporter.js';
+import SvgExporter from '../exporters/SvgExporter.js';
+import PdfExporter from '../exporters/PdfExporter.js';
+import DocumentExporter from '../exporters/DocumentExporter.js';
+import Compression from '../utils/Compression.js';
+import PngMetadata from '../utils/PngMetadata.js';
+import PngEncoder from '../utils/PngEncoder.js';
+import ZipWriter from '../utils/ZipWriter.js';
+import config from '../config.js';
+
+// CSS pixels per inch; a 1x export prints at the size the preview shows on screen
+const CSS_DPI = 96;
 
 export default class ExportHandler {
-  constructor(imageProcessor, canvasRenderer) {
+  constructor(imageProcessor, canvasRenderer, batchQueue = null) {
     this.imageProcessor = imageProcessor;
     this.canvasRenderer = canvasRenderer;
+    this.batchQueue = batchQueue;
 
     this.init();
   }
@@ -15,23 +29,44 @@ export default class ExportHandler {
    * Initialize event listeners
    */
   init() {
-    EventBus.on('action:export-png', () => this.exportAsPng());
+    EventBus.on('action:export-png', (options) => this.exportAsPng(options));
     EventBus.on('action:export-text', () => this.exportAsText());
-    EventBus.on('export:video', (data) => this.saveVideo(data.blob));
+    EventBus.on('action:export-ansi', (options) => this.exportAsAnsi(options));
+    EventBus.on('action:export-html', (options) => this.exportAsHtml(options));
+    EventBus.on('action:export-svg', (options) => this.exportAsSvg(options));
+    EventBus.on('action:export-pdf', (options) => this.exportAsPdf(options));
+    EventBus.on('action:export-document', (options) => this.exportAsDocument(options));
+    EventBus.on('action:export-batch', (options) => this.exportBatchAsZip(options));
+    EventBus.on('export:video', (data) => this.saveVideo(data.blob, data.format, data.codec));
   }
 
   /**
-   * Export ASCII art as PNG
+   * Export ASCII art as PNG, with the conversion settings embedded as text metadata
+   * The image is rendered in tiles at the requested resolution, separately from the preview.
+   * @param {Object} options - Export options
+   * @param {number} [options.fontSize] - Font size in pixels at 1x
+   * @param {string} [options.resolutionMode] - 'scale', 'width' or 'dpi'
+   * @param {number} [options.resolution] - Device-pixel scale, target pixel width, or DPI
+   * @param {boolean} [options.transparentBackground] - Leave the background clear, except
+   *   behind opaque cells when the conversion used an alpha cutoff
    */
-  async exportAsPng() {
+  async exportAsPng(options = {}) {
     try {
-      const canvas = this.canvasRenderer.getCanvas();
-      if (!canvas) {
-        throw new Error('No canvas available to export');
+      const asciiData = this.imageProcessor.getCurrentAsciiData();
+      if (!asciiData) {
+        throw new Error('No ASCII data available to export');
       }
 
-      // Convert canvas to blob
-      const blob = await this.canvasRenderer.toBlob('image/png', 1.0);
+      const settings = this.imageProcessor.getCurrentSettings();
+      const { renderOptions, dpi } = this._resolvePngResolution(asciiData, settings?.renderOptions, options);
+
+      const transparentBackground = options.transparentBackground ?? config.export.png.defaultTransparentBackground;
+      let blob = await this._encodePng(asciiData, renderOptions, { transparentBackground, dpi });
+
+      // Embed the settings so the image can reproduce itself when dropped back in
+      if (settings) {
+        blob = await this.embedSettings(blob, settings);
+      }
 
       // Download blob
       this.downloadBlob(blob, 'ascii-art.png');
@@ -44,6 +79,83 @@ export default class ExportHandler {
     }
   }
 
+  /**
+   * Render ASCII data to a PNG in tiles
+   * @private
+   * @param {Object} asciiData - ASCII data
+   * @param {Object} renderOptions - Rendering options at the output resolution
+   * @param {Object} options
+   * @param {boolean} options.transparentBackground - Keep an alpha channel and leave the background clear
+   * @param {number|null} [options.dpi] - Pixel density to record
+   * @returns {Promise<Blob>}
+   * @throws {Error} If the image would be too large
+   */
+  async _encodePng(asciiData, renderOptions, { transparentBackground, dpi = null }) {
+    const tileOptions = { ...renderOptions, transparentBackground };
+
+    const { canvasWidth, canvasHeight } = this.canvasRenderer.measure(asciiData, tileOptions);
+    if (canvasWidth * canvasHeight > config.export.png.maxOutputPixels) {
+      throw new Error(`${canvasWidth}x${canvasHeight} PNG is too large; lower the font size or resolution`);
+    }
+
+    const encoder = new PngEncoder({ width: canvasWidth, height: canvasHeight, alpha: transparentBackground, dpi });
+    await this.canvasRenderer.renderTiles(asciiData, tileOptions, (pixels, top, rows) => encoder.addRows(pixels, rows));
+    return encoder.finish();
+  }
+
+  /**
+   * Work out the export font size and pixel density
+   * @private
+   * @param {Object} asciiData - ASCII data
+   * @param {Object} [baseRenderOptions] - Render options of the preview
+   * @param {Object} options - { fontSize, resolutionMode, resolution } from exportAsPng()
+   * @returns {Object} - { renderOptions, dpi }
+   * @throws {Error} If the resolution is not a positive number
+   */
+  _resolvePngResolution(asciiData, baseRenderOptions = {}, options) {
+    const fontSize = options.fontSize || baseRenderOptions.fontSize || config.canvas.fontSize;
+    const mode = options.resolutionMode || config.export.png.defaultResolutionMode;
+    const resolution = options.resolution ?? config.export.png.defaultResolutions[mode];
+
+    let scale;
+    if (mode === 'width') {
+      // Aim just under the target so rounding the canvas width up lands on it
+      const { charWidth } = this.canvasRenderer.measure(asciiData, { ...baseRenderOptions, fontSize });
+      scale = (resolution - 1e-6) / (charWidth * asciiData.width);
+    } else if (mode === 'dpi') {
+      scale = resolution / CSS_DPI;
+    } else {
+      scale = resolution;
+    }
+
+    if (!(scale > 0) || !Number.isFinite(scale)) {
+      throw new Error(`Invalid PNG resolution ${resolution}`);
+    }
+
+    return {
+      renderOptions: { ...baseRenderOptions, fontSize: fontSize * scale },
+      dpi: CSS_DPI * scale
+    };
+  }
+
+  /**
+   * Add conversion settings to a PNG as tEXt / iTXt chunks
+   * @param {Blob} blob - PNG image
+   * @param {Object} settings - Conversion settings
+   * @returns {Promise<Blob>}
+   */
+  async embedSettings(blob, settings) {
+    const { software, settingsKeyword } = config.export.png;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    const tagged = PngMetadata.insertChunks(bytes, [
+      PngMetadata.createTextChunk('Software', software),
+      PngMetadata.createInternationalTextChunk(settingsKeyword, JSON.stringify(settings))
+    ]);
+
+    return new Blob([tagged], { type: 'image/png' });
+  }
+
   /**
    * Export ASCII art as text file
    */
@@ -68,6 +180,277 @@ export default class ExportHandler {
     }
   }
 
+  /**
+   * Export ASCII art as text with ANSI color escape codes
+   * @param {Object} options - Export options
+   * @param {string} options.colorDepth - 'truecolor', '256' or '16'
+   * @param {boolean} options.includeBackground - Emit background colors
+   */
+  exportAsAnsi(options = {}) {
+    try {
+      const asciiData = this.imageProcessor.getCurrentAsciiData();
+      if (!asciiData) {
+        throw new Error('No ASCII data available to export');
+      }
+
+      const ansiText = AnsiExporter.export(asciiData, {
+        colorDepth: options.colorDepth || config.export.ansi.defaultColorDepth,
+        includeBackground: options.includeBackground ?? config.export.ansi.defaultIncludeBackground,
+        backgroundColor: config.canvas.backgroundColor
+      });
+
+      // Create blob from text
+      const blob = new Blob([ansiText], { type: 'text/plain;charset=utf-8' });
+
+      // Download blob
+      this.downloadBlob(blob, 'ascii-art.ans');
+
+      EventBus.emit('export:success', { format: 'ansi' });
+    } catch (error) {
+      console.error('ANSI export error:', error);
+      EventBus.emit('export:error', { format: 'ansi', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export ASCII art as a standalone colored HTML document
+   * @param {Object} options - Export options
+   * @param {string} options.paletteMode - 'inline' or 'class'
+   * @param {Object} [options.renderOptions] - Font and colors; defaults to the current render's
+   */
+  exportAsHtml(options = {}) {
+    try {
+      const asciiData = this.imageProcessor.getCurrentAsciiData();
+      if (!asciiData) {
+        throw new Error('No ASCII data available to export');
+      }
+
+      const html = HtmlExporter.export(asciiData, {
+        paletteMode: options.paletteMode || config.export.html.defaultPaletteMode,
+        renderOptions: options.renderOptions || this.imageProcessor.getCurrentSettings()?.renderOptions
+      });
+
+      // Create blob from markup
+      const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+
+      // Download blob
+      this.downloadBlob(blob, 'ascii-art.html');
+
+      EventBus.emit('export:success', { format: 'html' });
+    } catch (error) {
+      console.error('HTML export error:', error);
+      EventBus.emit('export:error', { format: 'html', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export ASCII art as a scalable SVG image
+   * @param {Object} options - Export options
+   * @param {File|null} options.fontFile - TrueType font to embed as a subset
+   * @param {Object} [options.renderOptions] - Font and colors; defaults to the current render's
+   */
+  async exportAsSvg(options = {}) {
+    try {
+      const asciiData = this.imageProcessor.getCurrentAsciiData();
+      if (!asciiData) {
+        throw new Error('No ASCII data available to export');
+      }
+
+      const fontData = options.fontFile ? await options.fontFile.arrayBuffer() : null;
+
+      const svg = SvgExporter.export(asciiData, {
+        renderOptions: options.renderOptions || this.imageProcessor.getCurrentSettings()?.renderOptions,
+        fontData
+      });
+
+      // Create blob from markup
+      const blob = new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+
+      // Download blob
+      this.downloadBlob(blob, 'ascii-art.svg');
+
+      EventBus.emit('export:success', { format: 'svg' });
+    } catch (error) {
+      console.error('SVG export error:', error);
+      EventBus.emit('export:error', { format: 'svg', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export ASCII art as a printable vector PDF
+   * @param {Object} options - Export options
+   * @param {string} options.pageSize - Key of config.export.pdf.pageSizes
+   * @param {string} options.orientation - 'portrait' or 'landscape'
+   * @param {number} options.margin - Page margin in millimeters
+   * @param {string} options.layout - 'fit' for one page, 'tile' to span pages
+   * @param {number} options.fontSize - Font size in points for the tile layout
+   * @param {File|null} options.fontFile - TrueType font to embed as a subset
+   * @param {Object} [options.renderOptions] - Line height and background; defaults to the current render's
+   */
+  async exportAsPdf(options = {}) {
+    try {
+      const asciiData = this.imageProcessor.getCurrentAsciiData();
+      if (!asciiData) {
+        throw new Error('No ASCII data available to export');
+      }
+
+      const fontData = options.fontFile ? await options.fontFile.arrayBuffer() : null;
+
+      const blob = await PdfExporter.export(asciiData, {
+        renderOptions: options.renderOptions || this.imageProcessor.getCurrentSettings()?.renderOptions,
+        fontData,
+        pageSize: options.pageSize,
+        orientation: options.orientation,
+        margin: options.margin,
+        layout: options.layout,
+        fontSize: options.fontSize
+      });
+
+      // Download blob
+      this.downloadBlob(blob, 'ascii-art.pdf');
+
+      EventBus.emit('export:success', { format: 'pdf' });
+    } catch (error) {
+      console.error('PDF export error:', error);
+      EventBus.emit('export:error', { format: 'pdf', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Save the ASCII data and its conversion settings as a document for re-import
+   * @param {Object} options - Export options
+   * @param {string} options.encoding - 'json', or 'gzip' for compressed JSON
+   */
+  async exportAsDocument(options = {}) {
+    try {
+      const asciiData = this.imageProcessor.getCurrentAsciiData();
+      if (!asciiData) {
+        throw new Error('No ASCII data available to export');
+      }
+
+      const json = DocumentExporter.export(asciiData, {
+        settings: this.imageProcessor.getCurrentSettings() || {}
+      });
+
+      const encoding = options.encoding || config.export.document.defaultEncoding;
+      if (encoding === 'gzip') {
+        const bytes = await Compression.compress(new TextEncoder().encode(json));
+        this.downloadBlob(new Blob([bytes], { type: 'application/gzip' }), 'ascii-art.json.gz');
+      } else {
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'ascii-art.json');
+      }
+
+      EventBus.emit('export:success', { format: 'document' });
+    } catch (error) {
+      console.error('Document export error:', error);
+      EventBus.emit('export:error', { format: 'document', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Export every converted batch item in one format, bundled as a ZIP archive
+   * Each file keeps its folder path and name with the new extension. Format
+   * options are the defaults from config, rendered with each item's settings.
+   * @param {Object} options - Export options
+   * @param {string} options.format - Key of config.export.batch.formats
+   */
+  async exportBatchAsZip(options = {}) {
+    try {
+      const results = this.batchQueue ? this.batchQueue.getResults() : [];
+      if (results.length === 0) {
+        throw new Error('No converted batch items to export');
+      }
+
+      const format = options.format || config.export.batch.defaultFormat;
+      const extension = config.export.batch.formats[format];
+      if (!extension) {
+        throw new Error(`Unknown batch export format "${format}"`);
+      }
+
+      const zip = new ZipWriter();
+      const names = new Set();
+
+      for (const { path, asciiData, settings } of results) {
+        const blob = await this._createBatchFile(format, asciiData, settings);
+        const name = this._uniqueName(`${path.replace(/\.[^./]*$/, '')}.${extension}`, names);
+        // PNGs are already compressed
+        await zip.add(name, blob, { compress: format !== 'png' });
+      }
+
+      // Download blob
+      this.downloadBlob(zip.toBlob(), config.export.batch.fileName);
+
+      EventBus.emit('export:success', { format: 'zip' });
+    } catch (error) {
+      console.error('Batch export error:', error);
+      EventBus.emit('export:error', { format: 'zip', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Serialize one batch result
+   * @private
+   * @param {string} format - Key of config.export.batch.formats
+   * @param {Object} asciiData - ASCII data
+   * @param {Object} settings - Conversion settings it was made with
+   * @returns {Promise<Blob>}
+   */
+  async _createBatchFile(format, asciiData, settings) {
+    const renderOptions = settings.renderOptions || {};
+
+    switch (format) {
+      case 'png': {
+        const blob = await this._encodePng(asciiData, renderOptions, {
+          transparentBackground: config.export.png.defaultTransparentBackground
+        });
+        return this.embedSettings(blob, settings);
+      }
+      case 'text':
+        return new Blob([this.imageProcessor.getAsciiText(asciiData)], { type: 'text/plain;charset=utf-8' });
+      case 'ansi':
+        return new Blob([AnsiExporter.export(asciiData, {
+          colorDepth: config.export.ansi.defaultColorDepth,
+          includeBackground: config.export.ansi.defaultIncludeBackground,
+          backgroundColor: config.canvas.backgroundColor
+        })], { type: 'text/plain;charset=utf-8' });
+      case 'html':
+        return new Blob([HtmlExporter.export(asciiData, {
+          paletteMode: config.export.html.defaultPaletteMode,
+          renderOptions
+        })], { type: 'text/html;charset=utf-8' });
+      case 'svg':
+        return new Blob([SvgExporter.export(asciiData, { renderOptions })], { type: 'image/svg+xml;charset=utf-8' });
+      case 'pdf':
+        return PdfExporter.export(asciiData, { renderOptions });
+      case 'document':
+        return new Blob([DocumentExporter.export(asciiData, { settings })], { type: 'application/json' });
+      default:
+        throw new Error(`Unknown batch export format "${format}"`);
+    }
+  }
+
+  /**
+   * Make a file name unique within an archive by numbering repeats
+   * @private
+   * @param {string} name - Wanted name
+   * @param {Set<string>} names - Names already used; the result is added
+   * @returns {string}
+   */
+  _uniqueName(name, names) {
+    let unique = name;
+    for (let n = 2; names.has(unique); n++) {
+      unique = name.replace(/(\.[^./]*)?$/, `-${n}$1`);
+    }
+    names.add(unique);
+    return unique;
+  }
+
   /**
    * Download a blob as a file
    * @param {Blob} blob - Blob to download
@@ -124,13 +507,21 @@ export default class ExportHandler {
   }
 
   /**
-   * Save video as MP4
+   * Save encoded video as MP4, WebM, GIF or APNG
    * @param {Blob} blob - Video blob
-   * @param {string} filename - Optional filename
+   * @param {string} format - Key of config.video.outputFormats
+   * @param {string} codec - Key of config.video.codecs; picks the container for 'video'
    */
-  saveVideo(blob, filename = 'ascii-video.mp4') {
+  saveVideo(blob, format = config.video.defaultOutputFormat, codec = config.video.defaultCodec) {
     try {
-      this.downloadBlob(blob, filename);
+      const { extension, mimeType } = format === 'video'
+        ? config.video.containers[config.video.codecs[codec].container]
+        : config.video.outputFormats[format];
+
+      // Label the download with the format's MIME type
+      const file = blob.type === mimeType ? blob : new Blob([blob], { type: mimeType });
+
+      this.downloadBlob(file, `ascii-video.${extension}`);
       EventBus.emit('export:success', { format: 'video' });
     } catch (error) {
       console.error('Video export error:', error);
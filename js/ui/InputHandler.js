@@ -1,13 +1,21 @@
 /**
- * InputHandler - Handles file input and drag-drop functionality
+ * InputHandler - Handles file input, drag-drop and clipboard paste
+ * A single file is opened directly; several files or a folder go to the batch queue.
+ * Files are identified by their header bytes, so videos in any container ffmpeg
+ * reads are accepted whatever MIME type the browser reports.
  */
 import EventBus from '../utils/EventBus.js';
+import PngMetadata from '../utils/PngMetadata.js';
+import AnimatedImage from '../utils/AnimatedImage.js';
+import FormatSniffer from '../utils/FormatSniffer.js';
 import config from '../config.js';
 
 export default class InputHandler {
-  constructor(fileInputId, dropZoneId) {
+  constructor(fileInputId, dropZoneId, folderInputId = null, folderButtonId = null) {
     this.fileInput = document.getElementById(fileInputId);
     this.dropZone = document.getElementById(dropZoneId);
+    this.folderInput = folderInputId ? document.getElementById(folderInputId) : null;
+    this.folderButton = folderButtonId ? document.getElementById(folderButtonId) : null;
     this.currentFile = null;
 
     this.init();
@@ -31,6 +39,15 @@ export default class InputHandler {
     this.dropZone.addEventListener('dragover', (e) => this.handleDragOver(e));
     this.dropZone.addEventListener('dragleave', (e) => this.handleDragLeave(e));
     this.dropZone.addEventListener('drop', (e) => this.handleDrop(e));
+
+    // Folder picker: every image inside goes to the batch queue
+    if (this.folderInput && this.folderButton) {
+      this.folderButton.addEventListener('click', () => this.folderInput.click());
+      this.folderInput.addEventListener('change', (e) => this.handleFolderSelect(e));
+    }
+
+    // Paste images anywhere on the page
+    document.addEventListener('paste', (e) => this.handlePaste(e));
   }
 
   /**
@@ -38,11 +55,43 @@ export default class InputHandler {
    * @param {Event} event
    */
   handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-      this.processFile(file);
-      // Clear input value so selecting the same file again triggers change event
-      event.target.value = '';
+    const files = Array.from(event.target.files);
+    if (files.length === 1) {
+      this.processFile(files[0]);
+    } else if (files.length > 1) {
+      this.processBatch(files.map(file => ({ file, path: file.name })));
+    }
+    // Clear input value so selecting the same file again triggers change event
+    event.target.value = '';
+  }
+
+  /**
+   * Handle folder selection from the folder picker
+   * @param {Event} event
+   */
+  handleFolderSelect(event) {
+    const files = Array.from(event.target.files);
+    if (files.length > 0) {
+      this.processBatch(files.map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    }
+    event.target.value = '';
+  }
+
+  /**
+   * Handle pasted images; text pastes are left alone
+   * @param {ClipboardEvent} event
+   */
+  handlePaste(event) {
+    if (this.fileInput.disabled) return;
+
+    const files = Array.from(event.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+    if (files.length === 0) return;
+
+    event.preventDefault();
+    if (files.length === 1) {
+      this.processFile(files[0]);
+    } else {
+      this.processBatch(files.map(file => ({ file, path: file.name })));
     }
   }
 
@@ -69,61 +118,244 @@ export default class InputHandler {
   /**
    * Handle drop event
    * @param {DragEvent} event
+   * @returns {Promise<void>}
    */
-  handleDrop(event) {
+  async handleDrop(event) {
     event.preventDefault();
     event.stopPropagation();
     this.dropZone.classList.remove('drag-over');
 
-    const files = event.dataTransfer.files;
-    if (files.length > 0) {
+    const files = Array.from(event.dataTransfer.files);
+
+    // Entries must be taken before the first await; the drop data is cleared afterwards
+    const roots = Array.from(event.dataTransfer.items || [])
+      .map(item => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (roots.length === 0) {
+      if (files.length === 1) {
+        this.processFile(files[0]);
+      } else if (files.length > 1) {
+        this.processBatch(files.map(file => ({ file, path: file.name })));
+      }
+      return;
+    }
+
+    if (roots.length === 1 && roots[0].isFile) {
       this.processFile(files[0]);
+      return;
+    }
+
+    try {
+      this.processBatch(await this.readEntries(roots));
+    } catch (error) {
+      EventBus.emit('input:error', { message: `Could not read dropped folder: ${error.message}` });
+    }
+  }
+
+  /**
+   * List the files under dropped entries, walking into folders
+   * @param {FileSystemEntry[]} roots - Dropped files and folders
+   * @returns {Promise<Object[]>} - { file, path } with paths relative to the drop
+   */
+  async readEntries(roots) {
+    const entries = [];
+
+    const visit = async (entry) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        entries.push({ file, path: entry.fullPath.replace(/^\//, '') });
+      } else if (entry.isDirectory) {
+        // readEntries() returns the listing in pieces; an empty piece marks the end
+        const reader = entry.createReader();
+        let children;
+        do {
+          children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          for (const child of children) {
+            await visit(child);
+          }
+        } while (children.length > 0);
+      }
+    };
+
+    for (const root of roots) {
+      await visit(root);
     }
+
+    return entries;
+  }
+
+  /**
+   * Queue several files for batch conversion
+   * Only images are batched; videos and saved documents are opened one at a time.
+   * @param {Object[]} entries - { file, path }
+   * @returns {Promise<void>}
+   */
+  async processBatch(entries) {
+    const formats = await Promise.all(entries.map(({ file }) => this.identifyFile(file)));
+    const images = entries.filter((entry, i) => formats[i]?.kind === 'image' && this.isSupportedFormat(formats[i]));
+
+    if (images.length === 0) {
+      const imageFormats = config.supportedImageFormats.map(type => FormatSniffer.getLabel(type));
+      EventBus.emit('input:error', {
+        message: `No supported images found. Supported image formats: ${imageFormats.join(', ')}`
+      });
+      return;
+    }
+
+    images.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+
+    EventBus.emit('files:batch-selected', {
+      entries: images,
+      skipped: entries.length - images.length
+    });
   }
 
   /**
    * Process and validate file
    * @param {File} file
+   * @returns {Promise<void>}
    */
-  processFile(file) {
+  async processFile(file) {
+    // Saved documents are recognized by extension; their MIME type varies by platform
+    if (this.isDocumentFile(file)) {
+      this.currentFile = file;
+      EventBus.emit('file:document-selected', { file });
+      return;
+    }
+
     // Validate file type
-    if (!this.isValidFile(file)) {
-      EventBus.emit('input:error', {
-        message: `Invalid file type. Supported formats: ${this.getSupportedFormatsString()}`
-      });
+    const format = await this.identifyFile(file);
+    if (!this.isSupportedFormat(format)) {
+      EventBus.emit('input:error', { message: this.getRejectionMessage(file, format) });
       return;
     }
 
     this.currentFile = file;
 
     // Emit different events based on file type
-    if (this.isVideoFile(file)) {
+    if (format.kind === 'video') {
       EventBus.emit('file:video-selected', { file });
+    } else if (AnimatedImage.isAnimatableType(format.mimeType)) {
+      this.detectAnimation(file);
     } else {
       EventBus.emit('file:selected', { file });
     }
+
+    // PNGs exported by this app carry the settings that produced them
+    if (format.mimeType === 'image/png') {
+      this.detectEmbeddedSettings(file);
+    }
+  }
+
+  /**
+   * Open a GIF or WebP as an animation when it has more than one frame, else as an image
+   * @param {File} file - GIF or WebP image
+   * @returns {Promise<void>}
+   */
+  async detectAnimation(file) {
+    let delays = null;
+    try {
+      delays = AnimatedImage.getFrameDelays(new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+      console.warn('Could not read animation frames:', error.message);
+    }
+
+    if (!delays) {
+      EventBus.emit('file:selected', { file });
+      return;
+    }
+
+    if (!AnimatedImage.canDecodeFrames()) {
+      EventBus.emit('file:selected', { file });
+      EventBus.emit('input:error', {
+        message: 'This browser cannot decode animation frames; only the first frame will be converted'
+      });
+      return;
+    }
+
+    EventBus.emit('file:animation-selected', { file, delays });
+  }
+
+  /**
+   * Look for conversion settings embedded by the PNG export and offer to restore them
+   * @param {File} file - PNG image
+   * @returns {Promise<void>}
+   */
+  async detectEmbeddedSettings(file) {
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const text = PngMetadata.readText(bytes).get(config.export.png.settingsKeyword);
+      if (!text) return;
+
+      const settings = JSON.parse(text);
+      if (settings && typeof settings === 'object' && !Array.isArray(settings)) {
+        EventBus.emit('file:settings-detected', { file, settings });
+      }
+    } catch (error) {
+      // Unreadable metadata is ignored; the image itself still loads
+      console.warn('Could not read PNG settings metadata:', error.message);
+    }
   }
 
   /**
-   * Check if file is a video
+   * Identify a file from its header, falling back to its MIME type when the header is unknown
    * @param {File} file
-   * @returns {boolean}
+   * @returns {Promise<Object|null>} - { id, mimeType, label, kind } from FormatSniffer, or null
+   */
+  async identifyFile(file) {
+    try {
+      const format = await FormatSniffer.detectFile(file);
+      if (format) return format;
+    } catch (error) {
+      console.warn(`Could not read the header of ${file.name}:`, error.message);
+    }
+
+    return FormatSniffer.fromMimeType(file.type);
+  }
+
+  /**
+   * Explain why a file can't be opened
+   * @param {File} file
+   * @param {Object|null} format - From identifyFile()
+   * @returns {string}
    */
-  isVideoFile(file) {
-    return config.supportedVideoFormats.includes(file.type);
+  getRejectionMessage(file, format) {
+    const supported = `Supported formats: ${this.getSupportedFormatsString()}`;
+
+    if (!format) {
+      return `Unrecognized file format${file.type ? ` (${file.type})` : ''}. ${supported}`;
+    }
+
+    switch (format.kind) {
+      case 'audio':
+        return `Detected ${format.label} audio, which has no frames to convert. ${supported}`;
+      case 'other':
+        return `Detected ${format.label} file, which is not an image or video. ${supported}`;
+      default:
+        return `Detected ${format.label} ${format.kind}, which is not supported. ${supported}`;
+    }
   }
 
   /**
-   * Check if file type is valid
+   * Check if file is a saved ASCII document
    * @param {File} file
    * @returns {boolean}
    */
-  isValidFile(file) {
-    const supportedFormats = [
-      ...config.supportedImageFormats,
-      ...config.supportedVideoFormats
-    ];
-    return supportedFormats.includes(file.type);
+  isDocumentFile(file) {
+    const name = file.name.toLowerCase();
+    return config.export.document.fileExtensions.some(extension => name.endsWith(extension));
+  }
+
+  /**
+   * Check if a detected format can be converted
+   * @param {Object|null} format - From identifyFile()
+   * @returns {boolean}
+   */
+  isSupportedFormat(format) {
+    if (!format) return false;
+    const supportedFormats = format.kind === 'video' ? config.supportedVideoFormats : config.supportedImageFormats;
+    return supportedFormats.includes(format.mimeType);
   }
 
   /**
@@ -131,8 +363,9 @@ export default class InputHandler {
    * @returns {string}
    */
   getSupportedFormatsString() {
-    const imageFormats = config.supportedImageFormats.map(type => type.split('/')[1].toUpperCase());
-    return imageFormats.join(', ');
+    const imageFormats = config.supportedImageFormats.map(type => FormatSniffer.getLabel(type));
+    const videoFormats = config.supportedVideoFormats.map(type => FormatSniffer.getLabel(type));
+    return `images ${imageFormats.join(', ')}; videos ${videoFormats.join(', ')}`;
   }
 
   /**
@@ -157,6 +390,10 @@ export default class InputHandler {
    */
   setEnabled(enabled) {
     this.fileInput.disabled = !enabled;
+    if (this.folderInput && this.folderButton) {
+      this.folderInput.disabled = !enabled;
+      this.folderButton.disabled = !enabled;
+    }
     if (enabled) {
       this.dropZone.style.cursor = 'pointer';
       this.dropZone.style.opacity = '1';
@@ -4,14 +4,19 @@
 import EventBus from '../utils/EventBus.js';
 
 export default class UIController {
-  constructor(inputHandler, controlPanel, imageProcessor, videoProcessor = null, videoControls = null) {
+  constructor(inputHandler, controlPanel, imageProcessor, videoProcessor = null, videoControls = null, batchQueue = null) {
     this.inputHandler = inputHandler;
     this.controlPanel = controlPanel;
     this.imageProcessor = imageProcessor;
     this.videoProcessor = videoProcessor;
     this.videoControls = videoControls;
+    this.batchQueue = batchQueue;
     this.previewContainer = document.getElementById('previewContainer');
     this.statusMessage = document.getElementById('statusMessage');
+    this.settingsPrompt = document.getElementById('settingsPrompt');
+    this.restoreSettingsBtn = document.getElementById('restoreSettingsBtn');
+    this.dismissSettingsBtn = document.getElementById('dismissSettingsBtn');
+    this.pendingSettings = null;
     this.currentMode = 'image'; // 'image' or 'video'
 
     this.init();
@@ -24,6 +29,13 @@ export default class UIController {
     // Listen for file selection
     EventBus.on('file:selected', (data) => this.handleFileSelected(data));
     EventBus.on('file:video-selected', (data) => this.handleVideoSelected(data));
+    EventBus.on('file:animation-selected', (data) => this.handleAnimationSelected(data));
+    EventBus.on('file:document-selected', (data) => this.handleDocumentSelected(data));
+
+    // Offer to restore settings found in a dropped PNG
+    EventBus.on('file:settings-detected', (data) => this.handleSettingsDetected(data));
+    this.restoreSettingsBtn.addEventListener('click', () => this.restorePendingSettings());
+    this.dismissSettingsBtn.addEventListener('click', () => this.hideSettingsPrompt());
 
     // Listen for conversion action
     EventBus.on('action:convert', (settings) => this.handleConvert(settings));
@@ -41,6 +53,21 @@ export default class UIController {
     // Listen for input errors
     EventBus.on('input:error', (data) => this.showMessage(data.message, 'error'));
 
+    // Export failures, e.g. characters a PDF font cannot encode
+    EventBus.on('export:error', (data) => this.showMessage(`Export failed: ${data.error.message}`, 'error'));
+
+    // Batch queue events
+    if (this.batchQueue) {
+      EventBus.on('files:batch-selected', (data) => this.handleBatchSelected(data));
+      EventBus.on('action:batch-convert', () => this.handleBatchConvert());
+      EventBus.on('action:batch-cancel', () => this.batchQueue.cancel());
+      EventBus.on('action:batch-clear', () => this.batchQueue.clear());
+      EventBus.on('action:batch-remove', (data) => this.batchQueue.remove(data.id));
+      EventBus.on('batch:progress', (data) => {
+        this.showMessage(`Converting ${data.index + 1} of ${data.total}: ${data.item.path}`, 'info');
+      });
+    }
+
     // Video events
     if (this.videoProcessor && this.videoControls) {
       EventBus.on('video:loaded', (data) => this.handleVideoLoaded(data));
@@ -64,12 +91,65 @@ export default class UIController {
    * @param {Object} data - { file }
    */
   handleFileSelected(data) {
+    this.hideSettingsPrompt();
     // Clear cached image data so next Convert loads the new file
     this.imageProcessor.clear();
     this.showMessage(`File selected: ${data.file.name}`, 'success');
     this.clearPreview();
   }
 
+  /**
+   * Handle settings found in a dropped PNG
+   * @param {Object} data - { file, settings }
+   */
+  handleSettingsDetected(data) {
+    // A different file may have been selected while the metadata was read
+    if (this.inputHandler.getCurrentFile() !== data.file) return;
+
+    this.pendingSettings = data.settings;
+    this.settingsPrompt.classList.remove('hidden');
+  }
+
+  /**
+   * Apply the pending settings to the active settings panel
+   */
+  restorePendingSettings() {
+    if (!this.pendingSettings) return;
+
+    const panel = this.currentMode === 'video' && this.videoControls ? this.videoControls : this.controlPanel;
+    // Settings saved without a brightness model used the converter's default
+    panel.setSettings({ brightnessModel: '', ...this.pendingSettings });
+
+    this.hideSettingsPrompt();
+    this.showMessage('Settings restored from image', 'success');
+  }
+
+  /**
+   * Hide the settings restore prompt and forget its settings
+   */
+  hideSettingsPrompt() {
+    this.pendingSettings = null;
+    this.settingsPrompt.classList.add('hidden');
+  }
+
+  /**
+   * Handle saved document selected: load and render it straight away
+   * @param {Object} data - { file }
+   */
+  async handleDocumentSelected(data) {
+    this.hideSettingsPrompt();
+    this.setMode('image');
+    this.imageProcessor.clear();
+
+    try {
+      // Render with the document's own font and background; the panel picks them up
+      await this.imageProcessor.importDocument(data.file);
+      this.showMessage(`Document loaded: ${data.file.name}`, 'success');
+    } catch (error) {
+      console.error('Document import error:', error);
+    }
+  }
+
   /**
    * Handle convert action
    * @param {Object} settings
@@ -83,10 +163,12 @@ export default class UIController {
         return;
       }
 
-      // Check if we can reprocess (image already loaded)
-      if (this.imageProcessor.getCurrentImageData()) {
-        // Reprocess with new settings
-        this.imageProcessor.reprocess(settings);
+      // Imported documents have no source image; they can only be rendered again
+      if (this.inputHandler.isDocumentFile(file)) {
+        this.imageProcessor.rerender(settings.renderOptions);
+      } else if (this.imageProcessor.getCurrentImageData()) {
+        // Image already loaded: reprocess with new settings
+        await this.imageProcessor.reprocess(settings);
       } else {
         // Process from file
         await this.imageProcessor.process(file, settings);
@@ -97,6 +179,42 @@ export default class UIController {
     }
   }
 
+  /**
+   * Handle files added to the batch queue
+   * @param {Object} data - { entries, skipped }
+   */
+  handleBatchSelected(data) {
+    this.batchQueue.add(data.entries);
+
+    let message = `${data.entries.length} image${data.entries.length === 1 ? '' : 's'} added to the batch queue`;
+    if (data.skipped > 0) {
+      message += ` (${data.skipped} unsupported file${data.skipped === 1 ? '' : 's'} skipped)`;
+    }
+    this.showMessage(message, data.skipped > 0 ? 'warning' : 'success');
+  }
+
+  /**
+   * Convert the whole batch queue with the current settings
+   */
+  async handleBatchConvert() {
+    if (this.batchQueue.isRunning()) return;
+
+    this.controlPanel.setLoading(true);
+    this.inputHandler.setEnabled(false);
+
+    try {
+      const { done, failed } = await this.batchQueue.run(this.controlPanel.getSettings());
+      const message = `Batch converted: ${done} done${failed > 0 ? `, ${failed} failed` : ''}`;
+      this.showMessage(message, failed > 0 ? 'warning' : 'success');
+    } catch (error) {
+      console.error('Batch conversion error:', error);
+      this.showMessage('Batch conversion failed: ' + error.message, 'error');
+    } finally {
+      this.controlPanel.setLoading(false);
+      this.inputHandler.setEnabled(true);
+    }
+  }
+
   /**
    * Handle processing start
    */
@@ -205,6 +323,7 @@ export default class UIController {
       return;
     }
 
+    this.hideSettingsPrompt();
     this.setMode('video');
     this.showMessage(`Loading video: ${data.file.name}`, 'info');
     this.clearPreview();
@@ -216,6 +335,28 @@ export default class UIController {
     }
   }
 
+  /**
+   * Handle animated GIF or WebP selection; animations go through the video pipeline
+   * @param {Object} data - { file, delays }
+   */
+  async handleAnimationSelected(data) {
+    if (!this.videoProcessor) {
+      this.showMessage('Animation processing is not supported', 'error');
+      return;
+    }
+
+    this.hideSettingsPrompt();
+    this.setMode('video');
+    this.showMessage(`Loading animation: ${data.file.name}`, 'info');
+    this.clearPreview();
+
+    try {
+      await this.videoProcessor.loadAnimation(data.file, data.delays);
+    } catch (error) {
+      this.showMessage('Failed to load animation: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Handle video loaded
    * @param {Object} data - { videoInfo, previewFrame }
@@ -231,7 +372,11 @@ export default class UIController {
     this.videoProcessor.convertPreviewFrame(settings);
 
     this.videoControls.setConvertEnabled(true, () => this.handleVideoConvert());
-    this.showMessage('Video loaded successfully!', 'success');
+    if (data.videoInfo.frameCount) {
+      this.showMessage(`Animation loaded: ${data.videoInfo.frameCount} frames`, 'success');
+    } else {
+      this.showMessage('Video loaded successfully!', 'success');
+    }
   }
 
   /**
@@ -300,7 +445,7 @@ export default class UIController {
 
   /**
    * Handle video processing complete
-   * @param {Object} data - { videoBlob }
+   * @param {Object} data - { videoBlob, outputFormat, videoCodec }
    */
   handleVideoProcessComplete(data) {
     this.videoControls.setCancelEnabled(false, null);
@@ -309,7 +454,11 @@ export default class UIController {
     this.showMessage('Video conversion complete!', 'success');
 
     // Trigger download
-    EventBus.emit('export:video', { blob: data.videoBlob });
+    EventBus.emit('export:video', {
+      blob: data.videoBlob,
+      format: data.outputFormat,
+      codec: data.videoCodec
+    });
   }
 
   /**
@@ -25,11 +25,25 @@ export default class VideoControls {
     this.charSetInput = null;
     this.colorModeSelect = null;
     this.converterSelect = null;
+    this.brightnessModelSelect = null;
+    this.toneMappingSelect = null;
+    this.toneLockToggle = null;
+    this.ditheringSelect = null;
+    this.outputFormatSelect = null;
+    this.codecControls = null;
+    this.codecSelect = null;
+    this.crfControl = null;
+    this.crfSlider = null;
+    this.crfValue = null;
+    this.presetSelect = null;
+    this.densityControls = null;
+    this.samplingModeSelect = null;
     this.edgeControls = null;
     this.cannyLowThreshold = null;
     this.cannyLowValue = null;
     this.cannyHighThreshold = null;
     this.cannyHighValue = null;
+    this.directionalEdgesToggle = null;
 
     // Color adjustment controls
     this.colorControls = null;
@@ -62,11 +76,25 @@ export default class VideoControls {
     this.charSetInput = document.getElementById('videoCharSetInput');
     this.colorModeSelect = document.getElementById('videoColorModeSelect');
     this.converterSelect = document.getElementById('videoConverterSelect');
+    this.brightnessModelSelect = document.getElementById('videoBrightnessModelSelect');
+    this.toneMappingSelect = document.getElementById('videoToneMappingSelect');
+    this.toneLockToggle = document.getElementById('videoToneLockToggle');
+    this.ditheringSelect = document.getElementById('videoDitheringSelect');
+    this.outputFormatSelect = document.getElementById('videoOutputFormatSelect');
+    this.codecControls = document.getElementById('videoCodecControls');
+    this.codecSelect = document.getElementById('videoCodecSelect');
+    this.crfControl = document.getElementById('videoCrfControl');
+    this.crfSlider = document.getElementById('videoCrfSlider');
+    this.crfValue = document.getElementById('videoCrfValue');
+    this.presetSelect = document.getElementById('videoPresetSelect');
+    this.densityControls = document.getElementById('videoDensityControls');
+    this.samplingModeSelect = document.getElementById('videoSamplingModeSelect');
     this.edgeControls = document.getElementById('videoEdgeControls');
     this.cannyLowThreshold = document.getElementById('videoCannyLowThreshold');
     this.cannyLowValue = document.getElementById('videoCannyLowValue');
     this.cannyHighThreshold = document.getElementById('videoCannyHighThreshold');
     this.cannyHighValue = document.getElementById('videoCannyHighValue');
+    this.directionalEdgesToggle = document.getElementById('videoDirectionalEdgesToggle');
     this.colorControls = document.getElementById('videoColorControls');
     this.saturationSlider = document.getElementById('videoSaturationSlider');
     this.saturationValue = document.getElementById('videoSaturationValue');
@@ -135,12 +163,67 @@ export default class VideoControls {
     // Converter select
     if (this.converterSelect) {
       this.converterSelect.addEventListener('change', (e) => {
-        this._toggleEdgeControls(e.target.value);
+        this._toggleConverterControls(e.target.value);
         EventBus.emit('converter:selected', { converter: e.target.value });
         this._emitSettingsChanged();
       });
     }
 
+    // Brightness model select
+    if (this.brightnessModelSelect) {
+      this.brightnessModelSelect.addEventListener('change', () => {
+        this._emitSettingsChanged();
+      });
+    }
+
+    // Tone mapping select and lock toggle
+    if (this.toneMappingSelect) {
+      this.toneMappingSelect.addEventListener('change', () => {
+        this._emitSettingsChanged();
+      });
+    }
+
+    if (this.toneLockToggle) {
+      this.toneLockToggle.addEventListener('change', () => {
+        this._emitSettingsChanged();
+      });
+    }
+
+    // Dithering select
+    if (this.ditheringSelect) {
+      this.ditheringSelect.addEventListener('change', () => {
+        this._emitSettingsChanged();
+      });
+    }
+
+    // Output format select
+    if (this.outputFormatSelect) {
+      this.outputFormatSelect.addEventListener('change', () => {
+        this._toggleCodecControls(this.outputFormatSelect.value);
+      });
+    }
+
+    // Codec select
+    if (this.codecSelect) {
+      this.codecSelect.addEventListener('change', () => {
+        this._applyCodecDefaults(this.codecSelect.value);
+      });
+    }
+
+    // CRF slider
+    if (this.crfSlider) {
+      this.crfSlider.addEventListener('input', (e) => {
+        this.crfValue.textContent = e.target.value;
+      });
+    }
+
+    // Density sampling mode
+    if (this.samplingModeSelect) {
+      this.samplingModeSelect.addEventListener('change', () => {
+        this._emitSettingsChanged();
+      });
+    }
+
     // Canny threshold sliders
     if (this.cannyLowThreshold) {
       this.cannyLowThreshold.addEventListener('input', (e) => {
@@ -155,6 +238,13 @@ export default class VideoControls {
         this._emitSettingsChanged();
       });
     }
+
+    // Direction-aware edges toggle
+    if (this.directionalEdgesToggle) {
+      this.directionalEdgesToggle.addEventListener('change', () => {
+        this._emitSettingsChanged();
+      });
+    }
   }
 
   /**
@@ -169,16 +259,47 @@ export default class VideoControls {
   }
 
   /**
-   * Toggle edge controls visibility
+   * Toggle converter-specific controls visibility
    * @private
    * @param {string} converter - Selected converter type
    */
-  _toggleEdgeControls(converter) {
+  _toggleConverterControls(converter) {
+    if (this.densityControls) {
+      this.densityControls.style.display = converter === 'density' ? 'block' : 'none';
+    }
     if (this.edgeControls) {
       this.edgeControls.style.display = converter === 'edge' ? 'block' : 'none';
     }
   }
 
+  /**
+   * Toggle codec controls visibility
+   * @private
+   * @param {string} outputFormat - Selected output format
+   */
+  _toggleCodecControls(outputFormat) {
+    if (this.codecControls) {
+      this.codecControls.style.display = outputFormat === 'video' ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Reset the CRF slider to a codec's range and default, hiding it for lossless codecs
+   * @private
+   * @param {string} codec - Selected codec
+   */
+  _applyCodecDefaults(codec) {
+    const codecConfig = config.video.codecs[codec];
+    if (this.crfControl) {
+      this.crfControl.style.display = codecConfig.lossless ? 'none' : 'block';
+    }
+    if (this.crfSlider && !codecConfig.lossless) {
+      this.crfSlider.max = codecConfig.maxCrf;
+      this.crfSlider.value = codecConfig.defaultCrf;
+      this.crfValue.textContent = codecConfig.defaultCrf;
+    }
+  }
+
   /**
    * Toggle color controls visibility
    * @private
@@ -202,20 +323,128 @@ export default class VideoControls {
       converter: this.converterSelect?.value || 'density',
       saturationBoost: parseFloat(this.saturationSlider?.value || config.ascii.defaultSaturationBoost),
       luminanceBoost: parseFloat(this.luminanceSlider?.value || config.ascii.defaultLuminanceBoost),
+      toneMapping: this.toneMappingSelect?.value || config.ascii.toneMapping.defaultMode,
+      lockToneMapping: this.toneLockToggle ? this.toneLockToggle.checked : true,
+      dithering: this.ditheringSelect?.value || config.ascii.defaultDithering,
+      outputFormat: this.outputFormatSelect?.value || config.video.defaultOutputFormat,
       includeAudio: this.includeAudio
     };
 
+    // Add codec settings for video output
+    if (settings.outputFormat === 'video') {
+      settings.videoCodec = this.codecSelect?.value || config.video.defaultCodec;
+      settings.encoderPreset = this.presetSelect?.value || config.video.defaultEncoderPreset;
+      if (!config.video.codecs[settings.videoCodec].lossless && this.crfSlider) {
+        settings.crf = parseInt(this.crfSlider.value);
+      }
+    }
+
+    // Leave the brightness model unset so the converter picks its own default
+    if (this.brightnessModelSelect?.value) {
+      settings.brightnessModel = this.brightnessModelSelect.value;
+    }
+
+    // Add density settings if density converter is selected
+    if (settings.converter === 'density') {
+      settings.samplingMode = this.samplingModeSelect?.value || config.ascii.defaultSamplingMode;
+    }
+
     // Add edge detection settings if edge converter is selected
     if (settings.converter === 'edge') {
       settings.cannyLowThreshold = parseInt(this.cannyLowThreshold?.value || 50);
       settings.cannyHighThreshold = parseInt(this.cannyHighThreshold?.value || 150);
       settings.edgeCharSet = config.ascii.edgeDetection.defaultEdgeCharSet;
       settings.fillCharSet = config.ascii.edgeDetection.defaultFillCharSet;
+      settings.directionalEdges = this.directionalEdgesToggle
+        ? this.directionalEdgesToggle.checked
+        : config.ascii.edgeDetection.defaultDirectionalEdges;
+      settings.horizontalEdgeCharSet = config.ascii.edgeDetection.defaultHorizontalEdgeCharSet;
+      settings.verticalEdgeCharSet = config.ascii.edgeDetection.defaultVerticalEdgeCharSet;
+      settings.risingEdgeCharSet = config.ascii.edgeDetection.defaultRisingEdgeCharSet;
+      settings.fallingEdgeCharSet = config.ascii.edgeDetection.defaultFallingEdgeCharSet;
+    }
+
+    // Add shape matching settings if shape converter is selected
+    if (settings.converter === 'shape') {
+      settings.shapeCharSet = config.ascii.shape.defaultCharSet;
+    }
+
+    // Add Braille settings if Braille converter is selected
+    if (settings.converter === 'braille') {
+      settings.brailleThreshold = config.ascii.braille.defaultThreshold;
     }
 
     return settings;
   }
 
+  /**
+   * Set settings
+   * Only conversion settings are applied; output format and codec are left as they are.
+   * @param {Object} settings
+   */
+  setSettings(settings) {
+    if (settings.width !== undefined && this.widthSlider) {
+      this.widthSlider.value = settings.width;
+      this.widthValue.textContent = settings.width;
+    }
+
+    if (settings.charSet !== undefined && this.charSetInput) {
+      this.charSetInput.value = settings.charSet;
+    }
+
+    if (settings.colorMode !== undefined && this.colorModeSelect) {
+      this.colorModeSelect.value = settings.colorMode;
+      this._toggleColorControls(settings.colorMode);
+    }
+
+    if (settings.converter !== undefined && this.converterSelect) {
+      this.converterSelect.value = settings.converter;
+      this._toggleConverterControls(settings.converter);
+    }
+
+    if (settings.saturationBoost !== undefined && this.saturationSlider) {
+      this.saturationSlider.value = settings.saturationBoost;
+      this.saturationValue.textContent = `${settings.saturationBoost}x`;
+    }
+
+    if (settings.luminanceBoost !== undefined && this.luminanceSlider) {
+      this.luminanceSlider.value = settings.luminanceBoost;
+      this.luminanceValue.textContent = `${settings.luminanceBoost}x`;
+    }
+
+    if (settings.brightnessModel !== undefined && this.brightnessModelSelect) {
+      this.brightnessModelSelect.value = settings.brightnessModel;
+    }
+
+    if (settings.toneMapping !== undefined && this.toneMappingSelect) {
+      this.toneMappingSelect.value = settings.toneMapping;
+    }
+
+    if (settings.dithering !== undefined && this.ditheringSelect) {
+      this.ditheringSelect.value = settings.dithering;
+    }
+
+    if (settings.samplingMode !== undefined && this.samplingModeSelect) {
+      this.samplingModeSelect.value = settings.samplingMode;
+    }
+
+    if (settings.cannyLowThreshold !== undefined && this.cannyLowThreshold) {
+      this.cannyLowThreshold.value = settings.cannyLowThreshold;
+      this.cannyLowValue.textContent = settings.cannyLowThreshold;
+    }
+
+    if (settings.cannyHighThreshold !== undefined && this.cannyHighThreshold) {
+      this.cannyHighThreshold.value = settings.cannyHighThreshold;
+      this.cannyHighValue.textContent = settings.cannyHighThreshold;
+    }
+
+    if (settings.directionalEdges !== undefined && this.directionalEdgesToggle) {
+      this.directionalEdgesToggle.checked = settings.directionalEdges;
+    }
+
+    this._emitSettingsChanged();
+  }
+
   /**
    * Set settings change callback
    * @param {Function} callback - Called when settings change
@@ -266,9 +495,14 @@ export default class VideoControls {
         <span class="video-info-value">${dimensions}</span>
       </div>
       <div class="video-info-item">
-        <span class="video-info-label">FPS:</span>
+        <span class="video-info-label">${info.frameCount ? 'Average FPS:' : 'FPS:'}</span>
         <span class="video-info-value">${fps}</span>
       </div>
+      ${info.frameCount ? `
+      <div class="video-info-item">
+        <span class="video-info-label">Frames:</span>
+        <span class="video-info-value">${info.frameCount}</span>
+      </div>` : ''}
       <div class="video-info-item audio-toggle-item">
         <span class="video-info-label">Include Audio:</span>
         <label class="toggle-switch">
@@ -0,0 +1,175 @@
+/**
+ * AnimatedImage - Finds the frames of animated GIF and WebP files
+ * Reads frame delays straight from the file structure, without decoding any
+ * pixels, so a file can be routed to the frame pipeline before it is loaded.
+ */
+import config from '../config.js';
+
+const GIF_EXTENSION = 0x21;
+const GIF_IMAGE_DESCRIPTOR = 0x2c;
+const GIF_TRAILER = 0x3b;
+const GIF_GRAPHIC_CONTROL = 0xf9;
+
+// VP8X flag set when the file has ANMF frames
+const WEBP_ANIMATION_FLAG = 0x02;
+
+export default class AnimatedImage {
+  /**
+   * Check whether files of a MIME type can be animated
+   * @param {string} type - MIME type
+   * @returns {boolean}
+   */
+  static isAnimatableType(type) {
+    return type === 'image/gif' || type === 'image/webp';
+  }
+
+  /**
+   * Check whether the browser can decode individual animation frames
+   * @returns {boolean}
+   */
+  static canDecodeFrames() {
+    return typeof ImageDecoder !== 'undefined';
+  }
+
+  /**
+   * Read the display time of every frame
+   * @param {Uint8Array} bytes - GIF or WebP file contents
+   * @returns {number[]|null} - Delay of each frame in milliseconds, or null if the
+   *   file is not an animation with more than one frame
+   */
+  static getFrameDelays(bytes) {
+    let delays = null;
+
+    if (this._matches(bytes, 0, 'GIF8')) {
+      delays = this._getGifDelays(bytes);
+    } else if (this._matches(bytes, 0, 'RIFF') && this._matches(bytes, 8, 'WEBP')) {
+      delays = this._getWebpDelays(bytes);
+    }
+
+    if (!delays || delays.length < 2) {
+      return null;
+    }
+
+    // Browsers show very short delays at a default rate; match what the user sees
+    const { shortFrameDelay, defaultFrameDelay } = config.video.animatedImage;
+    return delays.map(delay => (delay <= shortFrameDelay ? defaultFrameDelay : delay));
+  }
+
+  /**
+   * Walk the GIF blocks, pairing each image with its graphic control extension
+   * @private
+   * @param {Uint8Array} bytes - GIF file contents
+   * @returns {number[]} - Delays in milliseconds; a truncated file yields the frames before the cut
+   */
+  static _getGifDelays(bytes) {
+    const delays = [];
+
+    // Header and logical screen descriptor, then the optional global color table
+    let position = 13;
+    if (bytes.length < position) return delays;
+    if (bytes[10] & 0x80) {
+      position += 3 * (2 << (bytes[10] & 0x07));
+    }
+
+    let pendingDelay = 0;
+
+    while (position < bytes.length) {
+      const block = bytes[position];
+
+      if (block === GIF_EXTENSION) {
+        const label = bytes[position + 1];
+        if (label === GIF_GRAPHIC_CONTROL && bytes[position + 2] === 4) {
+          // Delay is in hundredths of a second
+          pendingDelay = (bytes[position + 4] | (bytes[position + 5] << 8)) * 10;
+        }
+        position = this._skipGifSubBlocks(bytes, position + 2);
+      } else if (block === GIF_IMAGE_DESCRIPTOR) {
+        if (position + 10 > bytes.length) break;
+
+        const packed = bytes[position + 9];
+        position += 10;
+        if (packed & 0x80) {
+          position += 3 * (2 << (packed & 0x07));
+        }
+
+        // LZW minimum code size, then the image data
+        position = this._skipGifSubBlocks(bytes, position + 1);
+        if (position > bytes.length) break;
+
+        delays.push(pendingDelay);
+        pendingDelay = 0;
+      } else {
+        // Trailer, or bytes that are not a block
+        if (block !== GIF_TRAILER) {
+          console.warn(`Unexpected GIF block 0x${block.toString(16)}; reading no further frames`);
+        }
+        break;
+      }
+    }
+
+    return delays;
+  }
+
+  /**
+   * Skip a chain of GIF data sub-blocks
+   * @private
+   * @param {Uint8Array} bytes - GIF file contents
+   * @param {number} position - Offset of the first sub-block's size byte
+   * @returns {number} - Offset after the terminating empty sub-block
+   */
+  static _skipGifSubBlocks(bytes, position) {
+    while (position < bytes.length) {
+      const size = bytes[position];
+      position += 1 + size;
+      if (size === 0) return position;
+    }
+    // Ran off the end: report a position past it
+    return bytes.length + 1;
+  }
+
+  /**
+   * Read the duration of each ANMF chunk of an animated WebP
+   * @private
+   * @param {Uint8Array} bytes - WebP file contents
+   * @returns {number[]|null} - Delays in milliseconds, or null for a still WebP
+   */
+  static _getWebpDelays(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const delays = [];
+    let animated = false;
+    let position = 12;
+
+    while (position + 8 <= bytes.length) {
+      const size = view.getUint32(position + 4, true);
+      const payload = position + 8;
+
+      if (this._matches(bytes, position, 'VP8X')) {
+        animated = (bytes[payload] & WEBP_ANIMATION_FLAG) !== 0;
+      } else if (this._matches(bytes, position, 'ANMF') && payload + 16 <= bytes.length) {
+        // Frame X, Y, width and height (24 bits each), then a 24-bit duration
+        delays.push(bytes[payload + 12] | (bytes[payload + 13] << 8) | (bytes[payload + 14] << 16));
+      }
+
+      // Chunks are padded to an even size
+      position = payload + size + (size & 1);
+    }
+
+    return animated ? delays : null;
+  }
+
+  /**
+   * Check for an ASCII tag at an offset
+   * @private
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @param {string} tag
+   * @returns {boolean}
+   */
+  static _matches(bytes, offset, tag) {
+    if (offset + tag.length > bytes.length) return false;
+    for (let i = 0; i < tag.length; i++) {
+      if (bytes[offset + i] !== tag.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Base64 - Encoding binary data for embedding in text documents
+ */
+
+// Bytes converted per String.fromCharCode call, below engine argument limits
+const CHUNK_SIZE = 0x8000;
+
+export default class Base64 {
+  /**
+   * Base64-encode bytes
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static encode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Encode a blob as a data URL
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  static async toDataURL(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return `data:${blob.type || 'application/octet-stream'};base64,${this.encode(bytes)}`;
+  }
+}
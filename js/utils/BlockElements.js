@@ -0,0 +1,133 @@
+/**
+ * BlockElements - Unicode block element characters as quadrant masks
+ * Masks use one bit per quadrant: top-left 8, top-right 4, bottom-left 2, bottom-right 1.
+ * Shared by BlockConverter (choosing glyphs), CanvasRenderer and SVG export (drawing
+ * them as gapless rectangles) and text export (resolving inverted cells).
+ */
+import ColorUtils from './ColorUtils.js';
+
+const TOP_LEFT = 8;
+const TOP_RIGHT = 4;
+const BOTTOM_LEFT = 2;
+const BOTTOM_RIGHT = 1;
+
+// Every quadrant pattern as its block element character
+const MASK_TO_CHAR = [
+  ' ', '▗', '▖', '▄',
+  '▝', '▐', '▞', '▟',
+  '▘', '▚', '▌', '▙',
+  '▀', '▜', '▛', '█'
+];
+
+const CHAR_TO_MASK = new Map(MASK_TO_CHAR.map((char, mask) => [char, mask]));
+
+export default class BlockElements {
+  /**
+   * Check whether a character is a quadrant-expressible block element
+   * @param {string} char - Character
+   * @returns {boolean}
+   */
+  static isBlockElement(char) {
+    return char !== ' ' && CHAR_TO_MASK.has(char);
+  }
+
+  /**
+   * Quadrant mask of a block element
+   * @param {string} char - Block element character
+   * @returns {number} - Mask (0-15), or -1 for other characters
+   */
+  static toMask(char) {
+    return CHAR_TO_MASK.has(char) ? CHAR_TO_MASK.get(char) : -1;
+  }
+
+  /**
+   * Block element character for a quadrant mask
+   * @param {number} mask - Mask (0-15)
+   * @returns {string}
+   */
+  static fromMask(mask) {
+    return MASK_TO_CHAR[mask & 15];
+  }
+
+  /**
+   * Character covering exactly the quadrants a block element leaves empty
+   * @param {string} char - Block element character
+   * @returns {string} - Complement, or the character itself if it is not a block element
+   */
+  static complement(char) {
+    const mask = this.toMask(char);
+    return mask === -1 ? char : MASK_TO_CHAR[~mask & 15];
+  }
+
+  /**
+   * Character to use where only the glyph survives (plain text).
+   * A block cell whose background is brighter than its foreground is drawn
+   * inverted, so it is replaced by its complement to keep bright areas filled.
+   * @param {string} char - Cell character
+   * @param {string} color - Foreground color
+   * @param {string|null} background - Background color, if any
+   * @returns {string}
+   */
+  static resolveForText(char, color, background) {
+    if (!background) {
+      return char;
+    }
+
+    // Uniform cells are a space on a background; keep them only if the background is bright
+    if (char === ' ') {
+      return ColorUtils.luma(background) >= 128 ? '█' : ' ';
+    }
+
+    if (!this.isBlockElement(char)) {
+      return char;
+    }
+
+    return ColorUtils.luma(background) > ColorUtils.luma(color) ? this.complement(char) : char;
+  }
+
+  /**
+   * Rectangles covering the quadrants of a block element
+   * Edges are rounded to whole pixels so neighbouring cells meet without seams.
+   * @param {string} char - Block element character
+   * @param {number} x - Cell left edge
+   * @param {number} y - Cell top edge
+   * @param {number} width - Cell width
+   * @param {number} height - Cell height
+   * @param {boolean} [snap=true] - Round edges to whole pixels; off for vector output in other units
+   * @returns {Object[]} - { x, y, width, height } per filled quadrant
+   */
+  static quadrantRects(char, x, y, width, height, snap = true) {
+    const mask = this.toMask(char);
+    if (mask <= 0) return [];
+
+    const edge = snap ? Math.round : (value) => value;
+    const left = edge(x);
+    const midX = edge(x + width / 2);
+    const right = edge(x + width);
+    const top = edge(y);
+    const midY = edge(y + height / 2);
+    const bottom = edge(y + height);
+
+    const rects = [];
+    if (mask & TOP_LEFT) rects.push({ x: left, y: top, width: midX - left, height: midY - top });
+    if (mask & TOP_RIGHT) rects.push({ x: midX, y: top, width: right - midX, height: midY - top });
+    if (mask & BOTTOM_LEFT) rects.push({ x: left, y: midY, width: midX - left, height: bottom - midY });
+    if (mask & BOTTOM_RIGHT) rects.push({ x: midX, y: midY, width: right - midX, height: bottom - midY });
+    return rects;
+  }
+
+  /**
+   * Fill the quadrants of a block element as rectangles
+   * @param {CanvasRenderingContext2D} ctx - Context with fillStyle already set
+   * @param {string} char - Block element character
+   * @param {number} x - Cell left edge
+   * @param {number} y - Cell top edge
+   * @param {number} width - Cell width
+   * @param {number} height - Cell height
+   */
+  static draw(ctx, char, x, y, width, height) {
+    this.quadrantRects(char, x, y, width, height).forEach(rect => {
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    });
+  }
+}
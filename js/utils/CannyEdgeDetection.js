@@ -18,6 +18,20 @@ export default class CannyEdgeDetection {
    * @returns {Uint8ClampedArray} - Binary edge map (255 = edge, 0 = non-edge)
    */
   static detectEdges(imageData, width, height, lowThreshold = 50, highThreshold = 150) {
+    return this.detectEdgesWithDirection(imageData, width, height, lowThreshold, highThreshold).edges;
+  }
+
+  /**
+   * Detect edges and keep the gradient direction of every pixel
+   * @param {Uint8ClampedArray} imageData - Grayscale pixel data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} lowThreshold - Low threshold for hysteresis (0-255)
+   * @param {number} highThreshold - High threshold for hysteresis (0-255)
+   * @returns {{edges: Uint8ClampedArray, direction: Float32Array}} - Binary edge map
+   *   (255 = edge, 0 = non-edge) and gradient direction in radians
+   */
+  static detectEdgesWithDirection(imageData, width, height, lowThreshold = 50, highThreshold = 150) {
     // Step 1: Gaussian blur
     const blurred = this.gaussianBlur(imageData, width, height);
 
@@ -30,7 +44,25 @@ export default class CannyEdgeDetection {
     // Step 4: Hysteresis thresholding
     const edges = this.hysteresisThreshold(suppressed, width, height, lowThreshold, highThreshold);
 
-    return edges;
+    return { edges, direction };
+  }
+
+  /**
+   * Round a gradient direction to the nearest 45 degrees
+   * @param {number} angle - Gradient direction in radians (atan2(gy, gx), y pointing down)
+   * @returns {number} - 0 (0°), 1 (45°), 2 (90°) or 3 (135°)
+   */
+  static quantizeDirection(angle) {
+    const angleDeg = ((angle * 180 / Math.PI) + 180) % 180;
+
+    if ((angleDeg >= 0 && angleDeg < 22.5) || (angleDeg >= 157.5 && angleDeg < 180)) {
+      return 0;
+    } else if (angleDeg >= 22.5 && angleDeg < 67.5) {
+      return 1;
+    } else if (angleDeg >= 67.5 && angleDeg < 112.5) {
+      return 2;
+    }
+    return 3;
   }
 
   /**
@@ -140,28 +172,29 @@ export default class CannyEdgeDetection {
         const angle = direction[index];
         const mag = magnitude[index];
 
-        // Round angle to nearest 45 degrees (0, 45, 90, 135)
-        const angleDeg = ((angle * 180 / Math.PI) + 180) % 180;
-
         let neighbor1, neighbor2;
 
-        // Determine neighbors based on gradient direction
-        if ((angleDeg >= 0 && angleDeg < 22.5) || (angleDeg >= 157.5 && angleDeg < 180)) {
-          // Horizontal edge (0°)
-          neighbor1 = magnitude[y * width + (x - 1)];
-          neighbor2 = magnitude[y * width + (x + 1)];
-        } else if (angleDeg >= 22.5 && angleDeg < 67.5) {
-          // Diagonal edge (45°)
-          neighbor1 = magnitude[(y - 1) * width + (x + 1)];
-          neighbor2 = magnitude[(y + 1) * width + (x - 1)];
-        } else if (angleDeg >= 67.5 && angleDeg < 112.5) {
-          // Vertical edge (90°)
-          neighbor1 = magnitude[(y - 1) * width + x];
-          neighbor2 = magnitude[(y + 1) * width + x];
-        } else {
-          // Diagonal edge (135°)
-          neighbor1 = magnitude[(y - 1) * width + (x - 1)];
-          neighbor2 = magnitude[(y + 1) * width + (x + 1)];
+        // Determine neighbors based on gradient direction rounded to 45 degrees
+        switch (this.quantizeDirection(angle)) {
+          case 0:
+            // Horizontal edge (0°)
+            neighbor1 = magnitude[y * width + (x - 1)];
+            neighbor2 = magnitude[y * width + (x + 1)];
+            break;
+          case 1:
+            // Diagonal edge (45°)
+            neighbor1 = magnitude[(y - 1) * width + (x + 1)];
+            neighbor2 = magnitude[(y + 1) * width + (x - 1)];
+            break;
+          case 2:
+            // Vertical edge (90°)
+            neighbor1 = magnitude[(y - 1) * width + x];
+            neighbor2 = magnitude[(y + 1) * width + x];
+            break;
+          default:
+            // Diagonal edge (135°)
+            neighbor1 = magnitude[(y - 1) * width + (x - 1)];
+            neighbor2 = magnitude[(y + 1) * width + (x + 1)];
         }
 
         // Suppress if not local maximum
@@ -236,9 +269,10 @@ export default class CannyEdgeDetection {
    * @param {Uint8ClampedArray} rgbaData - RGBA pixel data
    * @param {number} width - Image width
    * @param {number} height - Image height
+   * @param {Function} [toBrightness] - (r, g, b) => brightness (0-255); defaults to Rec.601 luma
    * @returns {Uint8ClampedArray} - Grayscale pixel data
    */
-  static rgbaToGrayscale(rgbaData, width, height) {
+  static rgbaToGrayscale(rgbaData, width, height, toBrightness = null) {
     const grayscale = new Uint8ClampedArray(width * height);
 
     for (let i = 0; i < width * height; i++) {
@@ -247,7 +281,7 @@ export default class CannyEdgeDetection {
       const b = rgbaData[i * 4 + 2];
 
       // Luminance formula
-      grayscale[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+      grayscale[i] = Math.round(toBrightness ? toBrightness(r, g, b) : 0.299 * r + 0.587 * g + 0.114 * b);
     }
 
     return grayscale;
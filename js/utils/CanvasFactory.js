@@ -0,0 +1,131 @@
+/**
+ * CanvasFactory - Creates canvases for the DOM or for DOM-less contexts
+ * Uses <canvas> elements when a document exists and OffscreenCanvas otherwise
+ * (Web Workers, headless test runners), behind one API.
+ */
+export default class CanvasFactory {
+  /**
+   * Check whether a DOM document is available
+   * @returns {boolean}
+   */
+  static hasDocument() {
+    return typeof document !== 'undefined' && typeof document.createElement === 'function';
+  }
+
+  /**
+   * Resolve which backend to use
+   * @param {string} backend - 'auto', 'dom' or 'offscreen'
+   * @returns {string} - 'dom' or 'offscreen'
+   * @throws {Error} If the requested backend is not available
+   */
+  static resolveBackend(backend = 'auto') {
+    if (backend === 'auto') {
+      return this.hasDocument() ? 'dom' : 'offscreen';
+    }
+
+    if (backend === 'dom' && !this.hasDocument()) {
+      throw new Error('DOM canvas backend requested but no document is available');
+    }
+
+    if (backend === 'offscreen' && typeof OffscreenCanvas === 'undefined') {
+      throw new Error('OffscreenCanvas is not supported in this environment');
+    }
+
+    return backend;
+  }
+
+  /**
+   * Create a canvas
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {string} backend - 'auto', 'dom' or 'offscreen'
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  static createCanvas(width = 300, height = 150, backend = 'auto') {
+    if (this.resolveBackend(backend) === 'offscreen') {
+      if (typeof OffscreenCanvas === 'undefined') {
+        throw new Error('No document and no OffscreenCanvas: cannot create a canvas');
+      }
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Check whether a canvas is an OffscreenCanvas
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @returns {boolean}
+   */
+  static isOffscreen(canvas) {
+    return typeof OffscreenCanvas !== 'undefined' && canvas instanceof OffscreenCanvas;
+  }
+
+  /**
+   * Encode a canvas of either kind to a Blob
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+   * @param {string} format - Image format (default: 'image/png')
+   * @param {number} quality - Image quality for lossy formats (0-1)
+   * @returns {Promise<Blob>}
+   */
+  static toBlob(canvas, format = 'image/png', quality = 1.0) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type: format, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Failed to create blob from canvas'));
+          }
+        },
+        format,
+        quality
+      );
+    });
+  }
+
+  /**
+   * Decode an image blob to ImageData
+   * @param {Blob} blob - Image blob
+   * @returns {Promise<ImageData>}
+   */
+  static async blobToImageData(blob) {
+    if (!this.hasDocument()) {
+      const bitmap = await createImageBitmap(blob);
+      const canvas = this.createCanvas(bitmap.width, bitmap.height, 'offscreen');
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      const url = URL.createObjectURL(blob);
+
+      img.onload = () => {
+        const canvas = this.createCanvas(img.width, img.height, 'dom');
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(imageData);
+      };
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to load image from blob'));
+      };
+
+      img.src = url;
+    });
+  }
+}
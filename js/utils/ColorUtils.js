@@ -0,0 +1,132 @@
+/**
+ * ColorUtils - Parsing, comparing and quantizing the CSS colors converters emit
+ * Converters produce '#rrggbb', '#rgb', 'rgb(r, g, b)' and 'rgba(r, g, b, a)' strings.
+ */
+
+// Channel levels of the xterm 6x6x6 color cube (indices 16-231)
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// xterm's default values for the 16 standard ANSI colors
+const ANSI_16 = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+  [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+  [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+];
+
+export default class ColorUtils {
+  /**
+   * Parse a CSS color string
+   * @param {string} color - '#rgb', '#rrggbb', 'rgb(r, g, b)' or 'rgba(r, g, b, a)'
+   * @returns {Object} - { r, g, b, a } with r/g/b in 0-255 and a in 0-1
+   * @throws {Error} If the color format is not supported
+   */
+  static parseColor(color) {
+    const value = color.trim();
+
+    if (value[0] === '#') {
+      let hex = value.slice(1);
+      if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+      }
+      if (hex.length === 6 && /^[0-9a-f]+$/i.test(hex)) {
+        return {
+          r: parseInt(hex.slice(0, 2), 16),
+          g: parseInt(hex.slice(2, 4), 16),
+          b: parseInt(hex.slice(4, 6), 16),
+          a: 1
+        };
+      }
+    }
+
+    const match = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+    if (match) {
+      return {
+        r: Math.round(parseFloat(match[1])),
+        g: Math.round(parseFloat(match[2])),
+        b: Math.round(parseFloat(match[3])),
+        a: match[4] !== undefined ? parseFloat(match[4]) : 1
+      };
+    }
+
+    throw new Error(`Unsupported color "${color}"`);
+  }
+
+  /**
+   * Rec.709 luma of a color, for brightness comparisons
+   * @param {string} color - CSS color string
+   * @returns {number} - Luma (0-255)
+   */
+  static luma(color) {
+    const { r, g, b } = this.parseColor(color);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * Format a color as a '#rrggbb' hex string
+   * @param {Object} color - { r, g, b }
+   * @returns {string}
+   */
+  static toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Normalize a CSS color to '#rrggbb' so equal colors compare equal regardless of notation
+   * @param {string} color - CSS color string
+   * @returns {string}
+   */
+  static normalize(color) {
+    return this.toHex(this.parseColor(color));
+  }
+
+  /**
+   * Nearest xterm-256 palette index (cube 16-231 or grayscale ramp 232-255)
+   * @param {Object} color - { r, g, b }
+   * @returns {number} - Palette index (16-255)
+   */
+  static toXterm256({ r, g, b }) {
+    const cubeIndex = (value) => (value < 48 ? 0 : value < 115 ? 1 : Math.floor((value - 35) / 40));
+    const ri = cubeIndex(r);
+    const gi = cubeIndex(g);
+    const bi = cubeIndex(b);
+    const cubeDistance = this._distance(r, g, b, CUBE_LEVELS[ri], CUBE_LEVELS[gi], CUBE_LEVELS[bi]);
+
+    // Grayscale ramp: 8, 18, ..., 238
+    const average = (r + g + b) / 3;
+    const grayIndex = Math.min(23, Math.max(0, Math.round((average - 8) / 10)));
+    const gray = 8 + grayIndex * 10;
+    const grayDistance = this._distance(r, g, b, gray, gray, gray);
+
+    return grayDistance < cubeDistance
+      ? 232 + grayIndex
+      : 16 + ri * 36 + gi * 6 + bi;
+  }
+
+  /**
+   * Nearest of the 16 standard ANSI colors
+   * @param {Object} color - { r, g, b }
+   * @returns {number} - Color index (0-7 normal, 8-15 bright)
+   */
+  static toAnsi16({ r, g, b }) {
+    let best = 0;
+    let bestDistance = Infinity;
+    ANSI_16.forEach(([pr, pg, pb], index) => {
+      const distance = this._distance(r, g, b, pr, pg, pb);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = index;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Squared RGB distance
+   * @private
+   * @returns {number}
+   */
+  static _distance(r1, g1, b1, r2, g2, b2) {
+    return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+  }
+}
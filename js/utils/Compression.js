@@ -0,0 +1,60 @@
+/**
+ * Compression - gzip via the browser's CompressionStream and DecompressionStream
+ * Data can be written in pieces as it is produced, so large payloads are never
+ * held uncompressed in memory.
+ */
+
+export default class Compression {
+  /**
+   * Start a compressed stream
+   * @param {string} [format='gzip'] - 'gzip', 'deflate' or 'deflate-raw'
+   * @returns {Object} - { write(bytes: Uint8Array): Promise<void>, finish(): Promise<Uint8Array> }
+   */
+  static createCompressor(format = 'gzip') {
+    const stream = new CompressionStream(format);
+    const writer = stream.writable.getWriter();
+
+    // Read concurrently so writes are not held up by backpressure
+    const result = new Response(stream.readable).arrayBuffer();
+
+    return {
+      write: (bytes) => writer.write(bytes),
+      finish: async () => {
+        await writer.close();
+        return new Uint8Array(await result);
+      }
+    };
+  }
+
+  /**
+   * Compress bytes in one call
+   * @param {Uint8Array} bytes
+   * @param {string} [format='gzip'] - 'gzip', 'deflate' or 'deflate-raw'
+   * @returns {Promise<Uint8Array>}
+   */
+  static async compress(bytes, format = 'gzip') {
+    const compressor = this.createCompressor(format);
+    await compressor.write(bytes);
+    return compressor.finish();
+  }
+
+  /**
+   * Decompress bytes
+   * @param {Uint8Array|ArrayBuffer} bytes
+   * @param {string} [format='gzip'] - 'gzip', 'deflate' or 'deflate-raw'
+   * @returns {Promise<Uint8Array>}
+   */
+  static async decompress(bytes, format = 'gzip') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Check for the gzip magic number
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  static isGzip(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+  }
+}
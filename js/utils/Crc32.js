@@ -0,0 +1,31 @@
+/**
+ * Crc32 - CRC-32 checksums (polynomial 0xEDB88320)
+ * The checksum used by PNG chunks and ZIP entries.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export default class Crc32 {
+  /**
+   * Checksum of some bytes
+   * @param {Uint8Array} bytes
+   * @returns {number} - Unsigned 32-bit checksum
+   */
+  static compute(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
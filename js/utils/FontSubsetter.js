@@ -0,0 +1,456 @@
+/**
+ * FontSubsetter - Reduces a TrueType font to the glyphs a set of characters needs
+ * Glyph ids are kept (unused glyphs become empty), so only glyf, loca, cmap and
+ * post are rewritten. Tables outside the rendering essentials are dropped.
+ * CFF-flavored OpenType, WOFF and font collections are not supported.
+ */
+
+const TRUETYPE_VERSION = 0x00010000;
+const TRUETYPE_TAG = 0x74727565; // 'true'
+
+// Tables copied into the subset; everything else (layout, kerning, signatures) is dropped
+const KEPT_TABLES = ['OS/2', 'cmap', 'cvt ', 'fpgm', 'gasp', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'name', 'post', 'prep'];
+
+// Composite glyph component flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+export default class FontSubsetter {
+  /**
+   * Subset a TrueType font to the given characters
+   * @param {ArrayBuffer} fontData - TrueType (.ttf) font file
+   * @param {Iterable<string>} characters - Characters the subset must render
+   * @returns {Uint8Array} - Subset font file
+   * @throws {Error} If the font is not a glyf-based TrueType font
+   */
+  static subset(fontData, characters) {
+    const tables = this._readTables(fontData);
+
+    for (const tag of ['cmap', 'glyf', 'head', 'loca', 'maxp']) {
+      if (!tables.has(tag)) {
+        throw new Error(`Font has no "${tag}" table; only TrueType outlines can be subset`);
+      }
+    }
+
+    const head = tables.get('head');
+    const numGlyphs = tables.get('maxp').getUint16(4);
+    const longOffsets = head.getInt16(50) === 1;
+    const offsets = this._readLoca(tables.get('loca'), numGlyphs, longOffsets);
+    const glyf = tables.get('glyf');
+
+    // Map characters to glyphs; glyph 0 (.notdef) is always kept
+    const mapping = this._readCmap(tables.get('cmap'), this._codePoints(characters));
+
+    const kept = this._collectGlyphs([0, ...mapping.values()], glyf, offsets);
+
+    const { glyfTable, locaTable } = this._writeGlyphs(glyf, offsets, kept);
+
+    // Long loca offsets from here on
+    const headTable = this._copy(head);
+    new DataView(headTable.buffer).setInt16(50, 1);
+    new DataView(headTable.buffer).setUint32(8, 0); // checkSumAdjustment, set after assembly
+
+    const output = new Map();
+    for (const [tag, view] of tables) {
+      if (KEPT_TABLES.includes(tag)) {
+        output.set(tag, this._copy(view));
+      }
+    }
+    output.set('head', headTable);
+    output.set('glyf', glyfTable);
+    output.set('loca', locaTable);
+    output.set('cmap', this._writeCmap(mapping));
+    if (output.has('post')) {
+      output.set('post', this._writePost(tables.get('post')));
+    }
+
+    return this._assemble(output);
+  }
+
+  /**
+   * Glyph ids of characters, as kept by subset()
+   * @param {ArrayBuffer} fontData - TrueType (.ttf) font file
+   * @param {Iterable<string>} characters - Characters to look up
+   * @returns {Map<number, number>} - Code point to glyph id, for characters the subset can render
+   */
+  static glyphIds(fontData, characters) {
+    const tables = this._readTables(fontData);
+    if (!tables.has('cmap')) {
+      throw new Error('Font has no "cmap" table');
+    }
+    return this._readCmap(tables.get('cmap'), this._codePoints(characters));
+  }
+
+  /**
+   * Font-wide metrics from head and hhea
+   * @param {ArrayBuffer} fontData - TrueType (.ttf) font file
+   * @returns {Object} - { unitsPerEm, ascent, descent, bbox: [xMin, yMin, xMax, yMax] }, in font units
+   */
+  static metrics(fontData) {
+    const tables = this._readTables(fontData);
+    const head = tables.get('head');
+    const hhea = tables.get('hhea');
+    if (!head || !hhea) {
+      throw new Error('Font has no "head" or "hhea" table');
+    }
+
+    return {
+      unitsPerEm: head.getUint16(18),
+      ascent: hhea.getInt16(4),
+      descent: hhea.getInt16(6),
+      bbox: [head.getInt16(36), head.getInt16(38), head.getInt16(40), head.getInt16(42)]
+    };
+  }
+
+  /**
+   * Distinct code points of characters
+   * The written cmap is format 4, so characters outside the BMP are left out.
+   * @private
+   * @param {Iterable<string>} characters
+   * @returns {number[]}
+   */
+  static _codePoints(characters) {
+    return [...new Set(characters)]
+      .map(char => char.codePointAt(0))
+      .filter(codePoint => codePoint <= 0xFFFF);
+  }
+
+  /**
+   * Read the table directory
+   * @private
+   * @param {ArrayBuffer} fontData - Font file
+   * @returns {Map<string, DataView>} - Table tag to table contents
+   */
+  static _readTables(fontData) {
+    const view = new DataView(fontData);
+    const version = view.getUint32(0);
+    if (version !== TRUETYPE_VERSION && version !== TRUETYPE_TAG) {
+      throw new Error('Unsupported font format; expected a TrueType (.ttf) font');
+    }
+
+    const tables = new Map();
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      const tag = String.fromCharCode(
+        view.getUint8(record),
+        view.getUint8(record + 1),
+        view.getUint8(record + 2),
+        view.getUint8(record + 3)
+      );
+      const offset = view.getUint32(record + 8);
+      const length = view.getUint32(record + 12);
+      tables.set(tag, new DataView(fontData, offset, length));
+    }
+    return tables;
+  }
+
+  /**
+   * Read glyph offsets from the loca table
+   * @private
+   * @param {DataView} loca - loca table
+   * @param {number} numGlyphs - Glyph count from maxp
+   * @param {boolean} longOffsets - 32-bit offsets instead of 16-bit halved offsets
+   * @returns {Uint32Array} - numGlyphs + 1 offsets into glyf
+   */
+  static _readLoca(loca, numGlyphs, longOffsets) {
+    const offsets = new Uint32Array(numGlyphs + 1);
+    for (let i = 0; i <= numGlyphs; i++) {
+      offsets[i] = longOffsets ? loca.getUint32(i * 4) : loca.getUint16(i * 2) * 2;
+    }
+    return offsets;
+  }
+
+  /**
+   * Look up characters in the best Unicode subtable of a cmap
+   * Prefers a format 12 (full Unicode) subtable, then format 4 (BMP).
+   * @private
+   * @param {DataView} cmap - cmap table
+   * @param {number[]} codePoints - Code points to look up
+   * @returns {Map<number, number>} - Code point to glyph id, for code points the font maps
+   */
+  static _readCmap(cmap, codePoints) {
+    const numSubtables = cmap.getUint16(2);
+    let format4 = null;
+    let format12 = null;
+
+    for (let i = 0; i < numSubtables; i++) {
+      const platformId = cmap.getUint16(4 + i * 8);
+      const encodingId = cmap.getUint16(6 + i * 8);
+      const offset = cmap.getUint32(8 + i * 8);
+      const unicode = platformId === 0 || (platformId === 3 && (encodingId === 1 || encodingId === 10));
+      if (!unicode) continue;
+
+      const format = cmap.getUint16(offset);
+      if (format === 12) format12 = offset;
+      if (format === 4) format4 = offset;
+    }
+
+    const mapping = new Map();
+
+    if (format12 !== null) {
+      const numGroups = cmap.getUint32(format12 + 12);
+      for (let i = 0; i < numGroups; i++) {
+        const group = format12 + 16 + i * 12;
+        const start = cmap.getUint32(group);
+        const end = cmap.getUint32(group + 4);
+        const startGlyph = cmap.getUint32(group + 8);
+        codePoints.forEach(code => {
+          if (code >= start && code <= end && startGlyph + code - start !== 0) {
+            mapping.set(code, startGlyph + code - start);
+          }
+        });
+      }
+      return mapping;
+    }
+
+    if (format4 !== null) {
+      const segCount = cmap.getUint16(format4 + 6) / 2;
+      const endCodes = format4 + 14;
+      const startCodes = endCodes + segCount * 2 + 2;
+      const idDeltas = startCodes + segCount * 2;
+      const idRangeOffsets = idDeltas + segCount * 2;
+
+      for (let s = 0; s < segCount; s++) {
+        const end = cmap.getUint16(endCodes + s * 2);
+        const start = cmap.getUint16(startCodes + s * 2);
+        const delta = cmap.getInt16(idDeltas + s * 2);
+        const rangeOffset = cmap.getUint16(idRangeOffsets + s * 2);
+
+        for (const code of codePoints) {
+          if (code < start || code > end || code === 0xFFFF) continue;
+
+          let glyphId;
+          if (rangeOffset === 0) {
+            glyphId = (code + delta) & 0xFFFF;
+          } else {
+            const glyphIndex = idRangeOffsets + s * 2 + rangeOffset + (code - start) * 2;
+            glyphId = cmap.getUint16(glyphIndex);
+            if (glyphId !== 0) glyphId = (glyphId + delta) & 0xFFFF;
+          }
+          if (glyphId !== 0) mapping.set(code, glyphId);
+        }
+      }
+      return mapping;
+    }
+
+    throw new Error('Font has no Unicode character map');
+  }
+
+  /**
+   * Close a glyph set over composite glyph components
+   * @private
+   * @param {number[]} glyphIds - Directly used glyphs
+   * @param {DataView} glyf - glyf table
+   * @param {Uint32Array} offsets - Glyph offsets
+   * @returns {Set<number>}
+   */
+  static _collectGlyphs(glyphIds, glyf, offsets) {
+    const kept = new Set();
+    const pending = [...glyphIds];
+
+    while (pending.length > 0) {
+      const glyphId = pending.pop();
+      if (kept.has(glyphId) || glyphId >= offsets.length - 1) continue;
+      kept.add(glyphId);
+
+      const start = offsets[glyphId];
+      if (offsets[glyphId + 1] === start) continue; // empty glyph
+      if (glyf.getInt16(start) >= 0) continue; // simple glyph
+
+      // Walk the component records after the 10-byte glyph header
+      let position = start + 10;
+      let flags;
+      do {
+        flags = glyf.getUint16(position);
+        pending.push(glyf.getUint16(position + 2));
+        position += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+        if (flags & WE_HAVE_A_SCALE) position += 2;
+        else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) position += 4;
+        else if (flags & WE_HAVE_A_TWO_BY_TWO) position += 8;
+      } while (flags & MORE_COMPONENTS);
+    }
+
+    return kept;
+  }
+
+  /**
+   * Build glyf and long loca tables keeping only the given glyphs' outlines
+   * @private
+   * @param {DataView} glyf - Original glyf table
+   * @param {Uint32Array} offsets - Original glyph offsets
+   * @param {Set<number>} kept - Glyph ids to keep
+   * @returns {Object} - { glyfTable: Uint8Array, locaTable: Uint8Array }
+   */
+  static _writeGlyphs(glyf, offsets, kept) {
+    const numGlyphs = offsets.length - 1;
+    const source = new Uint8Array(glyf.buffer, glyf.byteOffset, glyf.byteLength);
+
+    let size = 0;
+    for (const glyphId of kept) {
+      size += this._pad4(offsets[glyphId + 1] - offsets[glyphId]);
+    }
+
+    const glyfTable = new Uint8Array(size);
+    const locaTable = new Uint8Array((numGlyphs + 1) * 4);
+    const loca = new DataView(locaTable.buffer);
+
+    let position = 0;
+    for (let glyphId = 0; glyphId < numGlyphs; glyphId++) {
+      loca.setUint32(glyphId * 4, position);
+      if (kept.has(glyphId)) {
+        const start = offsets[glyphId];
+        const end = offsets[glyphId + 1];
+        glyfTable.set(source.subarray(start, end), position);
+        position += this._pad4(end - start);
+      }
+    }
+    loca.setUint32(numGlyphs * 4, position);
+
+    return { glyfTable, locaTable };
+  }
+
+  /**
+   * Build a cmap with a single format 4 subtable for the kept characters
+   * @private
+   * @param {Map<number, number>} mapping - BMP code point to glyph id
+   * @returns {Uint8Array}
+   */
+  static _writeCmap(mapping) {
+    // One segment per character, plus the required 0xFFFF terminator
+    const codes = [...mapping.keys()].sort((a, b) => a - b);
+    const segCount = codes.length + 1;
+    const subtableLength = 16 + segCount * 8;
+
+    const table = new Uint8Array(12 + subtableLength);
+    const view = new DataView(table.buffer);
+
+    view.setUint16(0, 0); // version
+    view.setUint16(2, 1); // numTables
+    view.setUint16(4, 3); // platform: Windows
+    view.setUint16(6, 1); // encoding: Unicode BMP
+    view.setUint32(8, 12); // subtable offset
+
+    const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+    const subtable = 12;
+    view.setUint16(subtable, 4);
+    view.setUint16(subtable + 2, subtableLength);
+    view.setUint16(subtable + 4, 0); // language
+    view.setUint16(subtable + 6, segCount * 2);
+    view.setUint16(subtable + 8, searchRange);
+    view.setUint16(subtable + 10, Math.log2(searchRange / 2));
+    view.setUint16(subtable + 12, segCount * 2 - searchRange);
+
+    const endCodes = subtable + 14;
+    const startCodes = endCodes + segCount * 2 + 2; // after reservedPad
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    [...codes, 0xFFFF].forEach((code, s) => {
+      const glyphId = code === 0xFFFF ? 0 : mapping.get(code);
+      view.setUint16(endCodes + s * 2, code);
+      view.setUint16(startCodes + s * 2, code);
+      view.setUint16(idDeltas + s * 2, (glyphId - code + 0x10000) & 0xFFFF);
+      view.setUint16(idRangeOffsets + s * 2, 0);
+    });
+
+    return table;
+  }
+
+  /**
+   * Reduce post to format 3 (no glyph names)
+   * @private
+   * @param {DataView} post - Original post table
+   * @returns {Uint8Array}
+   */
+  static _writePost(post) {
+    const table = this._copy(new DataView(post.buffer, post.byteOffset, 32));
+    new DataView(table.buffer).setUint32(0, 0x00030000);
+    return table;
+  }
+
+  /**
+   * Write the font file: offset table, table directory and 4-byte aligned tables
+   * @private
+   * @param {Map<string, Uint8Array>} tables - Table tag to contents
+   * @returns {Uint8Array}
+   */
+  static _assemble(tables) {
+    const tags = [...tables.keys()].sort();
+    const numTables = tags.length;
+    const headerSize = 12 + numTables * 16;
+
+    let size = headerSize;
+    tags.forEach(tag => { size += this._pad4(tables.get(tag).length); });
+
+    const font = new Uint8Array(size);
+    const view = new DataView(font.buffer);
+
+    const entrySelector = Math.floor(Math.log2(numTables));
+    const searchRange = 2 ** entrySelector * 16;
+    view.setUint32(0, TRUETYPE_VERSION);
+    view.setUint16(4, numTables);
+    view.setUint16(6, searchRange);
+    view.setUint16(8, entrySelector);
+    view.setUint16(10, numTables * 16 - searchRange);
+
+    let offset = headerSize;
+    let headOffset = 0;
+    tags.forEach((tag, i) => {
+      const data = tables.get(tag);
+      const record = 12 + i * 16;
+      for (let c = 0; c < 4; c++) {
+        view.setUint8(record + c, tag.charCodeAt(c));
+      }
+      view.setUint32(record + 4, this._checksum(data));
+      view.setUint32(record + 8, offset);
+      view.setUint32(record + 12, data.length);
+      font.set(data, offset);
+      if (tag === 'head') headOffset = offset;
+      offset += this._pad4(data.length);
+    });
+
+    // Whole-font checksum adjustment stored in head
+    view.setUint32(headOffset + 8, (0xB1B0AFBA - this._checksum(font)) >>> 0);
+
+    return font;
+  }
+
+  /**
+   * Sum of big-endian 32-bit words, zero padded
+   * @private
+   * @param {Uint8Array} data
+   * @returns {number}
+   */
+  static _checksum(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      const word = (data[i] << 24) | ((data[i + 1] || 0) << 16) | ((data[i + 2] || 0) << 8) | (data[i + 3] || 0);
+      sum = (sum + (word >>> 0)) >>> 0;
+    }
+    return sum;
+  }
+
+  /**
+   * Copy a table into its own buffer
+   * @private
+   * @param {DataView} view
+   * @returns {Uint8Array}
+   */
+  static _copy(view) {
+    return new Uint8Array(view.buffer, view.byteOffset, view.byteLength).slice();
+  }
+
+  /**
+   * Round a length up to a multiple of 4
+   * @private
+   * @param {number} length
+   * @returns {number}
+   */
+  static _pad4(length) {
+    return (length + 3) & ~3;
+  }
+}
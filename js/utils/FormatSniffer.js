@@ -0,0 +1,248 @@
+/**
+ * FormatSniffer - Identifies image, video and other files from their first bytes
+ * Browsers report MIME types from the file extension, and often report nothing
+ * for containers like MKV or FLV, so routing goes by the file header instead.
+ */
+
+// Bytes read from the start of a file; enough for every signature below
+const HEADER_SIZE = 4096;
+
+const MPEG_TS_PACKET_SIZE = 188;
+const M2TS_PACKET_SIZE = 192;
+const MPEG_TS_SYNC_BYTE = 0x47;
+
+const ASF_GUID = [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11];
+
+// Known formats. 'kind' is 'image', 'video', 'audio' or 'other'.
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', label: 'JPEG', kind: 'image' },
+  png: { mimeType: 'image/png', label: 'PNG', kind: 'image' },
+  gif: { mimeType: 'image/gif', label: 'GIF', kind: 'image' },
+  webp: { mimeType: 'image/webp', label: 'WebP', kind: 'image' },
+  bmp: { mimeType: 'image/bmp', label: 'BMP', kind: 'image' },
+  tiff: { mimeType: 'image/tiff', label: 'TIFF', kind: 'image' },
+  avif: { mimeType: 'image/avif', label: 'AVIF', kind: 'image' },
+  heic: { mimeType: 'image/heic', label: 'HEIC', kind: 'image' },
+  psd: { mimeType: 'image/vnd.adobe.photoshop', label: 'Photoshop (PSD)', kind: 'image' },
+  mp4: { mimeType: 'video/mp4', label: 'MP4', kind: 'video' },
+  mov: { mimeType: 'video/quicktime', label: 'MOV', kind: 'video' },
+  '3gp': { mimeType: 'video/3gpp', label: '3GP', kind: 'video' },
+  webm: { mimeType: 'video/webm', label: 'WebM', kind: 'video' },
+  mkv: { mimeType: 'video/x-matroska', label: 'MKV', kind: 'video' },
+  avi: { mimeType: 'video/x-msvideo', label: 'AVI', kind: 'video' },
+  flv: { mimeType: 'video/x-flv', label: 'FLV', kind: 'video' },
+  ts: { mimeType: 'video/mp2t', label: 'MPEG-TS', kind: 'video' },
+  mpeg: { mimeType: 'video/mpeg', label: 'MPEG', kind: 'video' },
+  ogv: { mimeType: 'video/ogg', label: 'Ogg', kind: 'video' },
+  asf: { mimeType: 'video/x-ms-asf', label: 'WMV / ASF', kind: 'video' },
+  mp3: { mimeType: 'audio/mpeg', label: 'MP3', kind: 'audio' },
+  m4a: { mimeType: 'audio/mp4', label: 'M4A', kind: 'audio' },
+  wav: { mimeType: 'audio/wav', label: 'WAV', kind: 'audio' },
+  flac: { mimeType: 'audio/flac', label: 'FLAC', kind: 'audio' },
+  oga: { mimeType: 'audio/ogg', label: 'Ogg', kind: 'audio' },
+  pdf: { mimeType: 'application/pdf', label: 'PDF', kind: 'other' },
+  zip: { mimeType: 'application/zip', label: 'ZIP', kind: 'other' },
+  gzip: { mimeType: 'application/gzip', label: 'gzip archive', kind: 'other' }
+};
+
+// ISO base media brands that are still images rather than video
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Top-level QuickTime atoms found at the start of files written without an ftyp atom
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+export default class FormatSniffer {
+  /**
+   * Identify a file from its header
+   * @param {Uint8Array} bytes - The file's first bytes; the first 4 KiB are enough
+   * @returns {Object|null} - { id, mimeType, label, kind }, or null if no signature matches
+   */
+  static detect(bytes) {
+    const id = this._detectId(bytes);
+    return id ? this.getFormat(id) : null;
+  }
+
+  /**
+   * Read a file's header and identify it
+   * @param {Blob} file
+   * @returns {Promise<Object|null>} - As for detect()
+   */
+  static async detectFile(file) {
+    const bytes = new Uint8Array(await file.slice(0, HEADER_SIZE).arrayBuffer());
+    return this.detect(bytes);
+  }
+
+  /**
+   * Look up a format by id
+   * @param {string} id - Key of the format table, e.g. 'mkv'
+   * @returns {Object|null} - { id, mimeType, label, kind }
+   */
+  static getFormat(id) {
+    return FORMATS[id] ? { id, ...FORMATS[id] } : null;
+  }
+
+  /**
+   * Look up a format by MIME type
+   * @param {string} mimeType
+   * @returns {Object|null} - { id, mimeType, label, kind }
+   */
+  static fromMimeType(mimeType) {
+    const id = Object.keys(FORMATS).find(key => FORMATS[key].mimeType === mimeType);
+    return id ? this.getFormat(id) : null;
+  }
+
+  /**
+   * Short display name for a MIME type
+   * @param {string} mimeType
+   * @returns {string} - e.g. 'MKV' for video/x-matroska
+   */
+  static getLabel(mimeType) {
+    return this.fromMimeType(mimeType)?.label || mimeType.split('/')[1].toUpperCase();
+  }
+
+  /**
+   * Match the header against each signature
+   * @private
+   * @param {Uint8Array} bytes
+   * @returns {string|null} - Format id
+   */
+  static _detectId(bytes) {
+    if (this._matches(bytes, 0, [0xff, 0xd8, 0xff])) return 'jpeg';
+    if (this._matches(bytes, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (this._matches(bytes, 0, 'GIF87a') || this._matches(bytes, 0, 'GIF89a')) return 'gif';
+
+    if (this._matches(bytes, 0, 'RIFF')) {
+      if (this._matches(bytes, 8, 'WEBP')) return 'webp';
+      if (this._matches(bytes, 8, 'AVI ')) return 'avi';
+      if (this._matches(bytes, 8, 'WAVE')) return 'wav';
+      return null;
+    }
+
+    if (this._matches(bytes, 4, 'ftyp')) return this._detectIsoBrand(bytes);
+    if (QUICKTIME_ATOMS.some(atom => this._matches(bytes, 4, atom))) return 'mov';
+
+    if (this._matches(bytes, 0, [0x1a, 0x45, 0xdf, 0xa3])) {
+      // EBML header; the DocType says which Matroska profile this is
+      return this._indexOf(bytes, 'webm', 64) >= 0 ? 'webm' : 'mkv';
+    }
+
+    if (this._matches(bytes, 0, 'FLV') && bytes[3] === 0x01) return 'flv';
+    if (this._matches(bytes, 0, ASF_GUID)) return 'asf';
+
+    if (this._matches(bytes, 0, 'OggS')) {
+      // Every stream starts with a page holding its codec header, before any data pages
+      const video = ['\x80theora', 'OVP80', 'BBCD'].some(tag => this._indexOf(bytes, tag, bytes.length) >= 0);
+      return video ? 'ogv' : 'oga';
+    }
+
+    if (this._isMpegTs(bytes, 0, MPEG_TS_PACKET_SIZE) || this._isMpegTs(bytes, 4, M2TS_PACKET_SIZE)) return 'ts';
+
+    // Pack header (program stream) or sequence header (elementary stream)
+    if (this._matches(bytes, 0, [0x00, 0x00, 0x01, 0xba]) || this._matches(bytes, 0, [0x00, 0x00, 0x01, 0xb3])) {
+      return 'mpeg';
+    }
+
+    if (this._matches(bytes, 0, 'II*\0') || this._matches(bytes, 0, 'MM\0*')) return 'tiff';
+    // BMP's two-byte signature is followed by a file size and two reserved zero words
+    if (this._matches(bytes, 0, 'BM') && this._matches(bytes, 6, [0, 0, 0, 0])) return 'bmp';
+    if (this._matches(bytes, 0, '8BPS')) return 'psd';
+
+    if (this._matches(bytes, 0, 'fLaC')) return 'flac';
+    // ID3 tag, or an MPEG audio frame sync
+    if (this._matches(bytes, 0, 'ID3') || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) return 'mp3';
+
+    if (this._matches(bytes, 0, '%PDF')) return 'pdf';
+    if (this._matches(bytes, 0, [0x50, 0x4b, 0x03, 0x04])) return 'zip';
+    if (this._matches(bytes, 0, [0x1f, 0x8b])) return 'gzip';
+
+    return null;
+  }
+
+  /**
+   * Tell ISO base media files apart by their brands
+   * @private
+   * @param {Uint8Array} bytes - Header starting with an ftyp box
+   * @returns {string} - Format id
+   */
+  static _detectIsoBrand(bytes) {
+    const size = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+    const brandsEnd = Math.min(size, bytes.length);
+    const majorBrand = this._readTag(bytes, 8);
+
+    // Major brand, then minor version, then the compatible brands
+    const brands = [majorBrand];
+    for (let offset = 16; offset + 4 <= brandsEnd; offset += 4) {
+      brands.push(this._readTag(bytes, offset));
+    }
+
+    if (majorBrand === 'qt  ') return 'mov';
+    if (majorBrand.startsWith('3g')) return '3gp';
+    if (majorBrand === 'M4A ' || majorBrand === 'M4B ') return 'm4a';
+    if (AVIF_BRANDS.includes(majorBrand)) return 'avif';
+    if (HEIF_BRANDS.includes(majorBrand)) {
+      return brands.some(brand => AVIF_BRANDS.includes(brand)) ? 'avif' : 'heic';
+    }
+    return 'mp4';
+  }
+
+  /**
+   * Check for MPEG transport stream sync bytes at a fixed packet size
+   * @private
+   * @param {Uint8Array} bytes
+   * @param {number} offset - Offset of the first sync byte
+   * @param {number} packetSize - Bytes per packet
+   * @returns {boolean}
+   */
+  static _isMpegTs(bytes, offset, packetSize) {
+    // A single 0x47 is too common to go on; require three packets in a row
+    for (let i = 0; i < 3; i++) {
+      if (bytes[offset + i * packetSize] !== MPEG_TS_SYNC_BYTE) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check for a byte or ASCII signature at an offset
+   * @private
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @param {number[]|string} signature
+   * @returns {boolean}
+   */
+  static _matches(bytes, offset, signature) {
+    if (offset + signature.length > bytes.length) return false;
+    for (let i = 0; i < signature.length; i++) {
+      const expected = typeof signature === 'string' ? signature.charCodeAt(i) : signature[i];
+      if (bytes[offset + i] !== expected) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find an ASCII tag near the start of the header
+   * @private
+   * @param {Uint8Array} bytes
+   * @param {string} tag
+   * @param {number} limit - Bytes to search
+   * @returns {number} - Offset, or -1
+   */
+  static _indexOf(bytes, tag, limit) {
+    const end = Math.min(limit, bytes.length) - tag.length;
+    for (let offset = 0; offset <= end; offset++) {
+      if (this._matches(bytes, offset, tag)) return offset;
+    }
+    return -1;
+  }
+
+  /**
+   * Read four bytes as an ASCII tag
+   * @private
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @returns {string}
+   */
+  static _readTag(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  }
+}
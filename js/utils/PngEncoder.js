@@ -0,0 +1,116 @@
+/**
+ * PngEncoder - Streaming PNG encoder
+ * Rows are filtered and deflated as they arrive, so images larger than any single
+ * canvas can be written band by band. Compression uses the browser's zlib stream.
+ */
+import PngMetadata from './PngMetadata.js';
+import Compression from './Compression.js';
+
+const SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// IDAT chunks are split at this size so decoders can stream them
+const IDAT_CHUNK_SIZE = 0x100000;
+
+const INCHES_PER_METER = 39.3701;
+
+export default class PngEncoder {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Width in pixels
+   * @param {number} options.height - Height in pixels
+   * @param {boolean} [options.alpha=false] - Keep the alpha channel (RGBA) instead of RGB
+   * @param {number|null} [options.dpi=null] - Pixel density written as a pHYs chunk
+   */
+  constructor({ width, height, alpha = false, dpi = null }) {
+    this.width = width;
+    this.height = height;
+    this.alpha = alpha;
+    this.dpi = dpi;
+
+    this.channels = alpha ? 4 : 3;
+    this.rowsWritten = 0;
+    this.compressor = Compression.createCompressor('deflate');
+  }
+
+  /**
+   * Append rows of pixels, top to bottom
+   * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixels, width * rows * 4 bytes
+   * @param {number} rows - Number of rows
+   * @returns {Promise<void>}
+   */
+  async addRows(pixels, rows) {
+    if (this.rowsWritten + rows > this.height) {
+      throw new Error(`PNG has ${this.height} rows; cannot add ${rows} more after ${this.rowsWritten}`);
+    }
+
+    const { width, channels } = this;
+    const stride = width * channels + 1;
+    const filtered = new Uint8Array(stride * rows);
+
+    for (let y = 0; y < rows; y++) {
+      const out = y * stride;
+      let source = y * width * 4;
+
+      // Sub filter: each byte minus the same channel of the pixel to its left
+      filtered[out] = 1;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let x = 0, i = out + 1; x < width; x++, source += 4) {
+        filtered[i++] = pixels[source] - r;
+        filtered[i++] = pixels[source + 1] - g;
+        filtered[i++] = pixels[source + 2] - b;
+        r = pixels[source];
+        g = pixels[source + 1];
+        b = pixels[source + 2];
+        if (channels === 4) {
+          filtered[i++] = pixels[source + 3] - a;
+          a = pixels[source + 3];
+        }
+      }
+    }
+
+    await this.compressor.write(filtered);
+    this.rowsWritten += rows;
+  }
+
+  /**
+   * Finish the image
+   * @returns {Promise<Blob>}
+   */
+  async finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error(`PNG expects ${this.height} rows but got ${this.rowsWritten}`);
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, this.width);
+    view.setUint32(4, this.height);
+    header[8] = 8;                      // Bit depth
+    header[9] = this.alpha ? 6 : 2;     // Color type: RGBA or RGB
+    // Compression, filter and interlace methods are all 0
+
+    const parts = [SIGNATURE, PngMetadata.createChunk('IHDR', header)];
+
+    if (this.dpi) {
+      const physical = new Uint8Array(9);
+      const physicalView = new DataView(physical.buffer);
+      const pixelsPerMeter = Math.round(this.dpi * INCHES_PER_METER);
+      physicalView.setUint32(0, pixelsPerMeter);
+      physicalView.setUint32(4, pixelsPerMeter);
+      physical[8] = 1; // Unit: meter
+      parts.push(PngMetadata.createChunk('pHYs', physical));
+    }
+
+    const data = await this.compressor.finish();
+    for (let offset = 0; offset < data.length; offset += IDAT_CHUNK_SIZE) {
+      parts.push(PngMetadata.createChunk('IDAT', data.subarray(offset, offset + IDAT_CHUNK_SIZE)));
+    }
+
+    parts.push(PngMetadata.createChunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: 'image/png' });
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * PngMetadata - Reading and inserting PNG chunks
+ * Used to embed text metadata (tEXt / iTXt) in exported PNGs and read it back.
+ * Image data is never decoded or re-encoded.
+ */
+import Crc32 from './Crc32.js';
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export default class PngMetadata {
+  /**
+   * Check for the PNG signature
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  static isPng(bytes) {
+    return bytes.length >= SIGNATURE.length && SIGNATURE.every((value, i) => bytes[i] === value);
+  }
+
+  /**
+   * Split a PNG into its chunks
+   * @param {Uint8Array} bytes - PNG file
+   * @returns {Object[]} - { type, data } in file order
+   * @throws {Error} If the file is not a well-formed PNG
+   */
+  static readChunks(bytes) {
+    if (!this.isPng(bytes)) {
+      throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = SIGNATURE.length;
+
+    while (offset + 12 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      if (offset + 12 + length > bytes.length) {
+        throw new Error(`Truncated PNG chunk ${type}`);
+      }
+
+      chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+      offset += 12 + length;
+
+      if (type === 'IEND') break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Insert chunks right after IHDR, where both metadata and pre-IDAT chunks are valid
+   * @param {Uint8Array} bytes - PNG file
+   * @param {Uint8Array[]} chunks - Encoded chunks from createChunk()
+   * @returns {Uint8Array} - New PNG file
+   */
+  static insertChunks(bytes, chunks) {
+    if (!this.isPng(bytes)) {
+      throw new Error('Not a PNG file');
+    }
+
+    // IHDR is always first: signature, then length, type, 13 data bytes and CRC
+    const ihdrEnd = SIGNATURE.length + 12 + 13;
+    const insertedLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    const output = new Uint8Array(bytes.length + insertedLength);
+    output.set(bytes.subarray(0, ihdrEnd), 0);
+
+    let offset = ihdrEnd;
+    for (const chunk of chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    output.set(bytes.subarray(ihdrEnd), offset);
+
+    return output;
+  }
+
+  /**
+   * Encode a chunk with its length and CRC
+   * @param {string} type - Four-letter chunk type
+   * @param {Uint8Array} data - Chunk data
+   * @returns {Uint8Array}
+   */
+  static createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+      chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, Crc32.compute(chunk.subarray(4, 8 + data.length)));
+
+    return chunk;
+  }
+
+  /**
+   * Encode a Latin-1 tEXt chunk
+   * @param {string} keyword - 1-79 Latin-1 characters
+   * @param {string} text - Latin-1 text
+   * @returns {Uint8Array}
+   */
+  static createTextChunk(keyword, text) {
+    const latin1 = `${this._checkKeyword(keyword)}\0${text}`;
+    return this.createChunk('tEXt', Uint8Array.from(latin1, char => char.charCodeAt(0) & 0xff));
+  }
+
+  /**
+   * Encode an uncompressed UTF-8 iTXt chunk
+   * @param {string} keyword - 1-79 Latin-1 characters
+   * @param {string} text - Any Unicode text
+   * @returns {Uint8Array}
+   */
+  static createInternationalTextChunk(keyword, text) {
+    const encoder = new TextEncoder();
+    const header = encoder.encode(this._checkKeyword(keyword));
+    const body = encoder.encode(text);
+
+    // keyword \0, compression flag, compression method, empty language tag \0, empty translated keyword \0
+    const data = new Uint8Array(header.length + 5 + body.length);
+    data.set(header, 0);
+    data.set(body, header.length + 5);
+
+    return this.createChunk('iTXt', data);
+  }
+
+  /**
+   * Read the text entries of a PNG
+   * Compressed iTXt and zTXt entries are skipped.
+   * @param {Uint8Array} bytes - PNG file
+   * @returns {Map<string, string>} - Keyword to text
+   */
+  static readText(bytes) {
+    const entries = new Map();
+    const latin1 = new TextDecoder('latin1');
+    const utf8 = new TextDecoder();
+
+    for (const { type, data } of this.readChunks(bytes)) {
+      const separator = data.indexOf(0);
+      if (separator < 1) continue;
+      const keyword = latin1.decode(data.subarray(0, separator));
+
+      if (type === 'tEXt') {
+        entries.set(keyword, latin1.decode(data.subarray(separator + 1)));
+      } else if (type === 'iTXt' && data[separator + 1] === 0) {
+        // Skip the compression method, language tag and translated keyword
+        const languageEnd = data.indexOf(0, separator + 3);
+        const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+        if (translatedEnd === -1) continue;
+        entries.set(keyword, utf8.decode(data.subarray(translatedEnd + 1)));
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Validate a chunk keyword
+   * @private
+   * @param {string} keyword
+   * @returns {string}
+   * @throws {Error} If the keyword is empty, too long or not Latin-1
+   */
+  static _checkKeyword(keyword) {
+    if (!/^[\x20-\x7e\xa1-\xff]{1,79}$/.test(keyword)) {
+      throw new Error(`Invalid PNG text keyword "${keyword}"`);
+    }
+    return keyword;
+  }
+}
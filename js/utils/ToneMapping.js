@@ -0,0 +1,276 @@
+/**
+ * ToneMapping - Contrast preprocessing for brightness grids
+ * Spreads per-cell brightness over the full 0-255 range before character mapping,
+ * so low-contrast images use the whole character ramp.
+ *
+ * Modes:
+ * - none: values are returned unchanged
+ * - autolevels: linear stretch between low/high percentiles
+ * - equalize: global histogram equalization
+ * - clahe: contrast-limited adaptive histogram equalization over a grid of tiles
+ *
+ * A precomputed histogram (e.g. merged over sampled video frames) keeps the mapping
+ * identical across frames; CLAHE then becomes clip-limited global equalization,
+ * since per-tile histograms cannot be shared between frames.
+ */
+import config from '../config.js';
+
+export default class ToneMapping {
+  /**
+   * Apply a tone mapping mode to a brightness grid
+   * @param {ArrayLike<number>} values - Brightness values (0-255), row-major
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {Object} options
+   * @param {string} options.mode - 'none', 'autolevels', 'equalize' or 'clahe'
+   * @param {number} options.clipPercent - Percent of values clipped at each end (autolevels)
+   * @param {number} options.clipLimit - Histogram clip limit as a multiple of the mean bin (clahe)
+   * @param {number} options.tiles - Tiles per axis (clahe)
+   * @param {ArrayLike<number>|null} options.histogram - Fixed 256-bin histogram to map with
+   * @returns {ArrayLike<number>} - Mapped brightness values (0-255)
+   */
+  static apply(values, width, height, {
+    mode = config.ascii.toneMapping.defaultMode,
+    clipPercent = config.ascii.toneMapping.defaultClipPercent,
+    clipLimit = config.ascii.toneMapping.defaultClaheClipLimit,
+    tiles = config.ascii.toneMapping.claheTiles,
+    histogram = null
+  } = {}) {
+    switch (mode) {
+      case 'none':
+        return values;
+
+      case 'autolevels':
+        return this._mapWithLut(values, this.autoLevelsLut(histogram || this.histogram(values), clipPercent));
+
+      case 'equalize':
+        return this._mapWithLut(values, this.equalizeLut(histogram || this.histogram(values)));
+
+      case 'clahe':
+        if (histogram) {
+          return this._mapWithLut(values, this.equalizeLut(this.clipHistogram(histogram, clipLimit)));
+        }
+        return this._clahe(values, width, height, clipLimit, tiles);
+
+      default:
+        throw new Error(`Unknown tone mapping mode "${mode}"`);
+    }
+  }
+
+  /**
+   * Build a 256-bin histogram of brightness values
+   * @param {ArrayLike<number>} values - Brightness values (0-255)
+   * @param {number} start - First index (inclusive)
+   * @param {number} end - Last index (exclusive)
+   * @returns {Uint32Array}
+   */
+  static histogram(values, start = 0, end = values.length) {
+    const histogram = new Uint32Array(256);
+    for (let i = start; i < end; i++) {
+      histogram[this._bin(values[i])]++;
+    }
+    return histogram;
+  }
+
+  /**
+   * Sum histograms bin by bin
+   * @param {ArrayLike<number>[]} histograms - 256-bin histograms
+   * @returns {Uint32Array}
+   */
+  static mergeHistograms(histograms) {
+    const merged = new Uint32Array(256);
+    histograms.forEach(histogram => {
+      for (let i = 0; i < 256; i++) {
+        merged[i] += histogram[i];
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Lookup table stretching the range between two percentiles to 0-255
+   * @param {ArrayLike<number>} histogram - 256-bin histogram
+   * @param {number} clipPercent - Percent of values clipped at each end
+   * @returns {Float32Array}
+   */
+  static autoLevelsLut(histogram, clipPercent) {
+    const total = this._total(histogram);
+    const clipCount = total * clipPercent / 100;
+
+    let low = 0;
+    for (let seen = 0; low < 255; low++) {
+      seen += histogram[low];
+      if (seen > clipCount) break;
+    }
+
+    let high = 255;
+    for (let seen = 0; high > 0; high--) {
+      seen += histogram[high];
+      if (seen > clipCount) break;
+    }
+
+    const lut = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      lut[i] = high > low
+        ? Math.min(255, Math.max(0, (i - low) / (high - low) * 255))
+        : i;
+    }
+    return lut;
+  }
+
+  /**
+   * Lookup table mapping values through the normalized cumulative histogram
+   * @param {ArrayLike<number>} histogram - 256-bin histogram
+   * @returns {Float32Array}
+   */
+  static equalizeLut(histogram) {
+    const total = this._total(histogram);
+    const lut = new Float32Array(256);
+
+    let cdfMin = 0;
+    for (let i = 0; i < 256; i++) {
+      if (histogram[i] > 0) {
+        cdfMin = histogram[i];
+        break;
+      }
+    }
+
+    // A single occupied bin has nothing to spread
+    if (total - cdfMin <= 0) {
+      for (let i = 0; i < 256; i++) lut[i] = i;
+      return lut;
+    }
+
+    let cdf = 0;
+    for (let i = 0; i < 256; i++) {
+      cdf += histogram[i];
+      lut[i] = Math.max(0, (cdf - cdfMin) / (total - cdfMin) * 255);
+    }
+    return lut;
+  }
+
+  /**
+   * Clip histogram bins and redistribute the excess evenly over all bins
+   * @param {ArrayLike<number>} histogram - 256-bin histogram
+   * @param {number} clipLimit - Clip limit as a multiple of the mean bin count
+   * @returns {Float32Array}
+   */
+  static clipHistogram(histogram, clipLimit) {
+    const limit = Math.max(1, clipLimit * this._total(histogram) / 256);
+    const clipped = new Float32Array(256);
+
+    let excess = 0;
+    for (let i = 0; i < 256; i++) {
+      excess += Math.max(0, histogram[i] - limit);
+      clipped[i] = Math.min(histogram[i], limit);
+    }
+
+    const share = excess / 256;
+    for (let i = 0; i < 256; i++) {
+      clipped[i] += share;
+    }
+    return clipped;
+  }
+
+  /**
+   * Contrast-limited adaptive histogram equalization
+   * Each tile gets its own clipped equalization table; values are mapped by
+   * bilinear interpolation between the tables of the surrounding tile centers.
+   * @private
+   * @param {ArrayLike<number>} values - Brightness values (0-255)
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {number} clipLimit - Clip limit as a multiple of the mean bin count
+   * @param {number} tiles - Tiles per axis
+   * @returns {Float32Array}
+   */
+  static _clahe(values, width, height, clipLimit, tiles) {
+    const tilesX = Math.max(1, Math.min(tiles, width));
+    const tilesY = Math.max(1, Math.min(tiles, height));
+    const tileWidth = width / tilesX;
+    const tileHeight = height / tilesY;
+
+    // Per-tile lookup tables
+    const luts = [];
+    for (let ty = 0; ty < tilesY; ty++) {
+      const y0 = Math.floor(ty * tileHeight);
+      const y1 = Math.floor((ty + 1) * tileHeight);
+
+      for (let tx = 0; tx < tilesX; tx++) {
+        const x0 = Math.floor(tx * tileWidth);
+        const x1 = Math.floor((tx + 1) * tileWidth);
+
+        const histogram = new Uint32Array(256);
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            histogram[this._bin(values[y * width + x])]++;
+          }
+        }
+
+        luts.push(this.equalizeLut(this.clipHistogram(histogram, clipLimit)));
+      }
+    }
+
+    const mapped = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const fy = (y + 0.5) / tileHeight - 0.5;
+      const ty0 = Math.min(Math.max(Math.floor(fy), 0), tilesY - 1);
+      const ty1 = Math.min(ty0 + 1, tilesY - 1);
+      const ay = Math.min(Math.max(fy - ty0, 0), 1);
+
+      for (let x = 0; x < width; x++) {
+        const fx = (x + 0.5) / tileWidth - 0.5;
+        const tx0 = Math.min(Math.max(Math.floor(fx), 0), tilesX - 1);
+        const tx1 = Math.min(tx0 + 1, tilesX - 1);
+        const ax = Math.min(Math.max(fx - tx0, 0), 1);
+
+        const bin = this._bin(values[y * width + x]);
+        const top = luts[ty0 * tilesX + tx0][bin] * (1 - ax) + luts[ty0 * tilesX + tx1][bin] * ax;
+        const bottom = luts[ty1 * tilesX + tx0][bin] * (1 - ax) + luts[ty1 * tilesX + tx1][bin] * ax;
+        mapped[y * width + x] = top * (1 - ay) + bottom * ay;
+      }
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Map every value through a lookup table
+   * @private
+   * @param {ArrayLike<number>} values - Brightness values (0-255)
+   * @param {Float32Array} lut - 256-entry lookup table
+   * @returns {Float32Array}
+   */
+  static _mapWithLut(values, lut) {
+    const mapped = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      mapped[i] = lut[this._bin(values[i])];
+    }
+    return mapped;
+  }
+
+  /**
+   * Histogram bin of a brightness value
+   * @private
+   * @param {number} value - Brightness (0-255)
+   * @returns {number}
+   */
+  static _bin(value) {
+    return Math.min(255, Math.max(0, Math.round(value)));
+  }
+
+  /**
+   * Total count of a histogram
+   * @private
+   * @param {ArrayLike<number>} histogram
+   * @returns {number}
+   */
+  static _total(histogram) {
+    let total = 0;
+    for (let i = 0; i < 256; i++) {
+      total += histogram[i];
+    }
+    return total;
+  }
+}
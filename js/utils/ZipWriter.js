@@ -0,0 +1,165 @@
+/**
+ * ZipWriter - Builds a ZIP archive in memory
+ * Entries are deflated with the browser's compression streams, or stored as-is
+ * when that doesn't make them smaller (PNGs are already compressed). Names are
+ * UTF-8. ZIP64 is not written, so archives stay under 4 GiB and 65535 entries.
+ */
+import Compression from './Compression.js';
+import Crc32 from './Crc32.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flag: names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Version 2.0, the first with deflate and folders
+const VERSION = 20;
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+export default class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.names = new Set();
+    this.offset = 0;
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive, '/'-separated
+   * @param {Blob|Uint8Array|string} data - File contents
+   * @param {Object} [options]
+   * @param {boolean} [options.compress=true] - Try deflating the contents
+   * @param {Date} [options.modified] - Modification time
+   * @returns {Promise<void>}
+   * @throws {Error} If the name is already used or the archive would be too large
+   */
+  async add(name, data, { compress = true, modified = new Date() } = {}) {
+    if (this.names.has(name)) {
+      throw new Error(`ZIP already has an entry named "${name}"`);
+    }
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} entries`);
+    }
+
+    let bytes;
+    if (typeof data === 'string') {
+      bytes = this.encoder.encode(data);
+    } else if (data instanceof Uint8Array) {
+      bytes = data;
+    } else {
+      bytes = new Uint8Array(await data.arrayBuffer());
+    }
+
+    let method = METHOD_STORE;
+    let stored = bytes;
+    if (compress && bytes.length > 0) {
+      const deflated = await Compression.compress(bytes, 'deflate-raw');
+      if (deflated.length < bytes.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    if (bytes.length > MAX_SIZE || this.offset + stored.length > MAX_SIZE) {
+      throw new Error('ZIP archive is too large; ZIP64 is not supported');
+    }
+
+    const entry = {
+      name: this.encoder.encode(name),
+      method,
+      crc: Crc32.compute(bytes),
+      compressedSize: stored.length,
+      size: bytes.length,
+      ...this._dosDateTime(modified),
+      offset: this.offset
+    };
+
+    const header = new Uint8Array(30 + entry.name.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    this._writeCommonFields(view, 4, entry);
+    header.set(entry.name, 30);
+
+    this.parts.push(header, stored);
+    this.offset += header.length + stored.length;
+    this.entries.push(entry);
+    this.names.add(name);
+  }
+
+  /**
+   * Finish the archive with its central directory
+   * @returns {Blob}
+   */
+  toBlob() {
+    const directory = [];
+    let directorySize = 0;
+
+    for (const entry of this.entries) {
+      const header = new Uint8Array(46 + entry.name.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+      view.setUint16(4, VERSION, true); // Version made by
+      this._writeCommonFields(view, 6, entry);
+      // Comment length, disk number, internal and external attributes stay 0
+      view.setUint32(42, entry.offset, true);
+      header.set(entry.name, 46);
+
+      directory.push(header);
+      directorySize += header.length;
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(8, this.entries.length, true);
+    view.setUint16(10, this.entries.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, this.offset, true);
+
+    return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  /**
+   * Fields shared by local and central headers, from "version needed" to "extra field length"
+   * @private
+   * @param {DataView} view - Header
+   * @param {number} position - Offset of the "version needed" field
+   * @param {Object} entry - Entry record
+   */
+  _writeCommonFields(view, position, entry) {
+    view.setUint16(position, VERSION, true);
+    view.setUint16(position + 2, FLAG_UTF8, true);
+    view.setUint16(position + 4, entry.method, true);
+    view.setUint16(position + 6, entry.time, true);
+    view.setUint16(position + 8, entry.date, true);
+    view.setUint32(position + 10, entry.crc, true);
+    view.setUint32(position + 14, entry.compressedSize, true);
+    view.setUint32(position + 18, entry.size, true);
+    view.setUint16(position + 22, entry.name.length, true);
+    view.setUint16(position + 24, 0, true);
+  }
+
+  /**
+   * MS-DOS date and time, in local time with two-second precision
+   * @private
+   * @param {Date} date
+   * @returns {Object} - { date, time }
+   */
+  _dosDateTime(date) {
+    // DOS dates start in 1980
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+    };
+  }
+}
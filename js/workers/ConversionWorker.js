@@ -0,0 +1,40 @@
+/**
+ * ConversionWorker - Runs registered converters off the main thread
+ * Receives a transferred RGBA buffer and returns { chars, colors, width, height }
+ */
+import ConverterRegistry from '../converters/ConverterRegistry.js';
+
+const converters = new Map();
+
+/**
+ * Get (or lazily create) a converter instance by name
+ * @param {string} name - Converter identifier
+ * @returns {BaseConverter}
+ */
+function getConverter(name) {
+  if (!converters.has(name)) {
+    const ConverterClass = ConverterRegistry[name];
+    if (!ConverterClass) {
+      throw new Error(`Converter "${name}" not found`);
+    }
+    converters.set(name, new ConverterClass());
+  }
+  return converters.get(name);
+}
+
+self.onmessage = (event) => {
+  const { id, converter, width, height, buffer, options } = event.data;
+
+  try {
+    // Converters only read width, height and data, so a plain object stands in for ImageData
+    const imageData = { width, height, data: new Uint8ClampedArray(buffer) };
+    const instance = getConverter(converter);
+    const result = instance.applyAlphaCutoff(instance.convert(imageData, options), imageData, options);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+
+// Signal that module imports resolved and the worker can accept jobs
+self.postMessage({ type: 'ready' });
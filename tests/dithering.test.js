@@ -0,0 +1,38 @@
+/**
+ * Dithering tests - ditherToCharIndices keeps the average tone of flat fields
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BaseConverter from '../js/converters/BaseConverter.js';
+
+const SIZE = 64;
+const METHODS = ['floyd-steinberg', 'atkinson', 'bayer'];
+const GRAYS = [0, 16, 64, 96, 128, 192, 240, 255];
+
+/**
+ * Dither a flat gray field and return its mean brightness
+ * @param {string} method - Dithering method
+ * @param {number} levels - Number of output levels
+ * @param {number} gray - Field brightness (0-255)
+ * @returns {number} - Mean brightness of the dithered levels (0-255)
+ */
+function ditheredMean(method, levels, gray) {
+  const values = new Float64Array(SIZE * SIZE).fill(gray);
+  const indices = new BaseConverter().ditherToCharIndices(values, SIZE, SIZE, levels, method);
+  const step = 255 / (levels - 1);
+  return indices.reduce((sum, index) => sum + index * step, 0) / indices.length;
+}
+
+for (const levels of [2, 10]) {
+  for (const method of METHODS) {
+    test(`${method} keeps the mean tone of flat fields at ${levels} levels`, () => {
+      // Atkinson spreads only 3/4 of the error, so with two levels light and dark tones clip
+      const grays = method === 'atkinson' && levels === 2 ? [0, 128, 255] : GRAYS;
+      for (const gray of grays) {
+        const mean = ditheredMean(method, levels, gray);
+        assert.ok(Math.abs(mean - gray) <= 4, `gray ${gray} dithered to a mean of ${mean.toFixed(1)}`);
+      }
+    });
+  }
+}